@@ -3,9 +3,69 @@ import axios from 'axios';
 import LiquidityDepthChart from './components/LiquidityDepthChart';
 import LiquidityDepthTable from './components/LiquidityDepthTable';
 import TokenSelector from './components/TokenSelector';
+import ApiKeyPrompt, { loadStoredApiKey } from './components/ApiKeyPrompt';
+import { buildPermalink, DEFAULT_CAP, readPermalink } from './permalink';
 import './App.css';
 
-const API_BASE = '/api';
+const API_BASE = '/api/v1';
+loadStoredApiKey();
+
+// Default pair (SOL/USDC) - used when the URL doesn't pick tokens
+// These are always available via search
+const DEFAULT_INPUT_TOKEN = {
+  address: 'So11111111111111111111111111111111111111112',
+  symbol: 'SOL',
+  name: 'Solana',
+  decimals: 9,
+  icon: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/So11111111111111111111111111111111111111112/logo.png',
+  logoURI: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/So11111111111111111111111111111111111111112/logo.png',
+  isVerified: true
+};
+const DEFAULT_OUTPUT_TOKEN = {
+  address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  symbol: 'USDC',
+  name: 'USD Coin',
+  decimals: 6,
+  icon: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v/logo.png',
+  logoURI: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v/logo.png',
+  isVerified: true
+};
+
+// Token metadata for a mint from a permalink, looked up through the search endpoint
+// Falls back to a bare token (shortened mint as symbol) so a link to an unlisted token still opens;
+// onLookupError(message) reports a failed lookup so the page can show it
+const resolveToken = async (mint, onLookupError) => {
+  const known = [DEFAULT_INPUT_TOKEN, DEFAULT_OUTPUT_TOKEN].find(token => token.address === mint);
+  if (known) return known;
+  try {
+    const response = await axios.get(`${API_BASE}/tokens/search`, { params: { q: mint } });
+    const match = (response.data || []).find(token => token.address === mint);
+    if (match) return match;
+  } catch (err) {
+    onLookupError(`Could not look up token ${mint} (${err.message}) - showing it by address.`);
+  }
+  return { address: mint, symbol: `${mint.slice(0, 4)}…${mint.slice(-4)}`, name: mint };
+};
+
+// "Data as of" label for a buy/sell result pair, from the older side's metadata.cachedAt
+// Returns null for results from servers without the depth cache
+const describeDataAge = (results) => {
+  const sides = [results?.buy?.metadata, results?.sell?.metadata].filter(metadata => metadata?.cachedAt);
+  if (sides.length === 0) return null;
+  const oldest = sides.reduce((a, b) => (Date.parse(a.cachedAt) <= Date.parse(b.cachedAt) ? a : b));
+  const asOf = new Date(oldest.cachedAt).toLocaleTimeString();
+  if (!sides.some(metadata => metadata.cacheStatus && metadata.cacheStatus !== 'miss')) {
+    return `Data as of ${asOf}`;
+  }
+  const age = oldest.ageSeconds < 60 ? `${oldest.ageSeconds}s` : `${Math.floor(oldest.ageSeconds / 60)} min`;
+  return `Data as of ${asOf} (cached, ${age} old)`;
+};
+
+const formatUsd = (amount) => {
+  if (amount >= 1_000_000) return `$${(amount / 1_000_000).toFixed(amount % 1_000_000 === 0 ? 0 : 2)}M`;
+  if (amount >= 1_000) return `$${(amount / 1_000).toFixed(amount % 1_000 === 0 ? 0 : 2)}K`;
+  return `$${amount.toFixed(0)}`;
+};
 
 function App() {
   // No longer store all tokens - search as user types instead
@@ -15,11 +75,19 @@ function App() {
   const [buyDepth, setBuyDepth] = useState([]);
   const [sellDepth, setSellDepth] = useState([]);
   const [baselinePrice, setBaselinePrice] = useState(null);
+  const [tradeSizes, setTradeSizes] = useState(null); // USD ladder the backend calculated at
+  const [depthResults, setDepthResults] = useState(null); // Full buy/sell responses, for export
+  const [tradeSizesInput, setTradeSizesInput] = useState(''); // Optional custom ladder, e.g. "250, 5k, 25k"
+  const [swapMode, setSwapMode] = useState('ExactIn'); // ExactIn: size by amount paid, ExactOut: size by amount received
   const [loading, setLoading] = useState(false);
   const [loadingTokens, setLoadingTokens] = useState(false); // No longer loading tokens on startup
   const [error, setError] = useState(null);
+  const [apiKeyPrompt, setApiKeyPrompt] = useState(null); // 'missing' or 'invalid' after the server answers 401
   const [warning, setWarning] = useState(null); // Warning message from API
   const [viewMode, setViewMode] = useState('chart'); // 'table' or 'chart'
+  const [displayCap, setDisplayCap] = useState(DEFAULT_CAP); // Chart Y-axis cap (%), kept here so it survives view switches and permalinks
+  const [autoRunPending, setAutoRunPending] = useState(false); // Permalink asked to run the calculation on open
+  const [linkCopied, setLinkCopied] = useState(false);
   const [jupiterStatus, setJupiterStatus] = useState(null); // 'checking', 'connected', 'error'
   const [statusMessage, setStatusMessage] = useState('');
   const [elapsedTime, setElapsedTime] = useState(0); // Time elapsed in seconds
@@ -30,33 +98,72 @@ function App() {
     // No longer fetch all tokens on load - search as user types instead
     checkJupiterStatus();
     
-    // Set default tokens (SOL and USDC) without fetching full list
-    // These are always available via search
-    setInputToken({
-      address: 'So11111111111111111111111111111111111111112',
-      symbol: 'SOL',
-      name: 'Solana',
-      decimals: 9,
-      icon: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/So11111111111111111111111111111111111111112/logo.png',
-      logoURI: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/So11111111111111111111111111111111111111112/logo.png',
-      isVerified: true
-    });
-    setOutputToken({
-      address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-      symbol: 'USDC',
-      name: 'USD Coin',
-      decimals: 6,
-      icon: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v/logo.png',
-      logoURI: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v/logo.png',
-      isVerified: true
-    });
+    // Restore pair, view and chart cap from a permalink (/?in=<mint>&out=<mint>&view=chart&cap=15)
+    const link = readPermalink(window.location.search);
+    if (link.view) setViewMode(link.view);
+    if (link.cap) setDisplayCap(link.cap);
+    if (link.sizes) setTradeSizesInput(link.sizes);
+    if (link.swapMode) setSwapMode(link.swapMode);
+
+    if (!link.inputMint && !link.outputMint) {
+      setInputToken(DEFAULT_INPUT_TOKEN);
+      setOutputToken(DEFAULT_OUTPUT_TOKEN);
+      return;
+    }
+
+    setLoadingTokens(true);
+    Promise.all([
+      link.inputMint ? resolveToken(link.inputMint, setWarning) : DEFAULT_INPUT_TOKEN,
+      link.outputMint ? resolveToken(link.outputMint, setWarning) : DEFAULT_OUTPUT_TOKEN,
+    ]).then(([input, output]) => {
+      setInputToken(input);
+      setOutputToken(output);
+      setAutoRunPending(link.run);
+    }).finally(() => setLoadingTokens(false));
   }, []);
 
+  // Keep the URL in sync so the address bar is always a shareable link to the current analysis
+  const currentPermalink = (run = false) => buildPermalink({
+    inputMint: inputToken?.address,
+    outputMint: outputToken?.address,
+    view: viewMode,
+    cap: displayCap,
+    sizes: tradeSizesInput.replace(/\s+/g, ''),
+    swapMode,
+    run,
+  });
+
+  useEffect(() => {
+    if (!inputToken || !outputToken) return;
+    window.history.replaceState(null, '', currentPermalink());
+  }, [inputToken, outputToken, viewMode, displayCap, tradeSizesInput, swapMode]);
+
+  // Links opened with run=1 start the calculation once their tokens are resolved
+  useEffect(() => {
+    if (autoRunPending && inputToken && outputToken) {
+      setAutoRunPending(false);
+      fetchLiquidityDepth();
+    }
+  }, [autoRunPending, inputToken, outputToken]);
+
+  const copyPermalink = async () => {
+    const url = `${window.location.origin}${currentPermalink(true)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      setWarning(`Clipboard unavailable (${err.message}) - copy the link from the dialog instead.`);
+      window.prompt('Copy this link:', url);
+    }
+  };
+
   const checkJupiterStatus = async () => {
     setJupiterStatus('checking');
     setStatusMessage('Checking Jupiter API connection...');
     try {
-      const response = await axios.get(`${API_BASE}/jupiter-status`);
+      // Operational route - not part of the versioned API
+      const response = await axios.get('/api/jupiter-status');
       if (response.data.status === 'connected') {
         setJupiterStatus('connected');
         setStatusMessage(`Connected to Jupiter API (${response.data.responseTime})`);
@@ -71,6 +178,11 @@ function App() {
       if (err.code === 'ECONNREFUSED' || err.message?.includes('Network Error') || err.message?.includes('Failed to fetch')) {
         setJupiterStatus('error');
         setStatusMessage(`Cannot connect to backend server. Make sure the server is running on port 3001.`);
+      } else if (statusCode === 401) {
+        // The status check spends a real quote, so servers with API keys require one for it too
+        setJupiterStatus('error');
+        setStatusMessage('This server requires an API key to check the Jupiter API connection.');
+        setApiKeyPrompt(responseData?.code === 'INVALID_API_KEY' ? 'invalid' : 'missing');
       } else if (statusCode === 429 || responseData?.status === 'rate_limited') {
         setJupiterStatus('rate_limited');
         const retryAfter = responseData?.retryAfter || 60;
@@ -84,6 +196,15 @@ function App() {
     }
   };
 
+  // After a key is entered, retry the status check and the calculation if the server turned it away
+  const retryWithApiKey = () => {
+    setApiKeyPrompt(null);
+    checkJupiterStatus();
+    if (error) {
+      fetchLiquidityDepth();
+    }
+  };
+
   // Removed automatic calculation on token selection
   // User must manually click "Calculate" button to run liquidity depth calculation
 
@@ -110,7 +231,111 @@ function App() {
     }
   };
 
-  const fetchLiquidityDepth = async () => {
+  // Stream a depth job over Server-Sent Events, updating the chart/table as points arrive
+  // Resolves with { buy, sell } responses once the job is done
+  // Rejects with err.jobUnavailable when the server can't run jobs (caller falls back to blocking requests)
+  const runDepthJob = async (inputMint, outputMint, ladderParams, controller) => {
+    let job;
+    try {
+      const response = await axios.post(`${API_BASE}/depth-jobs`, { inputMint, outputMint, ...ladderParams }, {
+        signal: controller.signal
+      });
+      job = response.data;
+    } catch (err) {
+      if ([404, 405, 501].includes(err.response?.status)) {
+        err.jobUnavailable = true;
+      }
+      throw err;
+    }
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(job.eventsUrl);
+      let receivedEvents = false;
+      const parse = (event) => {
+        receivedEvents = true;
+        return JSON.parse(event.data);
+      };
+
+      controller.signal.addEventListener('abort', () => {
+        source.close();
+        axios.delete(job.statusUrl).catch(() => {});
+        const abortErr = new Error('Calculation cancelled');
+        abortErr.name = 'AbortError';
+        reject(abortErr);
+      });
+
+      source.addEventListener('side', (event) => {
+        const { side } = parse(event);
+        setStatusMessage(`Fetching ${side} depth from Jupiter API...`);
+      });
+      source.addEventListener('size', (event) => {
+        const { side, tradeSize, index, total } = parse(event);
+        setStatusMessage(`Fetching ${side} depth: testing ${formatUsd(tradeSize)} (${index + 1}/${total})...`);
+      });
+      source.addEventListener('search', (event) => {
+        const { side, tradeSize, amount } = parse(event);
+        setStatusMessage(`Fetching ${side} depth: ${formatUsd(tradeSize)} can't be routed, searching at ${formatUsd(amount)}...`);
+      });
+      source.addEventListener('point', (event) => {
+        const { side, point } = parse(event);
+        const setDepth = side === 'buy' ? setBuyDepth : setSellDepth;
+        setDepth(prev => [...prev, point].sort((a, b) => a.tradeUsdValue - b.tradeUsdValue));
+      });
+      source.addEventListener('trade-error', (event) => {
+        const { side, error } = parse(event);
+        setStatusMessage(`Fetching ${side} depth: ${error.tradeSizeFormatted} failed (${error.error}), continuing...`);
+      });
+      source.addEventListener('done', (event) => {
+        source.close();
+        resolve(parse(event));
+      });
+      source.addEventListener('failed', (event) => {
+        source.close();
+        reject(new Error(parse(event).error));
+      });
+      source.onerror = () => {
+        // EventSource reconnects on its own once the stream is established (resuming from Last-Event-ID)
+        // An error before the first event means the job can't be reached (e.g. a different serverless instance)
+        if (!receivedEvents) {
+          source.close();
+          const streamErr = new Error('Could not connect to depth job event stream');
+          streamErr.jobUnavailable = true;
+          reject(streamErr);
+        }
+      };
+    });
+  };
+
+  // Blocking fallback: one request per side, results only available when each finishes
+  const fetchDepthBlocking = async (inputMint, outputMint, ladderParams, controller) => {
+    setStatusMessage('Fetching buy depth from Jupiter API...');
+    const buyResponse = await axios.get(`${API_BASE}/liquidity-depth`, {
+      params: {
+        inputMint,
+        outputMint,
+        isBuy: 'true',
+        ...ladderParams,
+      },
+      signal: controller.signal
+    });
+    setBuyDepth(buyResponse.data.depth || []);
+
+    setStatusMessage('Fetching sell depth from Jupiter API...');
+    const sellResponse = await axios.get(`${API_BASE}/liquidity-depth`, {
+      params: {
+        inputMint,
+        outputMint,
+        isBuy: 'false',
+        ...ladderParams,
+      },
+      signal: controller.signal
+    });
+
+    return { buy: buyResponse.data, sell: sellResponse.data };
+  };
+
+  // fresh: recalculate instead of using the server's cached result
+  const fetchLiquidityDepth = async ({ fresh = false } = {}) => {
     if (!inputToken || !outputToken) return;
 
     // Create new AbortController for this request
@@ -119,6 +344,7 @@ function App() {
 
     setLoading(true);
     setError(null);
+    setApiKeyPrompt(null);
     setWarning(null); // Clear previous warnings
     setElapsedTime(0);
     setStatusMessage('Connecting to Jupiter API...');
@@ -142,37 +368,41 @@ function App() {
         return;
       }
 
-      setStatusMessage('Fetching buy depth from Jupiter API...');
-      const buyResponse = await axios.get(`${API_BASE}/liquidity-depth`, {
-        params: {
-          inputMint,
-          outputMint,
-          isBuy: 'true',
-        },
-        signal: controller.signal
-      });
-
-      setStatusMessage('Fetching sell depth from Jupiter API...');
-      const sellResponse = await axios.get(`${API_BASE}/liquidity-depth`, {
-        params: {
-          inputMint,
-          outputMint,
-          isBuy: 'false',
-        },
-        signal: controller.signal
-      });
+      // Reset previous results - points are filled in live as the job streams them
+      setBuyDepth([]);
+      setSellDepth([]);
+      setTradeSizes(null);
+      setDepthResults(null);
 
-      const buyDepthData = buyResponse.data.depth || [];
-      const sellDepthData = sellResponse.data.depth || [];
+      // Custom ladder is validated server-side (400 with a message if it can't be parsed)
+      const ladderParams = tradeSizesInput.trim() ? { sizes: tradeSizesInput.replace(/\s+/g, '') } : {};
+      if (swapMode === 'ExactOut') ladderParams.swapMode = swapMode;
+      if (fresh) ladderParams.fresh = true;
+      
+      let buyData;
+      let sellData;
+      try {
+        ({ buy: buyData, sell: sellData } = await runDepthJob(inputMint, outputMint, ladderParams, controller));
+      } catch (jobErr) {
+        if (!jobErr.jobUnavailable) throw jobErr;
+        // Depth jobs need a long-lived server process (not available on serverless deploys)
+        setStatusMessage(`Depth jobs unavailable (${jobErr.message}) - calculating with blocking requests...`);
+        ({ buy: buyData, sell: sellData } = await fetchDepthBlocking(inputMint, outputMint, ladderParams, controller));
+      }
+      
+      buyData = buyData || {};
+      sellData = sellData || {};
+      const buyDepthData = buyData.depth || [];
+      const sellDepthData = sellData.depth || [];
       
       // Check if token is unsupported by Jupiter
-      const buyUnsupported = buyResponse.data.metadata?.tokenUnsupported || false;
-      const sellUnsupported = sellResponse.data.metadata?.tokenUnsupported || false;
+      const buyUnsupported = buyData.metadata?.tokenUnsupported || false;
+      const sellUnsupported = sellData.metadata?.tokenUnsupported || false;
       const isUnsupported = buyUnsupported || sellUnsupported;
       
       // Extract warnings from API responses
-      const buyWarning = buyResponse.data.warning;
-      const sellWarning = sellResponse.data.warning;
+      const buyWarning = buyData.warning;
+      const sellWarning = sellData.warning;
       // Use the first warning found (they're usually the same)
       const apiWarning = buyWarning || sellWarning;
       console.log('🔍 Checking for warnings:', { buyWarning, sellWarning, apiWarning });
@@ -185,13 +415,15 @@ function App() {
       
       // Store baseline price if available (spot price before price impact)
       // Use sell baseline price (selling input token) as primary, fallback to buy
-      const sellBaselinePrice = sellResponse.data.baselinePrice;
-      const buyBaselinePrice = buyResponse.data.baselinePrice;
+      const sellBaselinePrice = sellData.baselinePrice;
+      const buyBaselinePrice = buyData.baselinePrice;
       const priceToUse = sellBaselinePrice || buyBaselinePrice || null;
       
       setBuyDepth(buyDepthData);
       setSellDepth(sellDepthData);
       setBaselinePrice(priceToUse);
+      setTradeSizes(sellData.tradeSizes || buyData.tradeSizes || null);
+      setDepthResults({ buy: buyData, sell: sellData });
       
       // Log final warning state for debugging (use apiWarning, not state)
       console.log('✅ API warning extracted:', apiWarning);
@@ -225,6 +457,9 @@ function App() {
         errorMsg = 'Cannot connect to backend server. Make sure the server is running on port 3001.';
       } else if (err.response) {
         errorMsg = err.response.data?.error || err.response.data?.details || err.response.statusText || `HTTP ${err.response.status}`;
+        if (err.response.status === 401) {
+          setApiKeyPrompt(err.response.data?.code === 'INVALID_API_KEY' ? 'invalid' : 'missing');
+        }
       } else {
         errorMsg = err.message || 'Unknown error';
       }
@@ -303,9 +538,41 @@ function App() {
                   </div>
                   {inputToken && outputToken && !loading && (
                     <div className="calculate-button-container">
+                      <div className="trade-sizes-control">
+                        <label htmlFor="trade-sizes">Trade sizes (USD)</label>
+                        <input
+                          id="trade-sizes"
+                          type="text"
+                          value={tradeSizesInput}
+                          onChange={(e) => setTradeSizesInput(e.target.value)}
+                          placeholder="Default ladder ($500 – $100M)"
+                          title="Comma-separated USD sizes, e.g. 250, 5k, 25k, 1M"
+                        />
+                      </div>
+                      <div className="swap-mode-control">
+                        <span className="swap-mode-label">Size trades by</span>
+                        <div className="swap-mode-toggle">
+                          <button
+                            type="button"
+                            className={`swap-mode-btn ${swapMode === 'ExactIn' ? 'active' : ''}`}
+                            onClick={() => setSwapMode('ExactIn')}
+                            title="ExactIn: each size is the USD value paid"
+                          >
+                            Amount paid
+                          </button>
+                          <button
+                            type="button"
+                            className={`swap-mode-btn ${swapMode === 'ExactOut' ? 'active' : ''}`}
+                            onClick={() => setSwapMode('ExactOut')}
+                            title="ExactOut: each size is the USD value received - what it costs to get exactly that much"
+                          >
+                            Amount received
+                          </button>
+                        </div>
+                      </div>
                       <button 
                         className="calculate-btn" 
-                        onClick={fetchLiquidityDepth}
+                        onClick={() => fetchLiquidityDepth()}
                         disabled={!inputToken || !outputToken}
                         title="Calculate liquidity depth for selected tokens"
                       >
@@ -363,10 +630,26 @@ function App() {
                       {error}
                     </div>
                   )}
+                  {!loading && apiKeyPrompt && (
+                    <ApiKeyPrompt invalid={apiKeyPrompt === 'invalid'} onSaved={retryWithApiKey} />
+                  )}
                 </div>
 
-                {!loading && (
+                {/* Partial results are shown live while a depth job is streaming */}
+                {(!loading || buyDepth.length > 0 || sellDepth.length > 0) && (
                   <div className="liquidity-view-container">
+                  {!loading && describeDataAge(depthResults) && (
+                    <div className="data-age">
+                      <span>{describeDataAge(depthResults)}</span>
+                      <button
+                        className="data-age-refresh"
+                        onClick={() => fetchLiquidityDepth({ fresh: true })}
+                        title="Recalculate now instead of using the cached result"
+                      >
+                        Refresh
+                      </button>
+                    </div>
+                  )}
                   <div className="view-mode-selector">
                     <button 
                       className={`view-mode-btn ${viewMode === 'table' ? 'active' : ''}`}
@@ -380,6 +663,13 @@ function App() {
                     >
                       Chart View
                     </button>
+                    <button
+                      className="view-mode-btn permalink-btn"
+                      onClick={copyPermalink}
+                      title="Copy a link that reopens this pair and view and runs the calculation"
+                    >
+                      {linkCopied ? 'Link copied' : 'Copy link'}
+                    </button>
                   </div>
 
                   {viewMode === 'table' ? (
@@ -389,6 +679,8 @@ function App() {
                       inputToken={inputToken}
                       outputToken={outputToken}
                       baselinePrice={baselinePrice}
+                      tradeSizes={tradeSizes}
+                      results={depthResults}
                     />
                   ) : (
                     <LiquidityDepthChart
@@ -396,6 +688,10 @@ function App() {
                       sellDepth={sellDepth}
                       inputToken={inputToken}
                       outputToken={outputToken}
+                      tradeSizes={tradeSizes}
+                      results={depthResults}
+                      maxDisplayCap={displayCap}
+                      onMaxDisplayCapChange={setDisplayCap}
                     />
                   )}
                   </div>
@@ -472,6 +768,9 @@ function App() {
                     {error}
                   </div>
                 )}
+                {!loading && apiKeyPrompt && (
+                  <ApiKeyPrompt invalid={apiKeyPrompt === 'invalid'} onSaved={retryWithApiKey} />
+                )}
               </div>
             )}
           </>
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import './ApiKeyPrompt.css';
+
+// Servers with API keys configured answer 401 on depth requests; the key is kept in local storage
+// and sent on every request as X-API-Key
+const STORAGE_KEY = 'liquidityDepthApiKey';
+
+export const applyApiKey = (key) => {
+  if (key) {
+    axios.defaults.headers.common['X-API-Key'] = key;
+  } else {
+    delete axios.defaults.headers.common['X-API-Key'];
+  }
+};
+
+export const loadStoredApiKey = () => {
+  try {
+    applyApiKey(window.localStorage.getItem(STORAGE_KEY));
+  } catch {
+    // Storage can be unavailable (private mode) - the key just won't persist
+  }
+};
+
+function ApiKeyPrompt({ invalid, onSaved }) {
+  const [key, setKey] = useState('');
+
+  const save = (event) => {
+    event.preventDefault();
+    const trimmed = key.trim();
+    if (!trimmed) return;
+    try {
+      window.localStorage.setItem(STORAGE_KEY, trimmed);
+    } catch {
+      // Keep it for this session only
+    }
+    applyApiKey(trimmed);
+    setKey('');
+    onSaved();
+  };
+
+  return (
+    <form className="api-key-prompt" onSubmit={save}>
+      <label htmlFor="api-key-input">
+        {invalid ? 'The saved API key was rejected.' : 'This server requires an API key.'}
+      </label>
+      <input
+        id="api-key-input"
+        type="password"
+        value={key}
+        onChange={(e) => setKey(e.target.value)}
+        placeholder="API key"
+        autoComplete="off"
+      />
+      <button type="submit" className="api-key-save" disabled={!key.trim()}>
+        Save and retry
+      </button>
+    </form>
+  );
+}
+
+export default ApiKeyPrompt;
@@ -0,0 +1,123 @@
+import React from 'react';
+import './DepthExportButtons.css';
+
+// Same columns as the server's format=csv export (server/depthExport.js)
+const CSV_COLUMNS = [
+  'side',
+  'inputMint',
+  'outputMint',
+  'tradeUsdValue',
+  'amount',
+  'outputAmount',
+  'receiveUsdValue',
+  'price',
+  'priceImpact',
+  'slippage',
+  'rawInputAmount',
+  'rawOutputAmount',
+  'route',
+  'baselinePrice',
+  'provider',
+  'timestamp',
+  'calculationTime',
+  'snapshotId',
+  'warning',
+];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Route as one cell, hops separated by ">" and split legs by "+": "Orca 60% + Raydium 40% > Meteora 100%"
+const routeCell = (route) => {
+  if (!route?.legs) return '';
+  const hops = [];
+  route.legs.forEach(leg => {
+    (hops[leg.hop - 1] = hops[leg.hop - 1] || []).push(`${leg.venue} ${leg.shareOfInput}%`);
+  });
+  return hops.filter(Boolean).map(legs => legs.join(' + ')).join(' > ');
+};
+
+// Buy and sell responses that have finished (partial streamed results aren't exported)
+const completedResponses = (results) => ['sell', 'buy']
+  .map(side => results?.[side])
+  .filter(response => response && Array.isArray(response.depth));
+
+const toCsv = (results) => {
+  const rows = completedResponses(results).flatMap(response => (response.depth || []).map(point => ({
+    ...point,
+    route: routeCell(point.route),
+    side: response.isBuy ? 'buy' : 'sell',
+    inputMint: response.inputMint,
+    outputMint: response.outputMint,
+    baselinePrice: response.baselinePrice,
+    provider: response.metadata?.provider,
+    timestamp: response.metadata?.timestamp,
+    calculationTime: response.metadata?.calculationTime,
+    snapshotId: response.metadata?.snapshotId,
+    warning: response.warning,
+  })));
+  const lines = [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(',')),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Full responses for both directions, without the server debug logs
+const toJson = (results, inputToken, outputToken) => {
+  const sides = {};
+  completedResponses(results).forEach(response => {
+    const { debug, ...rest } = response;
+    sides[response.isBuy ? 'buy' : 'sell'] = rest;
+  });
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    inputToken: { address: inputToken?.address, symbol: inputToken?.symbol, decimals: inputToken?.decimals },
+    outputToken: { address: outputToken?.address, symbol: outputToken?.symbol, decimals: outputToken?.decimals },
+    ...sides,
+  }, null, 2);
+};
+
+const download = (content, type, filename) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+function DepthExportButtons({ results, inputToken, outputToken }) {
+  const responses = completedResponses(results);
+  if (responses.every(response => response.depth.length === 0)) return null;
+
+  const baseName = `depth-${inputToken?.symbol || 'input'}-${outputToken?.symbol || 'output'}-${new Date().toISOString().slice(0, 10)}`;
+
+  return (
+    <div className="export-buttons">
+      <button
+        type="button"
+        className="export-btn"
+        onClick={() => download(toCsv(results), 'text/csv', `${baseName}.csv`)}
+        title="Download buy and sell depth points as CSV"
+      >
+        CSV
+      </button>
+      <button
+        type="button"
+        className="export-btn"
+        onClick={() => download(toJson(results, inputToken, outputToken), 'application/json', `${baseName}.json`)}
+        title="Download buy and sell depth responses (with metadata) as JSON"
+      >
+        JSON
+      </button>
+    </div>
+  );
+}
+
+export default DepthExportButtons;
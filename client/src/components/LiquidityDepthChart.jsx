@@ -8,11 +8,161 @@ import {
   Tooltip,
   ResponsiveContainer,
 } from 'recharts';
+import DepthExportButtons from './DepthExportButtons';
+import RouteBreakdown from './RouteBreakdown';
 import './LiquidityDepthChart.css';
 
-function LiquidityDepthChart({ buyDepth, sellDepth, inputToken, outputToken }) {
-  const [maxDisplayCap, setMaxDisplayCap] = useState(15); // Default 15% cap
-  const [capInputValue, setCapInputValue] = useState('15'); // Local state for input field
+// Line colors per side (buy green, sell red - matching the table row accents)
+const SIDES = {
+  buy: { label: 'Buy', color: '#3EE6B7', glow: 'rgba(62,230,183,0.20)' },
+  sell: { label: 'Sell', color: '#F87171', glow: 'rgba(248,113,113,0.20)' },
+};
+
+// Convert backend depth points into chart points for one side
+// Sell pays the input token and receives the output token; buy is the other way round
+function toChartPoints(depth, side) {
+  if (!depth || depth.length === 0) return [];
+
+  // Get the best price (smallest trade) - reference for price impact
+  const bestPrice = depth[0]?.price || 0;
+  if (bestPrice === 0) return [];
+
+  return depth.map(point => {
+    // Use priceImpact from backend if available, fallback to slippage for backward compatibility
+    const priceImpact = point.priceImpact !== undefined 
+      ? point.priceImpact 
+      : (point.slippage !== undefined 
+        ? point.slippage 
+        : (bestPrice > 0 ? Math.abs((bestPrice - point.price) / bestPrice) * 100 : 0));
+    
+    // Use tradeUsdValue from backend if available, otherwise calculate it
+    const tradeUsdValue = point.tradeUsdValue || (point.amount * bestPrice);
+
+    return {
+      tradeAmount: side === 'buy' ? point.outputAmount : point.amount,
+      tradeUsdValue,
+      priceImpact, // Primary: Price Impact
+      slippage: point.slippage || priceImpact, // Keep for backward compatibility
+      receiveAmount: side === 'buy' ? point.amount : point.outputAmount,
+      price: point.price,
+      route: point.route || null,
+    };
+  })
+    .filter(point => point.tradeUsdValue > 0 && point.priceImpact >= 0)
+    .sort((a, b) => a.tradeUsdValue - b.tradeUsdValue);
+}
+
+// X positions between actual data points (log-spaced) so the chart can be hovered anywhere
+// Use minimal interpolation (5 points per segment) to preserve real market structure
+// This prevents artificial smoothing that hides liquidity cliffs and routing failures
+function densifyXValues(data, pointsPerSegment = 5) {
+  const xValues = data.map(point => point.tradeUsdValue);
+  for (let i = 0; i < data.length - 1; i++) {
+    const logX1 = Math.log10(data[i].tradeUsdValue);
+    const logX2 = Math.log10(data[i + 1].tradeUsdValue);
+    for (let j = 1; j < pointsPerSegment; j++) {
+      xValues.push(Math.pow(10, logX1 + (logX2 - logX1) * (j / pointsPerSegment)));
+    }
+  }
+  return xValues;
+}
+
+// Interpolate values between data points based on X position (tradeUsdValue)
+// Uses log-scale aware interpolation for better accuracy
+function interpolateValue(xValue, data) {
+  if (!data || data.length === 0) return null;
+  
+  // Handle edge cases
+  if (xValue <= data[0].tradeUsdValue) return data[0];
+  if (xValue >= data[data.length - 1].tradeUsdValue) return data[data.length - 1];
+  
+  // Find the two closest points
+  let lowerPoint = null;
+  let upperPoint = null;
+  let lowerIndex = -1;
+  
+  for (let i = 0; i < data.length - 1; i++) {
+    if (data[i].tradeUsdValue <= xValue && data[i + 1].tradeUsdValue >= xValue) {
+      lowerPoint = data[i];
+      upperPoint = data[i + 1];
+      lowerIndex = i;
+      break;
+    }
+  }
+  
+  // If exact match found
+  if (lowerPoint && lowerPoint.tradeUsdValue === xValue) {
+    return lowerPoint;
+  }
+  if (upperPoint && upperPoint.tradeUsdValue === xValue) {
+    return upperPoint;
+  }
+  
+  // If no bounding points found, find closest
+  if (!lowerPoint || !upperPoint) {
+    let closest = data[0];
+    let minDiff = Math.abs(Math.log10(data[0].tradeUsdValue) - Math.log10(xValue));
+    for (const point of data) {
+      const diff = Math.abs(Math.log10(point.tradeUsdValue) - Math.log10(xValue));
+      if (diff < minDiff) {
+        minDiff = diff;
+        closest = point;
+      }
+    }
+    return closest;
+  }
+  
+  // Log-scale aware interpolation (better for log scale charts)
+  const logX1 = Math.log10(lowerPoint.tradeUsdValue);
+  const logX2 = Math.log10(upperPoint.tradeUsdValue);
+  const logX = Math.log10(xValue);
+  const ratio = (logX - logX1) / (logX2 - logX1);
+  
+  // For price impact, use log-scale interpolation when both values are > 0
+  // This is more accurate for stablecoins where price impact should scale logarithmically
+  let interpolatedPriceImpact;
+  if (lowerPoint.priceImpact > 0 && upperPoint.priceImpact > 0) {
+    // Use log-scale interpolation for price impact (more accurate for low values)
+    const logImpact1 = Math.log10(lowerPoint.priceImpact + 0.001); // Add small value to avoid log(0)
+    const logImpact2 = Math.log10(upperPoint.priceImpact + 0.001);
+    const logImpact = logImpact1 + (logImpact2 - logImpact1) * ratio;
+    interpolatedPriceImpact = Math.pow(10, logImpact) - 0.001;
+    // Ensure it's not negative
+    if (interpolatedPriceImpact < 0) interpolatedPriceImpact = 0;
+  } else {
+    // Fallback to linear interpolation if one value is 0
+    interpolatedPriceImpact = lowerPoint.priceImpact + (upperPoint.priceImpact - lowerPoint.priceImpact) * ratio;
+  }
+  
+  return {
+    tradeUsdValue: xValue,
+    tradeAmount: lowerPoint.tradeAmount + (upperPoint.tradeAmount - lowerPoint.tradeAmount) * ratio,
+    receiveAmount: lowerPoint.receiveAmount + (upperPoint.receiveAmount - lowerPoint.receiveAmount) * ratio,
+    priceImpact: Math.max(0, interpolatedPriceImpact), // Ensure non-negative, don't round to preserve precision
+    slippage: Math.max(0, lowerPoint.slippage + (upperPoint.slippage - lowerPoint.slippage) * ratio), // Keep for compatibility
+    price: lowerPoint.price + (upperPoint.price - lowerPoint.price) * ratio,
+    // Routes can't be interpolated - show the one quoted at the nearer measured size
+    route: ratio < 0.5 ? lowerPoint.route : upperPoint.route,
+    routeUsdValue: ratio < 0.5 ? lowerPoint.tradeUsdValue : upperPoint.tradeUsdValue,
+  };
+}
+
+// Compare buy and sell impact at one size, e.g. "Sell +0.42 pp vs buy (1.8x)"
+function describeAsymmetry(buyImpact, sellImpact) {
+  const diff = sellImpact - buyImpact;
+  if (Math.abs(diff) < 0.005) return 'Balanced';
+  const [worse, better, worseImpact, betterImpact] = diff > 0
+    ? ['Sell', 'buy', sellImpact, buyImpact]
+    : ['Buy', 'sell', buyImpact, sellImpact];
+  const ratio = betterImpact > 0 ? ` (${(worseImpact / betterImpact).toFixed(1)}x)` : '';
+  return `${worse} +${Math.abs(diff).toFixed(2)} pp vs ${better}${ratio}`;
+}
+
+
+// maxDisplayCap is owned by App so it survives view switches and can be restored from a permalink
+function LiquidityDepthChart({ buyDepth, sellDepth, inputToken, outputToken, tradeSizes, results, maxDisplayCap = 15, onMaxDisplayCapChange }) {
+  const [capInputValue, setCapInputValue] = useState(String(maxDisplayCap)); // Local state for input field
+  const [hiddenSides, setHiddenSides] = useState([]); // Sides toggled off in the legend
   // Format currency with K/M/B suffixes
   const formatCurrency = (amount) => {
     if (amount === undefined || amount === null || isNaN(amount)) return 'N/A';
@@ -32,176 +182,51 @@ function LiquidityDepthChart({ buyDepth, sellDepth, inputToken, outputToken }) {
     return amount.toFixed(2);
   };
 
-  // Densify data by adding interpolated points between actual data points
-  // This allows hovering at any position on the chart
-  const densifyData = (data, pointsPerSegment = 10) => {
-    if (!data || data.length < 2) return data;
-    
-    const densified = [];
-    
-    for (let i = 0; i < data.length - 1; i++) {
-      const point1 = data[i];
-      const point2 = data[i + 1];
-      
-      // Always include the first point
-      densified.push(point1);
-      
-      // Add interpolated points between point1 and point2
-      for (let j = 1; j < pointsPerSegment; j++) {
-        const ratio = j / pointsPerSegment;
-        
-        // Log-scale aware interpolation for tradeUsdValue
-        const logX1 = Math.log10(point1.tradeUsdValue);
-        const logX2 = Math.log10(point2.tradeUsdValue);
-        const logX = logX1 + (logX2 - logX1) * ratio;
-        const tradeUsdValue = Math.pow(10, logX);
-        
-        // Linear interpolation for other values
-        const interpolatedPriceImpact = point1.priceImpact + (point2.priceImpact - point1.priceImpact) * ratio;
-        const interpolated = {
-          tradeUsdValue,
-          tradeAmount: point1.tradeAmount + (point2.tradeAmount - point1.tradeAmount) * ratio,
-          receiveAmount: point1.receiveAmount + (point2.receiveAmount - point1.receiveAmount) * ratio,
-          priceImpact: Math.round(interpolatedPriceImpact), // Round to whole number for cleaner display
-          slippage: Math.round(point1.slippage + (point2.slippage - point1.slippage) * ratio), // Keep for compatibility, also rounded
-          price: point1.price + (point2.price - point1.price) * ratio,
-        };
-        
-        densified.push(interpolated);
-      }
-    }
-    
-    // Always include the last point
-    densified.push(data[data.length - 1]);
-    
-    return densified;
-  };
-
+  // One row per X position with both sides' interpolated values, so the two curves share
+  // an axis and a tooltip. A side is null outside the range it was measured over.
   const chartData = useMemo(() => {
-    // Use sell depth (selling inputToken to get outputToken)
-    const depthToUse = sellDepth && sellDepth.length > 0 ? sellDepth : buyDepth;
-    
-    if (!depthToUse || depthToUse.length === 0) {
-      return [];
-    }
-
-    // Get the best price (smallest trade) - reference for price impact
-    const bestPrice = depthToUse[0]?.price || 0;
-    if (bestPrice === 0) return [];
+    const sides = {
+      buy: toChartPoints(buyDepth, 'buy'),
+      sell: toChartPoints(sellDepth, 'sell'),
+    };
 
-    // Calculate price impact for each point and use tradeUsdValue from backend if available
-    const baseData = depthToUse.map(point => {
-      // Use priceImpact from backend if available, fallback to slippage for backward compatibility
-      const priceImpact = point.priceImpact !== undefined 
-        ? point.priceImpact 
-        : (point.slippage !== undefined 
-          ? point.slippage 
-          : (bestPrice > 0 ? Math.abs((bestPrice - point.price) / bestPrice) * 100 : 0));
-      
-      // Use tradeUsdValue from backend if available, otherwise calculate it
-      const tradeUsdValue = point.tradeUsdValue || (point.amount * bestPrice);
+    const xValues = new Set();
+    Object.values(sides).forEach(points => densifyXValues(points, 5).forEach(x => xValues.add(x)));
 
-      return {
-        tradeAmount: point.amount,
-        tradeUsdValue,
-        priceImpact, // Primary: Price Impact
-        slippage: point.slippage || priceImpact, // Keep for backward compatibility
-        receiveAmount: point.outputAmount,
-        price: point.price,
-      };
-    }).filter(point => point.tradeUsdValue > 0 && point.priceImpact >= 0);
-    
-    // Densify the data to allow hovering at any point
-    // Use minimal interpolation (5 points per segment) to preserve real market structure
-    // This prevents artificial smoothing that hides liquidity cliffs and routing failures
-    return densifyData(baseData, 5);
+    return Array.from(xValues).sort((a, b) => a - b).map(tradeUsdValue => {
+      const row = { tradeUsdValue };
+      for (const [side, points] of Object.entries(sides)) {
+        const inRange = points.length > 0 &&
+          tradeUsdValue >= points[0].tradeUsdValue &&
+          tradeUsdValue <= points[points.length - 1].tradeUsdValue;
+        const point = inRange ? interpolateValue(tradeUsdValue, points) : null;
+        row[side] = point;
+        row[`${side}Impact`] = point ? point.priceImpact : null;
+      }
+      return row;
+    });
   }, [buyDepth, sellDepth, inputToken, outputToken]);
 
-  // Interpolate values between data points based on X position (tradeUsdValue)
-  // Uses log-scale aware interpolation for better accuracy
-  const interpolateValue = (xValue, data) => {
-    if (!data || data.length === 0) return null;
-    
-    // Handle edge cases
-    if (xValue <= data[0].tradeUsdValue) return data[0];
-    if (xValue >= data[data.length - 1].tradeUsdValue) return data[data.length - 1];
-    
-    // Find the two closest points
-    let lowerPoint = null;
-    let upperPoint = null;
-    let lowerIndex = -1;
-    
-    for (let i = 0; i < data.length - 1; i++) {
-      if (data[i].tradeUsdValue <= xValue && data[i + 1].tradeUsdValue >= xValue) {
-        lowerPoint = data[i];
-        upperPoint = data[i + 1];
-        lowerIndex = i;
-        break;
-      }
-    }
-    
-    // If exact match found
-    if (lowerPoint && lowerPoint.tradeUsdValue === xValue) {
-      return lowerPoint;
-    }
-    if (upperPoint && upperPoint.tradeUsdValue === xValue) {
-      return upperPoint;
-    }
-    
-    // If no bounding points found, find closest
-    if (!lowerPoint || !upperPoint) {
-      let closest = data[0];
-      let minDiff = Math.abs(Math.log10(data[0].tradeUsdValue) - Math.log10(xValue));
-      for (const point of data) {
-        const diff = Math.abs(Math.log10(point.tradeUsdValue) - Math.log10(xValue));
-        if (diff < minDiff) {
-          minDiff = diff;
-          closest = point;
-        }
-      }
-      return closest;
-    }
-    
-    // Log-scale aware interpolation (better for log scale charts)
-    const logX1 = Math.log10(lowerPoint.tradeUsdValue);
-    const logX2 = Math.log10(upperPoint.tradeUsdValue);
-    const logX = Math.log10(xValue);
-    const ratio = (logX - logX1) / (logX2 - logX1);
-    
-    // For price impact, use log-scale interpolation when both values are > 0
-    // This is more accurate for stablecoins where price impact should scale logarithmically
-    let interpolatedPriceImpact;
-    if (lowerPoint.priceImpact > 0 && upperPoint.priceImpact > 0) {
-      // Use log-scale interpolation for price impact (more accurate for low values)
-      const logImpact1 = Math.log10(lowerPoint.priceImpact + 0.001); // Add small value to avoid log(0)
-      const logImpact2 = Math.log10(upperPoint.priceImpact + 0.001);
-      const logImpact = logImpact1 + (logImpact2 - logImpact1) * ratio;
-      interpolatedPriceImpact = Math.pow(10, logImpact) - 0.001;
-      // Ensure it's not negative
-      if (interpolatedPriceImpact < 0) interpolatedPriceImpact = 0;
-    } else {
-      // Fallback to linear interpolation if one value is 0
-      interpolatedPriceImpact = lowerPoint.priceImpact + (upperPoint.priceImpact - lowerPoint.priceImpact) * ratio;
-    }
-    
-    return {
-      tradeUsdValue: xValue,
-      tradeAmount: lowerPoint.tradeAmount + (upperPoint.tradeAmount - lowerPoint.tradeAmount) * ratio,
-      receiveAmount: lowerPoint.receiveAmount + (upperPoint.receiveAmount - lowerPoint.receiveAmount) * ratio,
-      priceImpact: Math.max(0, interpolatedPriceImpact), // Ensure non-negative, don't round to preserve precision
-      slippage: Math.max(0, lowerPoint.slippage + (upperPoint.slippage - lowerPoint.slippage) * ratio), // Keep for compatibility
-      price: lowerPoint.price + (upperPoint.price - lowerPoint.price) * ratio,
-    };
+  // Sides that have data and aren't toggled off in the legend
+  const availableSides = Object.keys(SIDES).filter(side => chartData.some(row => row[side]));
+  const visibleSides = availableSides.filter(side => !hiddenSides.includes(side));
+
+  const toggleSide = (side) => {
+    setHiddenSides(hidden => hidden.includes(side)
+      ? hidden.filter(s => s !== side)
+      : [...hidden, side]);
   };
 
+  const impactColor = (priceImpact) => priceImpact > 5 ? '#ef4444' : priceImpact > 1 ? '#f59e0b' : '#10b981';
+
   const CustomTooltip = ({ active, payload }) => {
     if (active && payload && payload.length > 0) {
       const data = payload[0].payload;
       
       if (!data) return null;
-      
-      const priceImpact = data.priceImpact !== undefined ? data.priceImpact : data.slippage;
-      const priceImpactColor = priceImpact > 5 ? '#ef4444' : priceImpact > 1 ? '#f59e0b' : '#10b981';
+
+      const sidesAtSize = visibleSides.filter(side => data[side]);
+      if (sidesAtSize.length === 0) return null;
       
       return (
         <div className="custom-tooltip">
@@ -209,32 +234,60 @@ function LiquidityDepthChart({ buyDepth, sellDepth, inputToken, outputToken }) {
             <span className="tooltip-title">Trade Details</span>
             <span className="tooltip-usd-value">{formatCurrency(data.tradeUsdValue)}</span>
           </div>
-          <div className="tooltip-content">
-            <div className="tooltip-row">
-              <span className="tooltip-label">Trade Amount:</span>
-              <span className="tooltip-value">
-                {formatTokenAmount(data.tradeAmount)} {inputToken?.symbol}
-              </span>
-            </div>
-            <div className="tooltip-row">
-              <span className="tooltip-label">Receive Amount:</span>
-              <span className="tooltip-value">
-                {formatTokenAmount(data.receiveAmount)} {outputToken?.symbol}
-              </span>
-            </div>
-            <div className="tooltip-row">
-              <span className="tooltip-label">Price:</span>
-              <span className="tooltip-value">
-                {data.price?.toFixed(6) || 'N/A'} {outputToken?.symbol}/{inputToken?.symbol}
-              </span>
-            </div>
-            <div className="tooltip-row">
-              <span className="tooltip-label">Price Impact:</span>
-              <span className="tooltip-value" style={{ color: priceImpactColor, fontWeight: 'bold' }}>
-                {priceImpact?.toFixed(2) || '0.00'}%
-              </span>
+          {sidesAtSize.map(side => {
+            const point = data[side];
+            // Buy pays the quote token and receives the base token
+            const [paySymbol, receiveSymbol] = side === 'buy'
+              ? [outputToken?.symbol, inputToken?.symbol]
+              : [inputToken?.symbol, outputToken?.symbol];
+            return (
+              <div className="tooltip-content tooltip-side" key={side}>
+                <div className="tooltip-side-title" style={{ color: SIDES[side].color }}>
+                  {SIDES[side].label}
+                </div>
+                <div className="tooltip-row">
+                  <span className="tooltip-label">Pay:</span>
+                  <span className="tooltip-value">
+                    {formatTokenAmount(point.tradeAmount)} {paySymbol}
+                  </span>
+                </div>
+                <div className="tooltip-row">
+                  <span className="tooltip-label">Receive:</span>
+                  <span className="tooltip-value">
+                    {formatTokenAmount(point.receiveAmount)} {receiveSymbol}
+                  </span>
+                </div>
+                <div className="tooltip-row">
+                  <span className="tooltip-label">Price:</span>
+                  <span className="tooltip-value">
+                    {point.price?.toFixed(6) || 'N/A'} {outputToken?.symbol}/{inputToken?.symbol}
+                  </span>
+                </div>
+                <div className="tooltip-row">
+                  <span className="tooltip-label">Price Impact:</span>
+                  <span className="tooltip-value" style={{ color: impactColor(point.priceImpact), fontWeight: 'bold' }}>
+                    {point.priceImpact?.toFixed(2) || '0.00'}%
+                  </span>
+                </div>
+                {point.route && (
+                  <div className="tooltip-row">
+                    <span className="tooltip-label">
+                      Route{point.routeUsdValue ? ` (${formatCurrency(point.routeUsdValue)})` : ''}:
+                    </span>
+                    <span className="tooltip-value">
+                      <RouteBreakdown route={point.route} compact />
+                    </span>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {data.buy && data.sell && (
+            <div className="tooltip-asymmetry">
+              <span className="tooltip-label">Asymmetry:</span>
+              <span className="tooltip-value">{describeAsymmetry(data.buyImpact, data.sellImpact)}</span>
             </div>
-          </div>
+          )}
         </div>
       );
     }
@@ -249,16 +302,30 @@ function LiquidityDepthChart({ buyDepth, sellDepth, inputToken, outputToken }) {
     );
   }
 
-  // Find the maximum trade size that fits within the cap
-  const pointsWithinCap = chartData.filter(d => (d.priceImpact || d.slippage || 0) <= maxDisplayCap);
-  const maxTradeValueWithinCap = pointsWithinCap.length > 0
-    ? Math.max(...pointsWithinCap.map(d => d.tradeUsdValue || 0))
-    : 0;
+  // Largest trade size per side that fits within the cap
+  const maxWithinCap = Object.fromEntries(availableSides.map(side => {
+    const pointsWithinCap = chartData.filter(d => d[side] && d[`${side}Impact`] <= maxDisplayCap);
+    return [side, pointsWithinCap.length > 0 ? Math.max(...pointsWithinCap.map(d => d.tradeUsdValue)) : 0];
+  }));
 
-  const maxPriceImpact = Math.max(...chartData.map(d => d.priceImpact || d.slippage || 0));
+  const visibleImpacts = chartData.flatMap(d => visibleSides.map(side => d[`${side}Impact`]))
+    .filter(impact => impact !== null);
+  const maxPriceImpact = visibleImpacts.length > 0 ? Math.max(...visibleImpacts) : 0;
   const maxTradeValue = Math.max(...chartData.map(d => d.tradeUsdValue || 0));
   const minTradeValue = Math.min(...chartData.map(d => d.tradeUsdValue || 0));
 
+  // Put X-axis ticks on the requested trade sizes, skipping any that sit too close to the
+  // previous tick on the log scale (e.g. $7M/$8M) so labels don't overlap
+  const xAxisTicks = [];
+  (tradeSizes || [])
+    .filter(size => size >= minTradeValue && size <= maxTradeValue)
+    .forEach(size => {
+      const previous = xAxisTicks[xAxisTicks.length - 1];
+      if (previous === undefined || Math.log10(size) - Math.log10(previous) >= 0.25) {
+        xAxisTicks.push(size);
+      }
+    });
+
   // Check if data exceeds the cap
   const hasDataAboveCap = maxPriceImpact > maxDisplayCap;
 
@@ -266,13 +333,32 @@ function LiquidityDepthChart({ buyDepth, sellDepth, inputToken, outputToken }) {
     <div className="liquidity-chart-container">
       <div className="chart-header">
         <div className="header-left-cluster">
-          {maxTradeValueWithinCap > 0 ? (
-            <span className="chart-meta">
-              Max trade within cap: <strong>{formatCurrency(maxTradeValueWithinCap)}</strong>
+          <div className="chart-legend">
+            {availableSides.map(side => (
+              <button
+                key={side}
+                type="button"
+                className={`legend-item ${hiddenSides.includes(side) ? 'legend-item-hidden' : ''}`}
+                onClick={() => toggleSide(side)}
+                title={hiddenSides.includes(side) ? `Show ${SIDES[side].label.toLowerCase()} curve` : `Hide ${SIDES[side].label.toLowerCase()} curve`}
+              >
+                <span className="legend-swatch" style={{ background: SIDES[side].color }} />
+                {SIDES[side].label}
+              </button>
+            ))}
+          </div>
+          {visibleSides.map(side => maxWithinCap[side] > 0 ? (
+            <span className="chart-meta" key={side}>
+              {SIDES[side].label} max within cap: <strong>{formatCurrency(maxWithinCap[side])}</strong>
             </span>
           ) : (
-            <span className="chart-meta" style={{ color: '#ef4444' }}>
-              No trades fit within {maxDisplayCap}% cap
+            <span className="chart-meta" key={side} style={{ color: '#ef4444' }}>
+              No {SIDES[side].label.toLowerCase()} trades fit within {maxDisplayCap}% cap
+            </span>
+          ))}
+          {(results?.sell || results?.buy)?.swapMode === 'ExactOut' && (
+            <span className="chart-meta" title="Each size is the USD value received; impact is what it costs to receive exactly that much">
+              Sized by amount received (ExactOut)
             </span>
           )}
           {hasDataAboveCap && (
@@ -282,6 +368,7 @@ function LiquidityDepthChart({ buyDepth, sellDepth, inputToken, outputToken }) {
           )}
         </div>
         <div className="header-right-cluster">
+          <DepthExportButtons results={results} inputToken={inputToken} outputToken={outputToken} />
           <div className="cap-control">
             <label htmlFor="impact-cap">Display Cap:</label>
             <input
@@ -296,7 +383,7 @@ function LiquidityDepthChart({ buyDepth, sellDepth, inputToken, outputToken }) {
                 setCapInputValue(inputValue);
                 const value = parseInt(inputValue, 10);
                 if (!isNaN(value) && value > 0 && value <= 1000) {
-                  setMaxDisplayCap(value);
+                  onMaxDisplayCapChange?.(value);
                 }
               }}
               onBlur={(e) => {
@@ -305,10 +392,10 @@ function LiquidityDepthChart({ buyDepth, sellDepth, inputToken, outputToken }) {
                   setCapInputValue(maxDisplayCap.toString());
                 } else if (value > 1000) {
                   setCapInputValue('1000');
-                  setMaxDisplayCap(1000);
+                  onMaxDisplayCapChange?.(1000);
                 } else {
                   setCapInputValue(value.toString());
-                  setMaxDisplayCap(value);
+                  onMaxDisplayCapChange?.(value);
                 }
               }}
               onFocus={(e) => e.target.select()}
@@ -334,6 +421,7 @@ function LiquidityDepthChart({ buyDepth, sellDepth, inputToken, outputToken }) {
               type="number"
               scale="log"
               domain={[minTradeValue, maxTradeValue]}
+              ticks={xAxisTicks.length > 0 ? xAxisTicks : undefined}
               tickFormatter={(value) => {
                 if (value >= 100_000_000) return `$${(value / 1_000_000).toFixed(0)}M`;
                 if (value >= 10_000_000) return `$${(value / 1_000_000).toFixed(0)}M`;
@@ -373,36 +461,42 @@ function LiquidityDepthChart({ buyDepth, sellDepth, inputToken, outputToken }) {
               content={<CustomTooltip />}
               cursor={{ stroke: 'rgba(255,255,255,0.15)', strokeWidth: 1 }}
               allowEscapeViewBox={{ x: false, y: false }}
-              shared={false}
               trigger="hover"
               animationDuration={0}
             />
-            <Line
-              type="monotone"
-              dataKey="priceImpact"
-              stroke="rgba(62,230,183,0.20)"
-              strokeWidth={6}
-              dot={false}
-              activeDot={false}
-              isAnimationActive={false}
-              connectNulls={false}
-              filter="url(#blur)"
-            />
-            <Line
-              type="monotone"
-              dataKey="priceImpact"
-              stroke="#3EE6B7"
-              strokeWidth={3}
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              dot={false}
-              activeDot={false}
-              isAnimationActive={true}
-              animationDuration={400}
-              animationEasing="ease-out"
-              connectNulls={false}
-              name="Price Impact"
-            />
+            {visibleSides.map(side => (
+              <Line
+                key={`${side}-glow`}
+                type="monotone"
+                dataKey={`${side}Impact`}
+                stroke={SIDES[side].glow}
+                strokeWidth={6}
+                dot={false}
+                activeDot={false}
+                isAnimationActive={false}
+                connectNulls={false}
+                filter="url(#blur)"
+                legendType="none"
+              />
+            ))}
+            {visibleSides.map(side => (
+              <Line
+                key={side}
+                type="monotone"
+                dataKey={`${side}Impact`}
+                stroke={SIDES[side].color}
+                strokeWidth={3}
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                dot={false}
+                activeDot={false}
+                isAnimationActive={true}
+                animationDuration={400}
+                animationEasing="ease-out"
+                connectNulls={false}
+                name={`${SIDES[side].label} Price Impact`}
+              />
+            ))}
           </LineChart>
         </ResponsiveContainer>
         <div className="axis-label-overlay">
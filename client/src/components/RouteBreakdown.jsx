@@ -0,0 +1,39 @@
+import React from 'react';
+import './RouteBreakdown.css';
+
+// Venues a depth point was routed through, one group per hop:
+//   Orca 60% · Raydium 40% → Meteora 100%
+// Shares are the leg's share of the amount entering its hop (route.legs[].shareOfInput)
+function RouteBreakdown({ route, compact = false }) {
+  if (!route || !route.legs || route.legs.length === 0) {
+    return <span className="route-breakdown route-unknown">—</span>;
+  }
+
+  const hops = [];
+  route.legs.forEach(leg => {
+    (hops[leg.hop - 1] = hops[leg.hop - 1] || []).push(leg);
+  });
+
+  return (
+    <span className={`route-breakdown ${compact ? 'route-compact' : ''}`}>
+      {hops.filter(Boolean).map((legs, index) => (
+        <React.Fragment key={index}>
+          {index > 0 && <span className="route-arrow">→</span>}
+          <span className="route-hop">
+            {legs
+              .slice()
+              .sort((a, b) => b.shareOfInput - a.shareOfInput)
+              .map((leg, legIndex) => (
+                <span className="route-leg" key={`${leg.ammKey || leg.venue}-${legIndex}`} title={leg.ammKey || undefined}>
+                  {legIndex > 0 && <span className="route-separator">·</span>}
+                  {leg.venue} <span className="route-share">{Math.round(leg.shareOfInput)}%</span>
+                </span>
+              ))}
+          </span>
+        </React.Fragment>
+      ))}
+    </span>
+  );
+}
+
+export default RouteBreakdown;
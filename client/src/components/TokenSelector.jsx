@@ -2,7 +2,7 @@ import React, { useState, useRef, useEffect } from 'react';
 import axios from 'axios';
 import './TokenSelector.css';
 
-const API_BASE = '/api';
+const API_BASE = '/api/v1';
 
 function TokenSelector({ label, selectedToken, onSelect, isSelected = false, onFocusChange }) {
   const [isOpen, setIsOpen] = useState(false);
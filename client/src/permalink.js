@@ -0,0 +1,47 @@
+// Shareable links for a liquidity analysis
+//
+// The app state that matters for a link lives in the query string:
+//   /?in=<mint>&out=<mint>&view=chart&cap=15&sizes=250,5k,25k&mode=exactout&run=1
+// in/out are token mints, view is "chart" or "table", cap is the chart's display cap (%),
+// sizes is an optional custom ladder, mode=exactout sizes trades by the amount received
+// and run=1 starts the calculation as soon as the link opens.
+
+export const VIEW_MODES = ['chart', 'table'];
+export const DEFAULT_CAP = 15;
+const MAX_CAP = 1000;
+
+// Parse a location.search string; anything missing or invalid is left undefined
+export function readPermalink(search) {
+  const params = new URLSearchParams(search);
+  const link = {};
+
+  if (params.get('in')) link.inputMint = params.get('in').trim();
+  if (params.get('out')) link.outputMint = params.get('out').trim();
+
+  const view = params.get('view');
+  if (VIEW_MODES.includes(view)) link.view = view;
+
+  const cap = parseInt(params.get('cap'), 10);
+  if (!isNaN(cap) && cap > 0 && cap <= MAX_CAP) link.cap = cap;
+
+  if (params.get('sizes')) link.sizes = params.get('sizes');
+  if (params.get('mode')?.toLowerCase() === 'exactout') link.swapMode = 'ExactOut';
+
+  link.run = params.get('run') === '1' || params.get('run') === 'true';
+  return link;
+}
+
+// Build the path + query string for the current state (defaults are left out to keep links short)
+export function buildPermalink({ inputMint, outputMint, view, cap, sizes, swapMode, run = false }) {
+  const params = new URLSearchParams();
+  if (inputMint) params.set('in', inputMint);
+  if (outputMint) params.set('out', outputMint);
+  if (view && view !== VIEW_MODES[0]) params.set('view', view);
+  if (cap && cap !== DEFAULT_CAP) params.set('cap', String(cap));
+  if (sizes) params.set('sizes', sizes);
+  if (swapMode === 'ExactOut') params.set('mode', 'exactout');
+  if (run) params.set('run', '1');
+
+  const query = params.toString();
+  return query ? `/?${query}` : '/';
+}
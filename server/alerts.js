@@ -0,0 +1,322 @@
+// Liquidity alerts: rules evaluated against every stored depth snapshot, delivered as webhooks
+//
+// Rules live in a JSON file (ALERTS_FILE, default server/alerts.json):
+//   { "webhookUrl": "http://127.0.0.1:3003/webhook",
+//     "rules": [
+//       { "name": "USX 2% depth", "inputMint": "...", "outputMint": "...", "isBuy": false,
+//         "metric": "maxSizeAtImpact", "impactPct": 2, "below": 1000000 },
+//       { "name": "SOL $100K impact", "inputMint": "...", "outputMint": "...", "isBuy": false,
+//         "metric": "impactAtSize", "sizeUsd": 100000, "risesByPct": 50, "window": "7d" } ] }
+//
+// Metrics: maxSizeAtImpact (USD, needs impactPct) or impactAtSize (%, needs sizeUsd).
+// Conditions: below / above an absolute value, or risesByPct / dropsByPct vs the median over `window`
+// of earlier snapshots. A rule fires once when it trips and once when it resolves, not on every run.
+import { createHmac, randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+import { impactAtSize, isLadderComplete, maxSizeAtImpact } from './depthHistory.js';
+import { parseDuration } from './schedule.js';
+import { logger } from './logger.js';
+
+// compute(depth, rule, complete) returns undefined when a ladder that was cut short (complete = false)
+// doesn't reach far enough to measure the metric. impactAtSize is null when a complete ladder couldn't route the size.
+const METRICS = {
+  maxSizeAtImpact: {
+    param: 'impactPct',
+    unit: 'USD',
+    compute: (depth, rule, complete) => maxSizeAtImpact(depth, rule.impactPct, { complete }) ?? undefined,
+  },
+  impactAtSize: {
+    param: 'sizeUsd',
+    unit: '%',
+    compute: (depth, rule, complete) => {
+      const impact = impactAtSize(depth, rule.sizeUsd);
+      return impact === null && !complete ? undefined : impact;
+    },
+  },
+};
+const CONDITIONS = ['below', 'above', 'risesByPct', 'dropsByPct'];
+const DEFAULT_WINDOW = '7d';
+const MIN_BASELINE_SNAPSHOTS = 3; // Don't compare against a "median" of one or two runs
+const DELIVERY_TIMEOUT = 10000;
+const RETRY_DELAYS = [1000, 5000, 30000]; // Waits between attempts (4 attempts in total)
+const MAX_DELIVERY_LOG = 200;
+
+// Read and validate the alert rules file
+export function loadAlertRules(path) {
+  const raw = JSON.parse(readFileSync(path, 'utf8'));
+  const list = Array.isArray(raw) ? raw : raw.rules;
+  if (!Array.isArray(list)) {
+    throw new Error('Alerts file must be an array of rules (or { "rules": [...] })');
+  }
+
+  const ids = new Set();
+  const rules = list.map((rule, index) => {
+    const label = rule.name || `rule ${index}`;
+    if (!rule.inputMint || !rule.outputMint) {
+      throw new Error(`Alert ${label}: inputMint and outputMint are required`);
+    }
+
+    const metric = METRICS[rule.metric];
+    if (!metric) {
+      throw new Error(`Alert ${label}: metric must be one of ${Object.keys(METRICS).join(', ')}`);
+    }
+    const param = Number(rule[metric.param]);
+    if (!isFinite(param) || param <= 0) {
+      throw new Error(`Alert ${label}: ${rule.metric} needs a positive ${metric.param}`);
+    }
+
+    const conditions = CONDITIONS.filter(condition => rule[condition] !== undefined);
+    if (conditions.length !== 1) {
+      throw new Error(`Alert ${label}: set exactly one of ${CONDITIONS.join(', ')}`);
+    }
+    const condition = conditions[0];
+    const threshold = Number(rule[condition]);
+    if (!isFinite(threshold) || threshold < 0) {
+      throw new Error(`Alert ${label}: ${condition} must be a non-negative number`);
+    }
+
+    const relative = condition === 'risesByPct' || condition === 'dropsByPct';
+    const windowMs = relative ? parseDuration(rule.window || DEFAULT_WINDOW) : null;
+    if (relative && !isFinite(windowMs)) {
+      throw new Error(`Alert ${label}: window must be a duration like "7d" or "12h"`);
+    }
+
+    let id = String(rule.id || rule.name || `rule-${index}`).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    while (ids.has(id)) id = `${id}-${index}`;
+    ids.add(id);
+
+    return {
+      id,
+      name: rule.name || id,
+      inputMint: rule.inputMint,
+      outputMint: rule.outputMint,
+      isBuy: Boolean(rule.isBuy),
+      metric: rule.metric,
+      [metric.param]: param,
+      condition,
+      threshold,
+      window: relative ? (rule.window || DEFAULT_WINDOW) : null,
+      windowMs,
+      webhookUrl: rule.webhookUrl || null,
+    };
+  });
+
+  return { rules, webhookUrl: Array.isArray(raw) ? null : raw.webhookUrl || null };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function describeRule(rule) {
+  const metric = rule.metric === 'maxSizeAtImpact'
+    ? `max size at ${rule.impactPct}% impact`
+    : `impact at $${rule.sizeUsd.toLocaleString()}`;
+  switch (rule.condition) {
+    case 'below': return `${metric} below ${rule.threshold}`;
+    case 'above': return `${metric} above ${rule.threshold}`;
+    case 'risesByPct': return `${metric} rises more than ${rule.threshold}% vs ${rule.window} median`;
+    default: return `${metric} drops more than ${rule.threshold}% vs ${rule.window} median`;
+  }
+}
+
+// history: depth history store (optional - relative rules are skipped without it)
+// http: axios-like client used for webhook POSTs, secret signs payloads (X-Signature: sha256=<hmac>)
+export function createAlertEngine({ rules, history, http, webhookUrl, secret, retryDelays = RETRY_DELAYS }) {
+  const states = new Map(rules.map(rule => [rule.id, {
+    rule,
+    status: 'ok',
+    lastValue: null,
+    lastBaseline: null,
+    lastEvaluatedAt: null,
+    lastTriggeredAt: null,
+    skipped: null,
+  }]));
+  const deliveries = [];
+
+  function record(delivery) {
+    deliveries.unshift(delivery);
+    if (deliveries.length > MAX_DELIVERY_LOG) deliveries.pop();
+  }
+
+  // POST the payload, retrying network errors, 429s and 5xx responses
+  async function deliver(url, payload) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', 'X-Alert-Delivery': payload.deliveryId };
+    if (secret) {
+      headers['X-Signature'] = `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+
+    const delivery = {
+      id: payload.deliveryId,
+      ruleId: payload.rule.id,
+      event: payload.event,
+      url,
+      status: 'pending',
+      attempts: [],
+      createdAt: payload.timestamp,
+      deliveredAt: null,
+    };
+    record(delivery);
+
+    for (let attempt = 0; attempt <= retryDelays.length; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const response = await http.post(url, body, { headers, timeout: DELIVERY_TIMEOUT });
+        delivery.attempts.push({ at: new Date(startedAt).toISOString(), statusCode: response.status, durationMs: Date.now() - startedAt });
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        logger.info(`📨 Alert ${payload.rule.id} delivered to ${url} (attempt ${attempt + 1})`);
+        return delivery;
+      } catch (error) {
+        const statusCode = error.response?.status || null;
+        delivery.attempts.push({
+          at: new Date(startedAt).toISOString(),
+          statusCode,
+          error: error.message,
+          durationMs: Date.now() - startedAt,
+        });
+        const retryable = !statusCode || statusCode === 429 || statusCode >= 500;
+        if (!retryable || attempt === retryDelays.length) break;
+        logger.warn(`⚠️ Alert ${payload.rule.id} delivery failed (${statusCode || error.message}), retrying in ${retryDelays[attempt] / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, retryDelays[attempt]));
+      }
+    }
+
+    delivery.status = 'failed';
+    logger.error(`❌ Alert ${payload.rule.id} could not be delivered to ${url} after ${delivery.attempts.length} attempts`);
+    return delivery;
+  }
+
+  function send(rule, event, details) {
+    const url = rule.webhookUrl || webhookUrl;
+    const payload = {
+      deliveryId: randomUUID(),
+      event,
+      timestamp: new Date().toISOString(),
+      rule: {
+        id: rule.id,
+        name: rule.name,
+        description: describeRule(rule),
+      },
+      pair: { inputMint: rule.inputMint, outputMint: rule.outputMint, isBuy: rule.isBuy },
+      ...details,
+    };
+    if (!url) {
+      logger.warn(`⚠️ Alert ${rule.id} ${event} but no webhook URL is configured`);
+      record({ id: payload.deliveryId, ruleId: rule.id, event, url: null, status: 'skipped', attempts: [], createdAt: payload.timestamp, deliveredAt: null });
+      return Promise.resolve(null);
+    }
+    return deliver(url, payload);
+  }
+
+  // Median of the rule's metric over earlier snapshots in its window (null if too few)
+  function baselineFor(rule, snapshot) {
+    if (!history) return null;
+    const snapshotTime = Date.parse(snapshot.metadata?.timestamp) || Date.now();
+    // The newest snapshots in the window, if it holds more than the query returns
+    const { snapshots } = history.query({
+      inputMint: rule.inputMint,
+      outputMint: rule.outputMint,
+      isBuy: rule.isBuy,
+      swapMode: 'ExactIn',
+      from: snapshotTime - rule.windowMs,
+      to: snapshotTime,
+    });
+    const values = snapshots
+      .filter(previous => previous.id !== snapshot.metadata?.snapshotId && previous.depth.length > 0)
+      .map(previous => METRICS[rule.metric].compute(previous.depth, rule, isLadderComplete(previous)))
+      .filter(value => value !== null && value !== undefined);
+    return values.length >= MIN_BASELINE_SNAPSHOTS ? median(values) : null;
+  }
+
+  // Evaluate one rule against a value; returns { tripped, changePct } or null if it can't be evaluated
+  function check(rule, value, baseline) {
+    // impactAtSize is null when the size can't be routed at all - as bad as it gets
+    const effective = value === null ? Infinity : value;
+    switch (rule.condition) {
+      case 'below': return { tripped: effective < rule.threshold };
+      case 'above': return { tripped: effective > rule.threshold };
+      default: {
+        if (baseline === null || baseline === 0) return null;
+        const changePct = ((effective - baseline) / baseline) * 100;
+        return {
+          tripped: rule.condition === 'risesByPct' ? changePct > rule.threshold : -changePct > rule.threshold,
+          changePct: isFinite(changePct) ? changePct : null,
+        };
+      }
+    }
+  }
+
+  // Check every rule matching a saved /api/liquidity-depth response
+  // Resolves once all webhook deliveries triggered by it have finished (including retries)
+  async function evaluate(snapshot) {
+    const matching = Array.from(states.values()).filter(({ rule }) =>
+      rule.inputMint === snapshot.inputMint &&
+      rule.outputMint === snapshot.outputMint &&
+      rule.isBuy === Boolean(snapshot.isBuy));
+    // A calculation that collected nothing (rate limited, upstream down) says nothing about liquidity
+    if (matching.length === 0 || !snapshot.depth || snapshot.depth.length === 0) return [];
+
+    const complete = isLadderComplete(snapshot);
+    const pending = [];
+    for (const state of matching) {
+      const { rule } = state;
+      const value = METRICS[rule.metric].compute(snapshot.depth, rule, complete);
+      // A ladder cut short by rate limits, the time limit or the quote budget can't tell whether liquidity changed
+      if (value === undefined) {
+        state.lastEvaluatedAt = new Date().toISOString();
+        state.skipped = 'The depth calculation stopped before reaching the sizes this rule needs';
+        continue;
+      }
+      const baseline = rule.windowMs ? baselineFor(rule, snapshot) : null;
+      const result = check(rule, value, baseline);
+
+      state.lastEvaluatedAt = new Date().toISOString();
+      state.lastValue = value;
+      state.lastBaseline = baseline;
+      if (!result) {
+        state.skipped = `Need at least ${MIN_BASELINE_SNAPSHOTS} snapshots in the last ${rule.window} for a baseline`;
+        continue;
+      }
+      state.skipped = null;
+
+      const status = result.tripped ? 'triggered' : 'ok';
+      if (status === state.status) continue;
+      state.status = status;
+      if (result.tripped) state.lastTriggeredAt = state.lastEvaluatedAt;
+
+      logger.warn(`🚨 Alert ${rule.id} ${status === 'triggered' ? 'triggered' : 'resolved'}: ${describeRule(rule)} (value: ${value})`);
+      pending.push(send(rule, status === 'triggered' ? 'alert.triggered' : 'alert.resolved', {
+        metric: {
+          name: rule.metric,
+          unit: METRICS[rule.metric].unit,
+          value,
+          baseline,
+          changePct: result.changePct ?? null,
+          threshold: rule.threshold,
+        },
+        snapshotId: snapshot.metadata?.snapshotId ?? null,
+        snapshotTimestamp: snapshot.metadata?.timestamp || null,
+      }));
+    }
+    return Promise.all(pending);
+  }
+
+  function describe(state) {
+    const { rule, ...status } = state;
+    const { windowMs, ...config } = rule;
+    return { ...config, description: describeRule(rule), ...status };
+  }
+
+  return {
+    evaluate,
+    has: (id) => states.has(id),
+    // Send a test payload for a rule without changing its state
+    test: (id) => send(states.get(id).rule, 'alert.test', { metric: null, snapshotId: null }),
+    list: () => Array.from(states.values()).map(describe),
+    deliveries: () => deliveries,
+  };
+}
@@ -0,0 +1,71 @@
+// Alert evaluation against depth snapshots (run with npm test in server/)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAlertEngine } from './alerts.js';
+import { isLadderComplete, maxSizeAtImpact } from './depthHistory.js';
+
+const INPUT_MINT = 'So11111111111111111111111111111111111111112';
+const OUTPUT_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const LADDER = [100000, 500000, 1000000, 5000000];
+
+const maxSizeRule = {
+  id: 'max-size-2pct',
+  name: 'max size at 2%',
+  inputMint: INPUT_MINT,
+  outputMint: OUTPUT_MINT,
+  isBuy: false,
+  metric: 'maxSizeAtImpact',
+  impactPct: 2,
+  condition: 'below',
+  threshold: 1000000,
+  window: null,
+  windowMs: null,
+  webhookUrl: null,
+};
+
+function snapshot(points, { tradeSizes = LADDER, exhausted = false } = {}) {
+  return {
+    inputMint: INPUT_MINT,
+    outputMint: OUTPUT_MINT,
+    isBuy: false,
+    depth: points.map(([tradeUsdValue, priceImpact]) => ({ tradeUsdValue, priceImpact })),
+    tradeSizes,
+    metadata: { timestamp: new Date().toISOString(), quoteBudget: { limit: 200, used: 10, exhausted } },
+  };
+}
+
+test('a ladder cut short below the threshold size is not evaluated', async () => {
+  const engine = createAlertEngine({ rules: [maxSizeRule], http: { post: async () => ({ status: 200 }) } });
+  // 429s above $500K: every collected point is well within 2% impact
+  const deliveries = await engine.evaluate(snapshot([[100000, 0.1], [500000, 0.4]]));
+
+  assert.deepEqual(deliveries, []);
+  const [state] = engine.list();
+  assert.equal(state.status, 'ok');
+  assert.equal(state.lastTriggeredAt, null);
+  assert.match(state.skipped, /stopped before reaching/);
+});
+
+test('an exhausted quote budget makes the ladder incomplete', () => {
+  const points = [[100000, 0.1], [500000, 0.4], [1000000, 0.8], [5000000, 1.5]];
+  assert.equal(isLadderComplete(snapshot(points)), true);
+  assert.equal(isLadderComplete(snapshot(points, { exhausted: true })), false);
+  assert.equal(isLadderComplete(snapshot(points.slice(0, 2))), false);
+});
+
+test('a truncated ladder still measures a threshold it crossed', async () => {
+  const engine = createAlertEngine({ rules: [maxSizeRule], http: { post: async () => ({ status: 200 }) } });
+  await engine.evaluate(snapshot([[100000, 0.5], [500000, 3]]));
+
+  const [state] = engine.list();
+  assert.equal(state.status, 'triggered');
+  assert.ok(state.lastValue > 100000 && state.lastValue < 500000);
+  assert.equal(state.skipped, null);
+});
+
+test('maxSizeAtImpact is unknown only when no point crosses the threshold of an incomplete ladder', () => {
+  const depth = [{ tradeUsdValue: 100000, priceImpact: 0.1 }, { tradeUsdValue: 500000, priceImpact: 0.4 }];
+  assert.equal(maxSizeAtImpact(depth, 2), 500000);
+  assert.equal(maxSizeAtImpact(depth, 2, { complete: false }), null);
+  assert.equal(maxSizeAtImpact(depth, 0.05, { complete: false }), 0);
+});
@@ -0,0 +1,221 @@
+// API keys for this server, with per-key request quotas and concurrency limits
+//
+// Keys come from a JSON file (API_KEYS_FILE, default server/api-keys.json) and/or API_KEYS=name:key,name:key:
+//   { "keys": [
+//       { "name": "research-notebooks", "key": "...", "quota": 500, "windowSeconds": 3600, "concurrency": 2 },
+//       { "name": "market-bot", "key": "..." } ] }
+// quota, windowSeconds and concurrency fall back to the defaults passed in (API_KEY_QUOTA,
+// API_KEY_QUOTA_WINDOW_SECONDS, API_KEY_CONCURRENCY). Clients send the key as X-API-Key or
+// Authorization: Bearer <key>.
+//
+// Once any key is configured, routes guarded with guard() answer 401 without a valid key, and 429 with
+// Retry-After when the key has made `quota` requests in the last `windowSeconds` (a rolling window) or
+// already has `concurrency` requests in progress. Without keys the guard lets everything through.
+// Usage is kept in process memory: it resets on restart and isn't shared between serverless instances.
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { logger } from './logger.js';
+
+const MIN_KEY_LENGTH = 16;
+const CONCURRENCY_RETRY_AFTER = 5; // Seconds - a depth calculation usually frees its slot well within this
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+// Read the keys file: an array of keys or { "keys": [...] }
+export function loadApiKeys(path) {
+  const raw = JSON.parse(readFileSync(path, 'utf8'));
+  const list = Array.isArray(raw) ? raw : raw.keys;
+  if (!Array.isArray(list)) {
+    throw new Error('API keys file must be an array of keys (or { "keys": [...] })');
+  }
+  return list;
+}
+
+// API_KEYS=name:key,name:key (keys use the default quota and concurrency)
+export function parseApiKeysEnv(value = '') {
+  return value.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const separator = item.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('API_KEYS entries must be name:key');
+    }
+    return { name: item.slice(0, separator), key: item.slice(separator + 1) };
+  });
+}
+
+// Positive number from a key entry, or the default
+function limitFor(entry, field, fallback) {
+  if (entry[field] === undefined) return fallback;
+  const value = Number(entry[field]);
+  if (!isFinite(value) || value <= 0) {
+    throw new Error(`API key ${entry.name}: ${field} must be a positive number`);
+  }
+  return value;
+}
+
+// keys: entries from loadApiKeys / parseApiKeysEnv (validated here - throws on a bad entry)
+// onRequest({ key, outcome }) is called for every guarded request (outcome: accepted, unauthorized,
+// quota_exceeded or concurrency_limited)
+export function createApiKeyGuard({ keys = [], quota = 60, windowSeconds = 3600, concurrency = 2, onRequest = () => {} }) {
+  const byHash = new Map();
+  const names = new Set();
+
+  for (const entry of keys) {
+    if (!entry.name || typeof entry.key !== 'string') {
+      throw new Error('Every API key needs a name and a key');
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`API key ${entry.name}: duplicate name`);
+    }
+    if (entry.key.length < MIN_KEY_LENGTH) {
+      throw new Error(`API key ${entry.name}: keys must be at least ${MIN_KEY_LENGTH} characters`);
+    }
+    const hash = hashKey(entry.key);
+    if (byHash.has(hash)) {
+      throw new Error(`API key ${entry.name}: same key as ${byHash.get(hash).name}`);
+    }
+    names.add(entry.name);
+    byHash.set(hash, {
+      name: entry.name,
+      quota: Math.floor(limitFor(entry, 'quota', quota)),
+      windowMs: limitFor(entry, 'windowSeconds', windowSeconds) * 1000,
+      concurrency: Math.floor(limitFor(entry, 'concurrency', concurrency)),
+      requests: [], // Accepted request times within the window, oldest first
+      active: 0,
+      total: 0,
+      rejected: { quota: 0, concurrency: 0 },
+      routes: {},
+      lastUsedAt: null,
+    });
+  }
+
+  const enabled = byHash.size > 0;
+
+  function prune(state, now) {
+    while (state.requests.length > 0 && state.requests[0] <= now - state.windowMs) {
+      state.requests.shift();
+    }
+  }
+
+  function keyFrom(req) {
+    const header = req.get('x-api-key');
+    if (header) return header.trim();
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+
+  const resetSeconds = (state, now) => (state.requests.length > 0
+    ? Math.max(1, Math.ceil((state.requests[0] + state.windowMs - now) / 1000))
+    : 0);
+
+  // Express middleware; with { limit: false } it only checks the key (for reading usage)
+  // Sets req.apiKey = { name, keep() } - keep() hands the concurrency slot to work that outlives the
+  // response (a depth job) and returns the function that frees it
+  function guard({ limit = true } = {}) {
+    return (req, res, next) => {
+      if (!enabled) return next();
+
+      const presented = keyFrom(req);
+      const state = presented ? byHash.get(hashKey(presented)) : null;
+      if (!state) {
+        onRequest({ key: '', outcome: 'unauthorized' });
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json(presented
+          ? { error: 'Invalid API key', code: 'INVALID_API_KEY' }
+          : { error: 'An API key is required (X-API-Key header or Authorization: Bearer)', code: 'MISSING_API_KEY' });
+      }
+      if (!limit) {
+        req.apiKey = { name: state.name };
+        return next();
+      }
+
+      const now = Date.now();
+      prune(state, now);
+      res.set('X-RateLimit-Limit', String(state.quota));
+
+      if (state.requests.length >= state.quota) {
+        const retryAfter = resetSeconds(state, now);
+        state.rejected.quota++;
+        onRequest({ key: state.name, outcome: 'quota_exceeded' });
+        res.set({ 'Retry-After': String(retryAfter), 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(retryAfter) });
+        return res.status(429).json({
+          error: `Quota of ${state.quota} requests per ${state.windowMs / 1000}s used up for this API key`,
+          code: 'QUOTA_EXCEEDED',
+          retryAfterSeconds: retryAfter,
+        });
+      }
+      if (state.active >= state.concurrency) {
+        state.rejected.concurrency++;
+        onRequest({ key: state.name, outcome: 'concurrency_limited' });
+        res.set('Retry-After', String(CONCURRENCY_RETRY_AFTER));
+        return res.status(429).json({
+          error: `This API key already has ${state.concurrency} requests in progress`,
+          code: 'CONCURRENCY_LIMIT',
+          retryAfterSeconds: CONCURRENCY_RETRY_AFTER,
+        });
+      }
+
+      state.requests.push(now);
+      state.active++;
+      state.total++;
+      state.lastUsedAt = new Date(now).toISOString();
+      const route = `${req.method} ${req.route ? req.route.path : req.path}`;
+      state.routes[route] = (state.routes[route] || 0) + 1;
+      onRequest({ key: state.name, outcome: 'accepted' });
+      res.set({
+        'X-RateLimit-Remaining': String(state.quota - state.requests.length),
+        'X-RateLimit-Reset': String(resetSeconds(state, now)),
+      });
+
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        state.active--;
+      };
+      // The slot is freed when the response is done (or the client goes away) unless keep() took it over
+      let kept = false;
+      res.once('close', () => {
+        if (!kept) release();
+      });
+      req.apiKey = {
+        name: state.name,
+        keep() {
+          kept = true;
+          return release;
+        },
+      };
+      logger.debug(`🔑 API key ${state.name}: ${route} (${state.requests.length}/${state.quota} in window, ${state.active} active)`);
+      next();
+    };
+  }
+
+  function describe(state) {
+    const now = Date.now();
+    prune(state, now);
+    return {
+      name: state.name,
+      quota: state.quota,
+      windowSeconds: state.windowMs / 1000,
+      used: state.requests.length,
+      remaining: Math.max(0, state.quota - state.requests.length),
+      resetSeconds: resetSeconds(state, now),
+      concurrency: state.concurrency,
+      active: state.active,
+      totalRequests: state.total,
+      rejected: { ...state.rejected },
+      routes: { ...state.routes },
+      lastUsedAt: state.lastUsedAt,
+    };
+  }
+
+  return {
+    enabled,
+    guard,
+    // Usage for one key by name (null if unknown)
+    usage: (name) => {
+      const state = [...byHash.values()].find(candidate => candidate.name === name);
+      return state ? describe(state) : null;
+    },
+    status: () => [...byHash.values()].map(describe),
+  };
+}
@@ -0,0 +1,79 @@
+// Cache of whole depth results, keyed by pair, direction and calculation options
+//
+// A result is served as-is for `ttlSeconds`. For `staleSeconds` after that it is still served straight
+// away (stale-while-revalidate) while one background calculation refreshes it; older entries are
+// recalculated before responding. Identical calculations already running are shared, and `fresh`
+// bypasses the cached result (the new result replaces it). `exclusive` calculations (depth jobs, which
+// stream progress and can be cancelled) neither join nor are joined by others, but still fill the cache.
+
+import { logger } from './logger.js';
+
+const DEFAULT_MAX_ENTRIES = 200;
+
+// isCancelled(result): the calculation was aborted and the result is partial - never cached or shared
+export function createDepthCache({ ttlSeconds, staleSeconds, maxEntries = DEFAULT_MAX_ENTRIES, isCacheable = () => true, isCancelled = () => false }) {
+  const ttl = Math.max(0, ttlSeconds) * 1000;
+  const staleWindow = Math.max(0, staleSeconds) * 1000;
+  const entries = new Map(); // key -> { result, cachedAt }, least- to most-recently used
+  const running = new Map(); // key -> promise of an in-progress calculation
+
+  function remember(key, result) {
+    if (ttl === 0 || isCancelled(result) || !isCacheable(result)) return;
+    entries.delete(key);
+    entries.set(key, { result, cachedAt: Date.now() });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // Run calculate() once per key at a time and cache what it returns
+  function calculateOnce(key, calculate) {
+    if (!running.has(key)) {
+      const promise = Promise.resolve()
+        .then(calculate)
+        // Everyone waiting shares this result, so a cancelled (partial) one is calculated again
+        .then(result => (isCancelled(result) ? calculate() : result))
+        .then(result => {
+          remember(key, result);
+          return { result, cachedAt: Date.now() };
+        })
+        .finally(() => running.delete(key));
+      running.set(key, promise);
+    }
+    return running.get(key);
+  }
+
+  // Resolves to { result, cachedAt, status } - status is 'hit', 'stale' (refresh started) or 'miss'
+  // calculate() is only called on a miss; a stale entry is refreshed in the background with refresh()
+  // exclusive: run calculate() on its own instead of sharing a running calculation for the key
+  async function get(key, calculate, { fresh = false, refresh = calculate, exclusive = false } = {}) {
+    const entry = entries.get(key);
+    const age = entry ? Date.now() - entry.cachedAt : Infinity;
+
+    if (!fresh && age < ttl) {
+      entries.delete(key);
+      entries.set(key, entry);
+      return { ...entry, status: 'hit' };
+    }
+    if (!fresh && age < ttl + staleWindow) {
+      calculateOnce(key, refresh).catch(error => {
+        logger.warn(`⚠️ Background depth refresh failed: ${error.message}`);
+      });
+      return { ...entry, status: 'stale' };
+    }
+
+    if (exclusive) {
+      const result = await calculate();
+      remember(key, result);
+      return { result, cachedAt: Date.now(), status: 'miss' };
+    }
+    const { result, cachedAt } = await calculateOnce(key, calculate);
+    return { result, cachedAt, status: 'miss' };
+  }
+
+  function stats() {
+    return { entries: entries.size, refreshing: running.size, ttlSeconds: ttl / 1000, staleSeconds: staleWindow / 1000 };
+  }
+
+  return { get, stats };
+}
@@ -0,0 +1,79 @@
+// CSV export of liquidity depth results
+//
+// One row per depth point. Every row repeats the pair, side and response metadata so the file
+// stays self-describing when rows from several calculations are concatenated or filtered.
+// The frontend export (client/src/components/DepthExportButtons.jsx) writes the same columns.
+
+export const DEPTH_CSV_COLUMNS = [
+  'side',
+  'inputMint',
+  'outputMint',
+  'tradeUsdValue',
+  'amount',
+  'outputAmount',
+  'receiveUsdValue',
+  'price',
+  'priceImpact',
+  'slippage',
+  'rawInputAmount',
+  'rawOutputAmount',
+  'route',
+  'baselinePrice',
+  'provider',
+  'timestamp',
+  'calculationTime',
+  'snapshotId',
+  'warning',
+];
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Route as one cell, hops separated by ">" and split legs by "+": "Orca 60% + Raydium 40% > Meteora 100%"
+function routeCell(route) {
+  if (!route?.legs) return '';
+  const hops = [];
+  route.legs.forEach(leg => {
+    (hops[leg.hop - 1] = hops[leg.hop - 1] || []).push(`${leg.venue} ${leg.shareOfInput}%`);
+  });
+  return hops.filter(Boolean).map(legs => legs.join(' + ')).join(' > ');
+}
+
+// Rows for one /api/liquidity-depth response
+function depthRows(response) {
+  const metadata = response.metadata || {};
+  return (response.depth || []).map(point => ({
+    side: response.isBuy ? 'buy' : 'sell',
+    inputMint: response.inputMint,
+    outputMint: response.outputMint,
+    tradeUsdValue: point.tradeUsdValue,
+    amount: point.amount,
+    outputAmount: point.outputAmount,
+    receiveUsdValue: point.receiveUsdValue,
+    price: point.price,
+    priceImpact: point.priceImpact,
+    slippage: point.slippage,
+    rawInputAmount: point.rawInputAmount,
+    rawOutputAmount: point.rawOutputAmount,
+    route: routeCell(point.route),
+    baselinePrice: response.baselinePrice,
+    provider: metadata.provider,
+    timestamp: metadata.timestamp,
+    calculationTime: metadata.calculationTime,
+    snapshotId: metadata.snapshotId,
+    warning: response.warning,
+  }));
+}
+
+// CSV for one or more depth responses (e.g. the buy and sell side of a pair)
+export function depthToCsv(responses) {
+  const rows = [].concat(responses).flatMap(depthRows);
+  const lines = [
+    DEPTH_CSV_COLUMNS.join(','),
+    ...rows.map(row => DEPTH_CSV_COLUMNS.map(column => csvCell(row[column])).join(',')),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,180 @@
+// SQLite store for historical liquidity depth snapshots
+//
+// Every depth calculation is saved as a snapshot (pair, direction, provider, depth points, warnings)
+// so liquidity for a pair can be tracked over days. The database is a single embedded file;
+// it is created on first use and the schema is applied with CREATE ... IF NOT EXISTS.
+// The SQLite driver (better-sqlite3, a server/ dependency) is loaded when the store is created, so
+// deployments without it - the Vercel function installs only the root package.json - still load this module.
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+// Trade sizes reported by GET /api/history when the request doesn't pick its own
+export const DEFAULT_HISTORY_SIZES = [100000, 1000000, 10000000]; // $100K, $1M, $10M
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS depth_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    input_mint TEXT NOT NULL,
+    output_mint TEXT NOT NULL,
+    is_buy INTEGER NOT NULL,
+    provider TEXT,
+    created_at INTEGER NOT NULL,
+    depth TEXT NOT NULL,
+    warnings TEXT NOT NULL,
+    trade_sizes TEXT,
+    calculation_ms INTEGER,
+    swap_mode TEXT NOT NULL DEFAULT 'ExactIn'
+  );
+  CREATE INDEX IF NOT EXISTS depth_snapshots_pair_time
+    ON depth_snapshots (input_mint, output_mint, is_buy, created_at);
+`;
+
+// Price impact at a USD trade size, interpolated between the two surrounding depth points
+// (log scale on trade size, linear on impact). Returns null outside the measured range -
+// above the largest point the pair could not be routed, so there is no honest value.
+export function impactAtSize(depth, usdAmount) {
+  const points = (depth || [])
+    .filter(point => point.tradeUsdValue > 0 && point.priceImpact !== undefined && point.priceImpact !== null)
+    .sort((a, b) => a.tradeUsdValue - b.tradeUsdValue);
+  if (points.length === 0) return null;
+
+  for (let i = 0; i < points.length; i++) {
+    const upper = points[i];
+    if (Math.abs(upper.tradeUsdValue - usdAmount) / usdAmount < 0.01) return upper.priceImpact;
+    if (upper.tradeUsdValue > usdAmount) {
+      if (i === 0) return null;
+      const lower = points[i - 1];
+      const ratio = (Math.log10(usdAmount) - Math.log10(lower.tradeUsdValue)) /
+        (Math.log10(upper.tradeUsdValue) - Math.log10(lower.tradeUsdValue));
+      return lower.priceImpact + (upper.priceImpact - lower.priceImpact) * ratio;
+    }
+  }
+  return null;
+}
+
+// Whether every size of the requested ladder has a depth point and the quote budget held out.
+// Rate limits, the calculation time limit and the quote budget cut ladders short; such a snapshot
+// says nothing about sizes above its largest point. Snapshots without a stored ladder count as complete.
+export function isLadderComplete({ depth, tradeSizes, metadata }) {
+  if (metadata?.quoteBudget?.exhausted) return false;
+  if (!Array.isArray(tradeSizes)) return true;
+  const measured = (depth || []).map(point => point.tradeUsdValue).filter(size => size > 0);
+  return tradeSizes.every(size => measured.some(value => Math.abs(value - size) / size < 0.01));
+}
+
+// Largest USD trade size whose price impact stays within impactPct, interpolated where the
+// depth crosses the threshold. Returns 0 if even the smallest point exceeds it. If no point does,
+// the true limit is at least the largest measured size: that size is returned for a complete
+// ladder, and null (unknown) when the ladder was cut short.
+export function maxSizeAtImpact(depth, impactPct, { complete = true } = {}) {
+  const points = (depth || [])
+    .filter(point => point.tradeUsdValue > 0 && point.priceImpact !== undefined && point.priceImpact !== null)
+    .sort((a, b) => a.tradeUsdValue - b.tradeUsdValue);
+  if (points.length === 0 || points[0].priceImpact > impactPct) return 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const lower = points[i - 1];
+    const upper = points[i];
+    if (upper.priceImpact > impactPct) {
+      const ratio = (impactPct - lower.priceImpact) / (upper.priceImpact - lower.priceImpact);
+      const logSize = Math.log10(lower.tradeUsdValue) +
+        (Math.log10(upper.tradeUsdValue) - Math.log10(lower.tradeUsdValue)) * ratio;
+      return Math.pow(10, logSize);
+    }
+  }
+  return complete ? points[points.length - 1].tradeUsdValue : null;
+}
+
+function toSnapshot(row) {
+  return {
+    id: row.id,
+    inputMint: row.input_mint,
+    outputMint: row.output_mint,
+    isBuy: row.is_buy === 1,
+    provider: row.provider,
+    timestamp: new Date(row.created_at).toISOString(),
+    depth: JSON.parse(row.depth),
+    warnings: JSON.parse(row.warnings),
+    tradeSizes: row.trade_sizes ? JSON.parse(row.trade_sizes) : null,
+    calculationMs: row.calculation_ms,
+    swapMode: row.swap_mode,
+  };
+}
+
+export async function createDepthHistoryStore({ path }) {
+  const { default: Database } = await import('better-sqlite3');
+  mkdirSync(dirname(path), { recursive: true });
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  // Databases created before ExactOut support don't have the swap_mode column yet
+  if (!db.prepare('PRAGMA table_info(depth_snapshots)').all().some(column => column.name === 'swap_mode')) {
+    db.exec("ALTER TABLE depth_snapshots ADD COLUMN swap_mode TEXT NOT NULL DEFAULT 'ExactIn'");
+  }
+
+  const insertStatement = db.prepare(`
+    INSERT INTO depth_snapshots
+      (input_mint, output_mint, is_buy, provider, created_at, depth, warnings, trade_sizes, calculation_ms, swap_mode)
+    VALUES
+      (@inputMint, @outputMint, @isBuy, @provider, @createdAt, @depth, @warnings, @tradeSizes, @calculationMs, @swapMode)
+  `);
+
+  // Save a /api/liquidity-depth response as a snapshot, returns the snapshot id
+  function save(response) {
+    const { inputMint, outputMint, isBuy, swapMode, depth, tradeSizes, metadata = {} } = response;
+    const warnings = response.warning ? [response.warning] : [];
+    const result = insertStatement.run({
+      inputMint,
+      outputMint,
+      isBuy: isBuy ? 1 : 0,
+      provider: metadata.provider || null,
+      createdAt: metadata.timestamp ? Date.parse(metadata.timestamp) : Date.now(),
+      depth: JSON.stringify(depth || []),
+      warnings: JSON.stringify(warnings),
+      tradeSizes: tradeSizes ? JSON.stringify(tradeSizes) : null,
+      calculationMs: parseInt(metadata.calculationTime, 10) || null,
+      swapMode: swapMode || 'ExactIn',
+    });
+    return Number(result.lastInsertRowid);
+  }
+
+  // Snapshots for a pair between from and to (epoch ms): { snapshots, truncated }
+  // Returns the newest `limit` snapshots in the window, oldest first; truncated is set when older ones were left out
+  // isBuy is optional - both directions are returned when it is omitted
+  // swapMode defaults to ExactIn so ExactOut runs don't mix into the same series
+  function query({ inputMint, outputMint, isBuy, swapMode = 'ExactIn', from, to, limit = 1000 }) {
+    const conditions = ['input_mint = @inputMint', 'output_mint = @outputMint', 'swap_mode = @swapMode'];
+    // One row more than the limit tells whether the window holds more
+    const params = { inputMint, outputMint, swapMode, limit: limit + 1 };
+    if (isBuy !== undefined) {
+      conditions.push('is_buy = @isBuy');
+      params.isBuy = isBuy ? 1 : 0;
+    }
+    if (from !== undefined) {
+      conditions.push('created_at >= @from');
+      params.from = from;
+    }
+    if (to !== undefined) {
+      conditions.push('created_at <= @to');
+      params.to = to;
+    }
+
+    const rows = db.prepare(`
+      SELECT * FROM depth_snapshots
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC, id DESC
+      LIMIT @limit
+    `).all(params);
+    const truncated = rows.length > limit;
+    return {
+      snapshots: rows.slice(0, limit).reverse().map(toSnapshot),
+      truncated,
+    };
+  }
+
+  return {
+    save,
+    query,
+    close: () => db.close(),
+  };
+}
@@ -0,0 +1,101 @@
+// In-memory store for asynchronous liquidity depth jobs
+//
+// POST /api/depth-jobs creates a job and returns immediately; the calculation runs in the
+// background and every progress event is recorded so late SSE subscribers can replay it.
+// Jobs live in process memory only - they do not survive restarts and are not shared
+// between serverless instances.
+import { randomUUID } from 'crypto';
+import { logger } from './logger.js';
+
+const JOB_TTL = 10 * 60 * 1000; // Keep finished jobs for 10 minutes
+
+export function createDepthJobStore({ run, ttl = JOB_TTL }) {
+  const jobs = new Map();
+
+  function publish(job, type, data) {
+    const event = { id: job.events.length, type, data };
+    job.events.push(event);
+    for (const listener of job.listeners) {
+      listener(event);
+    }
+  }
+
+  function finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.listeners.clear();
+    job.onFinish?.();
+    // Drop the job (and its recorded events) once nobody can reasonably still want it
+    setTimeout(() => jobs.delete(job.id), ttl).unref();
+  }
+
+  // onFinish() is called once the job is done, failed or cancelled
+  // owner: name of the API key that started the job (null without API keys)
+  function create(params, { onFinish, owner = null } = {}) {
+    const job = {
+      id: randomUUID(),
+      params,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      result: null,
+      error: null,
+      events: [],
+      listeners: new Set(),
+      controller: new AbortController(),
+      onFinish,
+      owner,
+    };
+    jobs.set(job.id, job);
+
+    const emit = (type, data) => publish(job, type, data);
+
+    run(params, { emit, signal: job.controller.signal })
+      .then(result => {
+        job.result = result;
+        emit('done', result);
+        finish(job, job.controller.signal.aborted ? 'cancelled' : 'done');
+      })
+      .catch(error => {
+        logger.error(`❌ Depth job ${job.id} failed:`, error);
+        job.error = error.message || 'Failed to calculate liquidity depth';
+        emit('failed', { error: job.error });
+        finish(job, 'failed');
+      });
+
+    return job;
+  }
+
+  // Replay events after lastEventId, then stream new ones until the job finishes
+  // Returns an unsubscribe function
+  function subscribe(job, listener, lastEventId = -1) {
+    for (const event of job.events) {
+      if (event.id > lastEventId) listener(event);
+    }
+    if (job.status !== 'running') {
+      return () => {};
+    }
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+  }
+
+  function cancel(job) {
+    if (job.status === 'running') {
+      job.controller.abort();
+    }
+  }
+
+  // Public view of a job (no listeners/controller)
+  function describe(job) {
+    const { id, params, status, createdAt, finishedAt, result, error, events } = job;
+    return { id, params, status, createdAt, finishedAt, eventCount: events.length, result, error };
+  }
+
+  return {
+    create,
+    get: (id) => jobs.get(id) || null,
+    subscribe,
+    cancel,
+    describe,
+  };
+}
@@ -0,0 +1,181 @@
+// Health tracking and circuit breakers for upstream endpoints
+//
+// Every call made through run(endpoint, task) is recorded in a rolling window per endpoint (the last
+// `windowSize` calls within `windowSeconds`), which gives its error rate and latency percentiles.
+// Only network errors, timeouts and 5xx responses count as failures - a 400 for an unroutable amount
+// or a 429 (handled by the quote scheduler) says nothing about whether the endpoint is up.
+//
+// Circuit states:
+//   closed    - calls go through
+//   open      - the error rate reached `errorRate` over at least `minRequests` calls, `consecutiveFailures`
+//               calls failed in a row, or the host doesn't resolve; calls are rejected with code CIRCUIT_OPEN
+//               for `openSeconds`, doubled each time a probe fails (up to MAX_OPEN_SECONDS)
+//   half-open - the open period is over; one probe call goes through, its outcome closes or reopens the circuit
+
+import { logger } from './logger.js';
+
+const DEFAULT_WINDOW_SIZE = 50;
+const DEFAULT_WINDOW_SECONDS = 300;
+const MAX_OPEN_SECONDS = 600;
+// Hosts that no longer exist (token.jup.ag) - no point waiting for more failures
+const DEAD_HOST_CODES = ['ENOTFOUND'];
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function isEndpointFailure(error) {
+  if (error.code === 'CIRCUIT_OPEN') return false;
+  if (error.response) return error.response.status >= 500;
+  return Boolean(error.request || error.code); // No response: connection refused, DNS, TLS, timeout
+}
+
+export function createEndpointHealth({
+  errorRate = 0.5,
+  minRequests = 5,
+  consecutiveFailures = 3,
+  openSeconds = 30,
+  windowSize = DEFAULT_WINDOW_SIZE,
+  windowSeconds = DEFAULT_WINDOW_SECONDS,
+} = {}) {
+  const endpoints = new Map();
+
+  function endpointFor(name) {
+    if (!endpoints.has(name)) {
+      endpoints.set(name, {
+        name,
+        state: 'closed',
+        samples: [], // { at, ok, latencyMs }, oldest first
+        consecutiveFailures: 0,
+        openedFor: 0, // Current open period in ms
+        retryAt: 0,
+        probing: false,
+        rejected: 0,
+        lastError: null,
+        lastFailureAt: null,
+      });
+    }
+    return endpoints.get(name);
+  }
+
+  function prune(endpoint, now) {
+    const cutoff = now - windowSeconds * 1000;
+    while (endpoint.samples.length > 0 && (endpoint.samples.length > windowSize || endpoint.samples[0].at < cutoff)) {
+      endpoint.samples.shift();
+    }
+  }
+
+  function open(endpoint, now) {
+    endpoint.openedFor = endpoint.openedFor
+      ? Math.min(MAX_OPEN_SECONDS * 1000, endpoint.openedFor * 2)
+      : openSeconds * 1000;
+    endpoint.state = 'open';
+    endpoint.retryAt = now + endpoint.openedFor;
+    logger.warn(`🔌 Circuit open for ${endpoint.name} - skipping it for ${endpoint.openedFor / 1000}s (${endpoint.lastError})`);
+  }
+
+  function record(endpoint, { ok, latencyMs, error }) {
+    const now = Date.now();
+    endpoint.samples.push({ at: now, ok, latencyMs });
+    prune(endpoint, now);
+
+    if (ok) {
+      endpoint.consecutiveFailures = 0;
+      if (endpoint.state === 'half-open') {
+        logger.info(`🔌 Circuit closed for ${endpoint.name} - probe succeeded`);
+        endpoint.state = 'closed';
+        endpoint.openedFor = 0;
+        endpoint.samples = [endpoint.samples[endpoint.samples.length - 1]]; // Failures before the outage don't count against it
+      }
+      return;
+    }
+
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+    endpoint.lastFailureAt = new Date(now).toISOString();
+
+    if (endpoint.state === 'half-open') {
+      open(endpoint, now);
+      return;
+    }
+    const failures = endpoint.samples.filter(sample => !sample.ok).length;
+    if (DEAD_HOST_CODES.includes(error.code) ||
+        endpoint.consecutiveFailures >= consecutiveFailures ||
+        (endpoint.samples.length >= minRequests && failures / endpoint.samples.length >= errorRate)) {
+      open(endpoint, now);
+    }
+  }
+
+  // Whether a call to the endpoint would go through right now (moves open circuits to half-open when due)
+  function isAvailable(name) {
+    const endpoint = endpointFor(name);
+    if (endpoint.state === 'open' && Date.now() >= endpoint.retryAt) {
+      endpoint.state = 'half-open';
+    }
+    if (endpoint.state === 'half-open') return !endpoint.probing;
+    return endpoint.state === 'closed';
+  }
+
+  // Run task() against the endpoint, recording its outcome; rejects with code CIRCUIT_OPEN while the circuit is open
+  async function run(name, task) {
+    const endpoint = endpointFor(name);
+    if (!isAvailable(name)) {
+      endpoint.rejected++;
+      const error = new Error(`${name} is unavailable (circuit ${endpoint.state}, last error: ${endpoint.lastError})`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    const probe = endpoint.state === 'half-open';
+    if (probe) endpoint.probing = true;
+    const startedAt = Date.now();
+    try {
+      const result = await task();
+      record(endpoint, { ok: true, latencyMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      if (isEndpointFailure(error)) {
+        record(endpoint, { ok: false, latencyMs: Date.now() - startedAt, error });
+      } else {
+        record(endpoint, { ok: true, latencyMs: Date.now() - startedAt });
+      }
+      throw error;
+    } finally {
+      if (probe) endpoint.probing = false;
+    }
+  }
+
+  // Same provider with quote() tracked under its upstream url
+  function wrapProvider(provider) {
+    return {
+      ...provider,
+      quote: (request) => run(provider.url, () => provider.quote(request)),
+    };
+  }
+
+  function status() {
+    const now = Date.now();
+    return [...endpoints.values()].map(endpoint => {
+      prune(endpoint, now);
+      const latencies = endpoint.samples.map(sample => sample.latencyMs).sort((a, b) => a - b);
+      const failures = endpoint.samples.filter(sample => !sample.ok).length;
+      isAvailable(endpoint.name); // Report open circuits that are due for a probe as half-open
+      return {
+        endpoint: endpoint.name,
+        state: endpoint.state,
+        requests: endpoint.samples.length,
+        failures,
+        errorRate: endpoint.samples.length > 0 ? Number((failures / endpoint.samples.length).toFixed(3)) : 0,
+        latencyMs: { p50: percentile(latencies, 50), p90: percentile(latencies, 90), p99: percentile(latencies, 99) },
+        consecutiveFailures: endpoint.consecutiveFailures,
+        rejected: endpoint.rejected,
+        lastError: endpoint.lastError,
+        lastFailureAt: endpoint.lastFailureAt,
+        ...(endpoint.state === 'open' && { retryAt: new Date(endpoint.retryAt).toISOString() }),
+      };
+    });
+  }
+
+  return { run, isAvailable, wrapProvider, status };
+}
@@ -1,13 +1,36 @@
-// Set Node.js TLS to not reject unauthorized certificates (MUST be before any imports)
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-
 import express from 'express';
 import cors from 'cors';
 import axios from 'axios';
 import dotenv from 'dotenv';
-import https from 'https';
+import { existsSync } from 'fs';
+import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import {
+  createJupiterProvider,
+  createJupiterStandardProvider,
+  createJupiterUltraProvider,
+  createProviderRegistry,
+  normalizeRoutePlan,
+} from './providers/index.js';
+import { createDepthJobStore } from './depthJobs.js';
+import { DEFAULT_TRADE_SIZES, MIN_TRADE_SIZE, MAX_TRADE_SIZE, parseTradeSizeLadder } from './tradeSizes.js';
+import { createDepthHistoryStore, DEFAULT_HISTORY_SIZES, impactAtSize } from './depthHistory.js';
+import { createWatchlistScheduler, loadWatchlist } from './watchlist.js';
+import { createAlertEngine, loadAlertRules } from './alerts.js';
+import { depthToCsv } from './depthExport.js';
+import { createPriceOracle } from './pricing.js';
+import { toRawAmount, fromRawAmount } from './rawAmounts.js';
+import { createQuoteScheduler } from './quoteScheduler.js';
+import { createQuoteCache } from './quoteCache.js';
+import { createDepthCache } from './depthCache.js';
+import { createEndpointHealth } from './endpointHealth.js';
+import { logger, logContext, withLogContext } from './logger.js';
+import { createMetricsRegistry } from './metrics.js';
+import { isPublicKey, validate, validateRequest, validationError } from './validation.js';
+import { createOpenApiDocument } from './openapi.js';
+import { createApiKeyGuard, loadApiKeys, parseApiKeysEnv } from './apiKeys.js';
+import { createTlsConfig, isCertificateError } from './tls.js';
 
 // Only load .env file if not in Vercel environment
 if (!process.env.VERCEL && !process.env.VERCEL_ENV) {
@@ -23,30 +46,30 @@ if (!process.env.VERCEL && !process.env.VERCEL_ENV) {
     // Fallback: try loading from root directory
     result = dotenv.config({ path: rootEnvPath });
     if (result.error) {
-      console.warn(`⚠️  Could not load .env from ${serverEnvPath} or ${rootEnvPath}:`, result.error.message);
+      logger.warn(`⚠️  Could not load .env from ${serverEnvPath} or ${rootEnvPath}:`, result.error.message);
     } else {
-      console.log(`✅ Loaded .env from ${rootEnvPath}`);
+      logger.info(`✅ Loaded .env from ${rootEnvPath}`);
     }
   } else {
-    console.log(`✅ Loaded .env from ${serverEnvPath}`);
+    logger.info(`✅ Loaded .env from ${serverEnvPath}`);
   }
 }
 
-// Log SSL configuration on startup
-console.log('🔒 SSL Configuration:', {
-  NODE_TLS_REJECT_UNAUTHORIZED: process.env.NODE_TLS_REJECT_UNAUTHORIZED,
-  note: 'SSL verification disabled for development'
-});
+// LOG_LEVEL: debug (every quote and trade size), info (default), warn, error or silent
+if (process.env.LOG_LEVEL && !logger.setLevel(process.env.LOG_LEVEL)) {
+  logger.warn(`⚠️ Unknown LOG_LEVEL ${process.env.LOG_LEVEL} - using info`);
+}
 
-// Configure HTTPS agent to handle SSL certificates (for development)
-// WARNING: This disables SSL verification - only use in development!
-const httpsAgent = new https.Agent({
-  rejectUnauthorized: false
+// Upstream TLS: certificates are verified unless INSECURE_TLS=true (local debugging only)
+// EXTRA_CA_CERTS: PEM file with extra CAs to trust, e.g. a corporate proxy's (see tls.js)
+const tlsConfig = createTlsConfig({
+  extraCaCerts: process.env.EXTRA_CA_CERTS,
+  insecure: process.env.INSECURE_TLS === 'true',
 });
 
 // Create axios instance with HTTPS agent configured
 const axiosInstance = axios.create({
-  httpsAgent: httpsAgent,
+  httpsAgent: tlsConfig.agent,
   timeout: 15000,
 });
 
@@ -56,6 +79,16 @@ const PORT = process.env.PORT || 3001;
 app.use(cors());
 app.use(express.json());
 
+// Correlation id per request: the caller's X-Request-Id if it sends a sane one, otherwise a new UUID
+// It is echoed back in the response and added to every log line written while handling the request
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+app.use((req, res, next) => {
+  const requestId = REQUEST_ID_PATTERN.test(req.get('x-request-id') || '') ? req.get('x-request-id') : randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  withLogContext({ requestId }, next);
+});
+
 // Jupiter API configuration
 // Using paid API with API key for higher rate limits
 // API key must be set via JUPITER_API_KEY environment variable
@@ -69,26 +102,278 @@ const STANDARD_API_KEY = process.env.STANDARD_API_KEY;
 const JUPITER_WALLET_ADDRESS = process.env.JUPITER_WALLET_ADDRESS;
 
 if (JUPITER_WALLET_ADDRESS) {
-  console.log(`✅ Using wallet address for USD* quotes: ${JUPITER_WALLET_ADDRESS.slice(0, 8)}...`);
+  logger.info(`✅ Using wallet address for USD* quotes: ${JUPITER_WALLET_ADDRESS.slice(0, 8)}...`);
 } else {
-  console.warn('⚠️ JUPITER_WALLET_ADDRESS not set - USD* quotes may be inaccurate without wallet balance');
+  logger.warn('⚠️ JUPITER_WALLET_ADDRESS not set - USD* quotes may be inaccurate without wallet balance');
 }
 
 if (!JUPITER_API_KEY) {
-  console.warn('⚠️ WARNING: JUPITER_API_KEY environment variable not set. API requests may be rate limited.');
-  console.warn('   Set JUPITER_API_KEY in your .env file or environment variables.');
+  logger.warn('⚠️ WARNING: JUPITER_API_KEY environment variable not set. API requests may be rate limited. Set JUPITER_API_KEY in your .env file or environment variables.');
 } else {
-  console.log(`✅ JUPITER_API_KEY loaded: ${JUPITER_API_KEY.slice(0, 8)}...`);
+  logger.info(`✅ JUPITER_API_KEY loaded: ${JUPITER_API_KEY.slice(0, 8)}...`);
+}
+// Upstream URLs can be overridden to point at another deployment or the local mock server
+// (see mock-jupiter.js - e.g. JUPITER_ULTRA_API_URL=http://127.0.0.1:3002/ultra/order)
+const JUPITER_QUOTE_URL = process.env.JUPITER_QUOTE_URL || 'https://api.jup.ag/swap/v1/quote';
+const JUPITER_ULTRA_API_URL = process.env.JUPITER_ULTRA_API_URL || 'https://ultra-api.jup.ag/order';
+const JUPITER_TOKEN_URL = process.env.JUPITER_TOKEN_URL || 'https://api.jup.ag/tokens/v1/all';
+const JUPITER_SEARCH_URL = process.env.JUPITER_SEARCH_URL || 'https://datapi.jup.ag/v1/assets/search';
+const JUPITER_PRICE_URL = process.env.JUPITER_PRICE_URL || 'https://lite-api.jup.ag/price/v3';
+
+// Try multiple Jupiter token endpoints to get all available tokens
+// Order: Most comprehensive first, then fallbacks
+// NOTE: Jupiter's token list endpoints only include tokens that meet liquidity requirements
+// (at least $500 liquidity, <30% price impact). Tokens like JUP, USX, eUSX may be routable
+// but not in the official list, so we manually add them via importantTokens.
+// API plan (free vs paid) does NOT affect token list availability - only rate limits.
+// Jupiter's official token list endpoints (prioritize these)
+// These are the current working endpoints as of 2024
+// NOTE: datapi.jup.ag/v1/assets/search is a search API (returns limited results), not a list-all API
+// We prioritize endpoints that return comprehensive token lists
+const DEFAULT_TOKEN_ENDPOINTS = [
+  'https://token.jup.ag/all',                    // Jupiter's comprehensive token list (ALL tokens - primary source)
+  'https://token.jup.ag/strict',                // Jupiter's strict token list (verified tokens only)
+  // Data API - used by Jupiter frontend for search, but limited results
+  'https://datapi.jup.ag/v1/assets/search?query=', // Jupiter's Data API (search - returns limited results)
+  // Legacy/deprecated endpoints (kept as fallbacks but may not work)
+  'https://tokens.jup.ag/all',                  // Alternative Jupiter endpoint
+  'https://tokens.jup.ag/tokens_with_markets',  // All tradable tokens with markets
+  'https://tokens.jup.ag/tokens?tags=verified', // Verified tokens only
+  // Fallback to Solana official token list only if Jupiter endpoints fail
+  'https://raw.githubusercontent.com/solana-labs/token-list/main/src/tokens/solana.tokenlist.json', // Solana official token list (fallback)
+  'https://cdn.jsdelivr.net/gh/solana-labs/token-list@main/src/tokens/solana.tokenlist.json', // CDN version (fallback)
+];
+
+// JUPITER_TOKEN_ENDPOINTS replaces the whole list (comma-separated)
+const JUPITER_TOKEN_ENDPOINTS = process.env.JUPITER_TOKEN_ENDPOINTS
+  ? process.env.JUPITER_TOKEN_ENDPOINTS.split(',').map(endpoint => endpoint.trim()).filter(Boolean)
+  : DEFAULT_TOKEN_ENDPOINTS;
+
+// Health and circuit breakers per upstream endpoint (see endpointHealth.js)
+// An endpoint is skipped for CIRCUIT_OPEN_SECONDS (doubling while probes keep failing) once CIRCUIT_ERROR_RATE
+// of its last calls (at least CIRCUIT_MIN_REQUESTS) or 3 in a row failed
+const endpointHealth = createEndpointHealth({
+  errorRate: parseFloat(process.env.CIRCUIT_ERROR_RATE || '0.5'),
+  minRequests: parseInt(process.env.CIRCUIT_MIN_REQUESTS || '5', 10),
+  openSeconds: parseFloat(process.env.CIRCUIT_OPEN_SECONDS || '30'),
+});
+
+// Prometheus metrics, served on /metrics (see metrics.js)
+const metricsRegistry = createMetricsRegistry();
+const metrics = {
+  quoteRequests: metricsRegistry.counter({
+    name: 'depth_quote_requests_total',
+    help: 'Upstream quote requests by provider, endpoint and HTTP status (or error code when there was no response)',
+    labelNames: ['provider', 'endpoint', 'status'],
+  }),
+  quoteDuration: metricsRegistry.histogram({
+    name: 'depth_quote_duration_seconds',
+    help: 'Upstream quote request latency',
+    labelNames: ['provider'],
+  }),
+  quoteRateLimited: metricsRegistry.counter({
+    name: 'depth_quote_rate_limited_total',
+    help: 'Upstream quote requests answered with 429',
+    labelNames: ['provider'],
+  }),
+  quoteRetries: metricsRegistry.counter({
+    name: 'depth_quote_retries_total',
+    help: 'Quote attempts retried after a failed attempt',
+    labelNames: ['provider'],
+  }),
+  calculationDuration: metricsRegistry.histogram({
+    name: 'depth_calculation_duration_seconds',
+    help: 'Duration of liquidity depth calculations (one side)',
+    labelNames: ['side', 'swap_mode'],
+    buckets: [1, 2.5, 5, 10, 20, 30, 60, 120, 180],
+  }),
+  pointsRequested: metricsRegistry.counter({
+    name: 'depth_points_requested_total',
+    help: 'Trade sizes requested by depth calculations',
+    labelNames: ['side'],
+  }),
+  pointsCollected: metricsRegistry.counter({
+    name: 'depth_points_collected_total',
+    help: 'Requested trade sizes that got a depth point (binary-search points in between are not counted)',
+    labelNames: ['side'],
+  }),
+  binarySearchIterations: metricsRegistry.histogram({
+    name: 'depth_binary_search_iterations',
+    help: 'Iterations of each max-liquidity binary search, downward from a failed size or upward from the largest working one',
+    labelNames: ['direction'],
+    buckets: [1, 2, 3, 4, 5, 6, 7, 8],
+  }),
+  apiKeyRequests: metricsRegistry.counter({
+    name: 'depth_api_key_requests_total',
+    help: 'Requests to key-guarded routes by API key name and outcome (accepted, unauthorized, quota_exceeded, concurrency_limited)',
+    labelNames: ['key', 'outcome'],
+  }),
+};
+metricsRegistry.gauge({
+  name: 'depth_token_list_cache_age_seconds',
+  help: 'Age of the cached token list (absent until the list is first loaded)',
+  collect: () => (tokenListCacheTime ? (Date.now() - tokenListCacheTime) / 1000 : null),
+});
+
+// Count and time every upstream quote call (inside the scheduler, so queueing isn't counted as latency)
+function instrumentProvider(provider) {
+  return {
+    ...provider,
+    async quote(request) {
+      const stopTimer = metrics.quoteDuration.startTimer({ provider: provider.name });
+      let status = '200';
+      try {
+        return await provider.quote(request);
+      } catch (error) {
+        status = String(error.response?.status || error.code || 'error');
+        if (status === '429') metrics.quoteRateLimited.inc({ provider: provider.name });
+        throw error;
+      } finally {
+        stopTimer();
+        metrics.quoteRequests.inc({ provider: provider.name, endpoint: provider.url, status });
+      }
+    },
+  };
+}
+
+// Quote scheduling (see quoteScheduler.js): one token bucket per API key with QUOTE_RPS requests/second
+// (JUPITER_API_RPS / STANDARD_API_RPS override it per key) and up to QUOTE_CONCURRENCY quotes in flight.
+// Providers using the same key - or both using none - share a bucket.
+const QUOTE_RPS = parseFloat(process.env.QUOTE_RPS || '10');
+const QUOTE_CONCURRENCY = parseInt(process.env.QUOTE_CONCURRENCY || '4', 10);
+const RATE_LIMIT_RETRY_DELAY = 1000; // First shared pause after a 429 without Retry-After
+const quoteScheduler = createQuoteScheduler({ backoff: RATE_LIMIT_RETRY_DELAY });
+
+function quoteBucketFor(apiKey, rps) {
+  const name = apiKey ? `key ${apiKey.slice(0, 8)}...` : 'no key';
+  if (!quoteScheduler.hasBucket(name)) {
+    quoteScheduler.addBucket(name, { rate: rps, concurrency: QUOTE_CONCURRENCY });
+  }
+  return name;
+}
+
+// Quote providers - each aggregator/endpoint implements the same quote() contract
+// so the depth engine can run against any of them (see providers/index.js)
+// Health is tracked inside the scheduler, so queueing time doesn't count as endpoint latency
+const ultraProvider = quoteScheduler.wrapProvider(endpointHealth.wrapProvider(instrumentProvider(createJupiterUltraProvider({
+  http: axiosInstance,
+  url: JUPITER_ULTRA_API_URL,
+  apiKey: JUPITER_API_KEY,
+  walletAddress: JUPITER_WALLET_ADDRESS,
+}))), quoteBucketFor(JUPITER_API_KEY, parseFloat(process.env.JUPITER_API_RPS || QUOTE_RPS)));
+const standardProvider = quoteScheduler.wrapProvider(endpointHealth.wrapProvider(instrumentProvider(createJupiterStandardProvider({
+  http: axiosInstance,
+  url: JUPITER_QUOTE_URL,
+  // Use Standard API key (the main API key may only work with Ultra API)
+  apiKey: STANDARD_API_KEY,
+  walletAddress: JUPITER_WALLET_ADDRESS,
+}))), quoteBucketFor(STANDARD_API_KEY, parseFloat(process.env.STANDARD_API_RPS || QUOTE_RPS)));
+const quoteProviders = createProviderRegistry([
+  createJupiterProvider({ ultra: ultraProvider, standard: standardProvider }),
+  ultraProvider,
+  standardProvider,
+], 'jupiter');
+
+// USD prices for sizing pairs whose quote token isn't a $1 stablecoin (see pricing.js)
+// PRICE_SOURCE=quote (default) uses a small USDC reference quote, PRICE_SOURCE=jupiter the Price API
+const priceOracle = createPriceOracle({
+  getQuote,
+  getDecimals: getTokenDecimals,
+  http: { get: (url, config) => endpointHealth.run(JUPITER_PRICE_URL, () => axiosInstance.get(url, config)) },
+  source: process.env.PRICE_SOURCE || 'quote',
+  priceUrl: JUPITER_PRICE_URL,
+  apiKey: JUPITER_API_KEY,
+});
+
+const SERVER_DIR = dirname(fileURLToPath(import.meta.url));
+
+// Depth history (SQLite snapshots of every calculation)
+// Disabled on serverless deployments, where the filesystem doesn't outlive the request
+const DEPTH_HISTORY_DB = process.env.DEPTH_HISTORY_DB || join(SERVER_DIR, 'data', 'depth-history.db');
+let depthHistory = null;
+if (process.env.DEPTH_HISTORY_ENABLED !== 'false' && process.env.VERCEL !== '1' && !process.env.VERCEL_ENV) {
+  try {
+    depthHistory = await createDepthHistoryStore({ path: DEPTH_HISTORY_DB });
+    logger.info(`🗄️  Depth history: ${DEPTH_HISTORY_DB}`);
+  } catch (error) {
+    logger.warn(`⚠️  Depth history disabled - could not open ${DEPTH_HISTORY_DB}:`, error.message);
+  }
+}
+
+// Liquidity alerts: rules from ALERTS_FILE (default server/alerts.json) checked against every depth result
+// Webhooks go to the rule's webhookUrl, the file's webhookUrl or ALERT_WEBHOOK_URL
+const ALERTS_FILE = process.env.ALERTS_FILE || join(SERVER_DIR, 'alerts.json');
+let alerts = null;
+let alertsError = null;
+if (existsSync(ALERTS_FILE)) {
+  try {
+    const { rules, webhookUrl } = loadAlertRules(ALERTS_FILE);
+    alerts = createAlertEngine({
+      rules,
+      history: depthHistory,
+      http: axiosInstance,
+      webhookUrl: webhookUrl || process.env.ALERT_WEBHOOK_URL,
+      secret: process.env.ALERT_WEBHOOK_SECRET,
+    });
+    logger.info(`🚨 Alerts: ${rules.length} rules from ${ALERTS_FILE}`);
+  } catch (error) {
+    alertsError = error.message;
+    logger.error(`❌ Could not load alert rules ${ALERTS_FILE}:`, error.message);
+  }
+} else if (process.env.ALERTS_FILE) {
+  alertsError = `Alerts file not found: ${ALERTS_FILE}`;
+}
+
+// API keys for our own clients (see apiKeys.js), from API_KEYS_FILE (default server/api-keys.json) and API_KEYS
+// Once any key is configured, the routes that spend upstream quotes need one
+const API_KEYS_FILE = process.env.API_KEYS_FILE || join(SERVER_DIR, 'api-keys.json');
+let apiKeys = null;
+let apiKeysError = null;
+try {
+  if (process.env.API_KEYS_FILE && !existsSync(API_KEYS_FILE)) {
+    throw new Error(`API keys file not found: ${API_KEYS_FILE}`);
+  }
+  apiKeys = createApiKeyGuard({
+    keys: [
+      ...(existsSync(API_KEYS_FILE) ? loadApiKeys(API_KEYS_FILE) : []),
+      ...parseApiKeysEnv(process.env.API_KEYS),
+    ],
+    quota: parseInt(process.env.API_KEY_QUOTA || '60', 10),
+    windowSeconds: parseFloat(process.env.API_KEY_QUOTA_WINDOW_SECONDS || '3600'),
+    concurrency: parseInt(process.env.API_KEY_CONCURRENCY || '2', 10),
+    onRequest: ({ key, outcome }) => metrics.apiKeyRequests.inc({ key, outcome }),
+  });
+  if (apiKeys.enabled) {
+    logger.info(`🔑 API keys: ${apiKeys.status().length} keys, required on quote-spending routes`);
+  } else {
+    logger.info('🔓 No API keys configured - quote-spending routes are open to anyone');
+  }
+} catch (error) {
+  apiKeysError = error.message;
+  logger.error('❌ Could not load API keys:', error.message);
+}
+
+// Guard for routes that spend upstream quotes - a broken key configuration shuts them rather than opening them
+function requireApiKey(options) {
+  if (!apiKeys) {
+    return (req, res) => res.status(503).json({ error: 'API keys could not be loaded - see the server log', code: 'API_KEYS_UNAVAILABLE' });
+  }
+  return apiKeys.guard(options);
 }
-const JUPITER_QUOTE_URL = 'https://api.jup.ag/swap/v1/quote';
-const JUPITER_ULTRA_API_URL = 'https://ultra-api.jup.ag/order';
-const JUPITER_TOKEN_URL = 'https://api.jup.ag/tokens/v1/all';
 
-// Rate limit handling (reduced delays for paid API)
-let lastQuoteTime = 0;
-const MIN_QUOTE_INTERVAL = 100; // Reduced to 100ms for paid API (was 300ms for free)
-const LARGE_AMOUNT_DELAY = 100; // Reduced delay for large amounts (was 300ms)
-const RATE_LIMIT_RETRY_DELAY = 1000; // Reduced retry delay (was 2000ms)
+// Depth options (custom ladder, swapMode, maxQuotes) as middleware, so a bad ladder is answered with
+// a 400 before requireApiKey charges the caller's quota; the parsed options go on req.depthOptions
+// select(req) picks the parameters to parse (the query string by default)
+function validateDepthOptions(select = (req) => req.query) {
+  return (req, res, next) => {
+    const depthOptions = parseDepthOptions(select(req));
+    if (depthOptions.error) {
+      return res.status(400).json(depthOptions.error);
+    }
+    req.depthOptions = depthOptions;
+    next();
+  };
+}
 
 // Cache for token list
 let tokenListCache = null;
@@ -102,37 +387,19 @@ async function getTokenList() {
     return tokenListCache;
   }
 
-  // Try multiple Jupiter token endpoints to get all available tokens
-  // Order: Most comprehensive first, then fallbacks
-  // NOTE: Jupiter's token list endpoints only include tokens that meet liquidity requirements
-  // (at least $500 liquidity, <30% price impact). Tokens like JUP, USX, eUSX may be routable
-  // but not in the official list, so we manually add them via importantTokens.
-  // API plan (free vs paid) does NOT affect token list availability - only rate limits.
-  // Jupiter's official token list endpoints (prioritize these)
-  // These are the current working endpoints as of 2024
-  // NOTE: datapi.jup.ag/v1/assets/search is a search API (returns limited results), not a list-all API
-  // We prioritize endpoints that return comprehensive token lists
-  const tokenEndpoints = [
-    'https://token.jup.ag/all',                    // Jupiter's comprehensive token list (ALL tokens - primary source)
-    'https://token.jup.ag/strict',                // Jupiter's strict token list (verified tokens only)
-    // Data API - used by Jupiter frontend for search, but limited results
-    'https://datapi.jup.ag/v1/assets/search?query=', // Jupiter's Data API (search - returns limited results)
-    // Legacy/deprecated endpoints (kept as fallbacks but may not work)
-    'https://tokens.jup.ag/all',                  // Alternative Jupiter endpoint
-    'https://tokens.jup.ag/tokens_with_markets',  // All tradable tokens with markets
-    'https://tokens.jup.ag/tokens?tags=verified', // Verified tokens only
-    // Fallback to Solana official token list only if Jupiter endpoints fail
-    'https://raw.githubusercontent.com/solana-labs/token-list/main/src/tokens/solana.tokenlist.json', // Solana official token list (fallback)
-    'https://cdn.jsdelivr.net/gh/solana-labs/token-list@main/src/tokens/solana.tokenlist.json', // CDN version (fallback)
-  ];
+  const tokenEndpoints = JUPITER_TOKEN_ENDPOINTS;
 
   let allTokens = [];
   const tokenMap = new Map(); // Use Map to deduplicate by address
   
-  // Try all endpoints and combine results
+  // Try all endpoints and combine results, skipping endpoints whose circuit is open
   for (const endpoint of tokenEndpoints) {
+    if (!endpointHealth.isAvailable(endpoint)) {
+      logger.info(`⏭️ Skipping token endpoint ${endpoint} (circuit open)`);
+      continue;
+    }
     try {
-      console.log(`🔍 Trying token endpoint: ${endpoint}`);
+      logger.info(`🔍 Trying token endpoint: ${endpoint}`);
       const headers = {
         'Accept': 'application/json',
         'User-Agent': 'Solana-Liquidity-Depth/1.0'
@@ -143,10 +410,10 @@ async function getTokenList() {
         headers['x-api-key'] = JUPITER_API_KEY;
       }
       
-      const response = await axiosInstance.get(endpoint, {
+      const response = await endpointHealth.run(endpoint, () => axiosInstance.get(endpoint, {
         headers,
         timeout: 15000
-      });
+      }));
       
       let tokens = response.data;
       
@@ -179,7 +446,7 @@ async function getTokenList() {
       }
       
       if (Array.isArray(tokens) && tokens.length > 0) {
-        console.log(`✅ Loaded ${tokens.length} tokens from ${endpoint}`);
+        logger.info(`✅ Loaded ${tokens.length} tokens from ${endpoint}`);
         
         // Add tokens to map (deduplicate by address)
         let addedCount = 0;
@@ -203,20 +470,20 @@ async function getTokenList() {
             }
           }
         }
-        console.log(`   Added ${addedCount} new tokens (${tokenMap.size} total unique tokens)`);
+        logger.info(`   Added ${addedCount} new tokens (${tokenMap.size} total unique tokens)`);
         
         // Continue trying all endpoints to get maximum token coverage
         // Different endpoints may have different tokens, so combine them all
         // Don't stop early - Jupiter has multiple endpoints with different token sets
         // The 'all' endpoint might have different tokens than 'strict' or API endpoints
       } else {
-        console.warn(`⚠️ Endpoint ${endpoint} returned empty or invalid data`);
+        logger.warn(`⚠️ Endpoint ${endpoint} returned empty or invalid data`);
       }
     } catch (error) {
       const errorMsg = error.response?.data?.error || error.message || 'Unknown error';
       const errorCode = error.code;
       const statusCode = error.response?.status;
-      console.warn(`❌ Token endpoint ${endpoint} failed:`, {
+      logger.warn(`❌ Token endpoint ${endpoint} failed:`, {
         code: errorCode,
         status: statusCode,
         message: errorMsg,
@@ -230,11 +497,11 @@ async function getTokenList() {
   let tokens = Array.from(tokenMap.values());
 
   if (!tokens || tokens.length === 0) {
-    console.warn('⚠️ No tokens loaded from any endpoint, using fallback tokens');
+    logger.warn('⚠️ No tokens loaded from any endpoint, using fallback tokens');
     return getFallbackTokens();
   }
   
-  console.log(`📊 Combined ${tokens.length} unique tokens from all sources`);
+  logger.info(`📊 Combined ${tokens.length} unique tokens from all sources`);
     
   // Normalize token structure - handle various token list formats
   // Create a standardized structure that works with all Jupiter endpoints
@@ -291,7 +558,7 @@ async function getTokenList() {
   });
   
   if (tokens.length === 0) {
-    console.warn('No valid tokens after normalization, using fallback');
+    logger.warn('No valid tokens after normalization, using fallback');
     return getFallbackTokens();
   }
   
@@ -317,7 +584,7 @@ async function getTokenList() {
     );
     if (!exists) {
       tokens.push(importantToken);
-      console.log(`➕ Added important token: ${importantToken.symbol} (${importantToken.address.slice(0, 8)}...)`);
+      logger.info(`➕ Added important token: ${importantToken.symbol} (${importantToken.address.slice(0, 8)}...)`);
     } else {
       // Replace with fallback version if address matches (to ensure correct version)
       const index = tokens.findIndex(t => 
@@ -325,14 +592,14 @@ async function getTokenList() {
       );
       if (index >= 0) {
         tokens[index] = importantToken;
-        console.log(`🔄 Replaced token with fallback version: ${importantToken.symbol}`);
+        logger.info(`🔄 Replaced token with fallback version: ${importantToken.symbol}`);
       }
     }
   }
   
   tokenListCache = tokens;
   tokenListCacheTime = now;
-  console.log(`Cached ${tokens.length} tokens (including ${importantTokens.length} important fallback tokens)`);
+  logger.info(`Cached ${tokens.length} tokens (including ${importantTokens.length} important fallback tokens)`);
   return tokenListCache;
 }
 
@@ -340,7 +607,7 @@ async function getTokenList() {
 // NOTE: Tokens added here (like USX, eUSX) are NOT in Jupiter's official token list.
 // Jupiter can route them but may have limited liquidity/routing support.
 function getFallbackTokens() {
-  console.log('📋 Returning fallback token list (includes USX, eUSX - not in Jupiter official list)');
+  logger.info('📋 Returning fallback token list (includes USX, eUSX - not in Jupiter official list)');
   return [
     {
       address: 'So11111111111111111111111111111111111111112',
@@ -453,242 +720,67 @@ function getFallbackTokens() {
   ];
 }
 
-// Wait to respect rate limits
-async function waitForRateLimit() {
-  const now = Date.now();
-  const timeSinceLastQuote = now - lastQuoteTime;
-  if (timeSinceLastQuote < MIN_QUOTE_INTERVAL) {
-    await new Promise(resolve => setTimeout(resolve, MIN_QUOTE_INTERVAL - timeSinceLastQuote));
-  }
-  lastQuoteTime = Date.now();
-}
-
-// Check if price impact is erroneous (very high positive impact indicates API issue)
-function isErroneousPriceImpact(priceImpactPct) {
-  if (priceImpactPct === undefined || priceImpactPct === null) return false;
-  
-  const impactValue = parseFloat(priceImpactPct);
-  
-  // Ultra API can return priceImpactPct in different formats:
-  // - As decimal: -0.2652 (meaning -26.52%) - need to multiply by 100
-  // - As percentage: 939.38 (meaning 939.38%) - already a percentage
-  // If absolute value > 1, it's likely already in percentage format
-  // If absolute value <= 1, it's in decimal format
-  const impactPercent = Math.abs(impactValue) > 1 
-    ? Math.abs(impactValue)  // Already in percentage format
-    : Math.abs(impactValue) * 100;  // Convert from decimal to percentage
-  
-  // Price impact > 100% is clearly erroneous (especially for stablecoin swaps)
-  // This indicates the API is returning placeholder/warning data instead of actual quote
-  return impactPercent > 100;
-}
-
-// USD* mint address
-const USD_STAR_MINT = 'star9agSpjiFe3M49B3RniVU4CMBBEK3Qnaqn3RGiFM';
-
-// Get quote from Jupiter API with retry logic
-// Tries Ultra API first, falls back to Standard API if price impact is erroneous
-// For USD* swaps, uses wallet address if available for accurate quotes
+// Get quote from a quote provider with retry logic
+// Rate limits are enforced by the quote scheduler the providers are wrapped in, so concurrent calls are fine
+// Defaults to the 'jupiter' provider (Ultra API first, Standard API fallback for erroneous price impact)
+// Pass options.provider to quote against a specific provider (e.g. 'ultra', 'standard')
+// amount is the raw amount as a BigInt, decimal string or safe integer; providers always get a decimal string
 async function getQuote(inputMint, outputMint, amount, slippageBps = 50, retries = 3, options = {}) {
-  await waitForRateLimit();
-  
-  // Extract optional route restriction parameters
-  // These help ensure quotes reflect actual executable routes vs theoretical best paths
-  const {
-    onlyDirectRoutes = false, // If true, forces single-hop routes only (may miss multi-hop liquidity)
-    restrictIntermediateTokens = false, // If true, limits intermediate hops to stable tokens
-  } = options;
+  const rawAmount = BigInt(amount).toString();
   
-  // Check if this is a USD* swap that needs wallet context
-  const isUSDStarSwap = inputMint === USD_STAR_MINT || outputMint === USD_STAR_MINT;
-  const userPublicKey = (isUSDStarSwap && JUPITER_WALLET_ADDRESS) ? JUPITER_WALLET_ADDRESS : null;
+  const { provider: providerName, ...quoteOptions } = options;
+  const provider = quoteProviders.get(providerName);
+  if (!provider) {
+    throw new Error(`Unknown quote provider: ${providerName}`);
+  }
   
-  // Try Ultra API first (matches frontend behavior)
   for (let attempt = 1; attempt <= retries; attempt++) {
+    if (attempt > 1) {
+      metrics.quoteRetries.inc({ provider: provider.name });
+    }
     try {
-      const ultraParams = {
-        inputMint,
-        outputMint,
-        amount: amount.toString(),
-        swapMode: 'ExactIn', // ExactIn = selling input token for output token
-        // Add slippage tolerance to Ultra API (if supported)
-        // This allows finding true liquidity limits for large trades
-        slippageBps: slippageBps.toString(),
-      };
-      
-      // Add route restriction parameters if specified (Ultra API may or may not support these)
-      // If not supported, API will ignore them
-      if (onlyDirectRoutes) {
-        ultraParams.onlyDirectRoutes = 'true';
-      }
-      if (restrictIntermediateTokens) {
-        ultraParams.restrictIntermediateTokens = 'true';
-      }
-      
-      // Add wallet address for USD* swaps
-      if (userPublicKey) {
-        ultraParams.userPublicKey = userPublicKey;
-        console.log(`   🔑 Using wallet address for USD* quote: ${userPublicKey.slice(0, 8)}...`);
-      }
-      
       // Log slippage tolerance being used
       if (slippageBps > 50) {
-        console.log(`   💰 Using slippage tolerance: ${slippageBps} bps (${(slippageBps / 100).toFixed(1)}%) for large trade detection`);
+        logger.debug(`   💰 Using slippage tolerance: ${slippageBps} bps (${(slippageBps / 100).toFixed(1)}%) for large trade detection`);
       }
       
-      const response = await axiosInstance.get(JUPITER_ULTRA_API_URL, {
-        params: ultraParams,
-        headers: {
-          'Accept': 'application/json',
-          ...(JUPITER_API_KEY && { 'x-api-key': JUPITER_API_KEY }),
-        }
+      return await provider.quote({
+        inputMint,
+        outputMint,
+        amount: rawAmount,
+        slippageBps,
+        options: quoteOptions,
       });
-      
-      if (!response.data || !response.data.outAmount || !response.data.inAmount) {
-        throw new Error('Invalid quote response');
-      }
-      
-      // Ultra API returns priceImpact as percentage (e.g., -26.52) and priceImpactPct as decimal (e.g., -0.2652)
-      // Convert to match standard API format for compatibility
-      const ultraQuote = response.data;
-      const priceImpactPct = ultraQuote.priceImpactPct !== undefined 
-        ? ultraQuote.priceImpactPct 
-        : (ultraQuote.priceImpact !== undefined ? ultraQuote.priceImpact / 100 : undefined);
-      
-      // Check if price impact is erroneous
-      if (isErroneousPriceImpact(priceImpactPct)) {
-        const impactPercent = Math.abs(parseFloat(priceImpactPct) * 100);
-        console.log(`   ⚠️  Ultra API returned erroneous price impact: ${impactPercent.toFixed(2)}% - trying Standard API...`);
-        
-        // Fallback to Standard API
-        let fallbackSucceeded = false;
-        try {
-          const standardHeaders = {
-            'Accept': 'application/json',
-          };
-          
-          // Use Standard API key for fallback (works with Standard API endpoint)
-          // The main API key may only work with Ultra API, so use Standard API key for Standard API calls
-          if (STANDARD_API_KEY) {
-            standardHeaders['x-api-key'] = STANDARD_API_KEY;
-            console.log(`   🔑 Using Standard API key for fallback: ${STANDARD_API_KEY.slice(0, 8)}...`);
-          } else {
-            console.warn(`   ⚠️  No Standard API key available for fallback`);
-          }
-          
-          const standardParams = {
-            inputMint,
-            outputMint,
-            amount: amount.toString(),
-            slippageBps: slippageBps.toString(),
-          };
-          
-          // Add wallet address for USD* swaps in Standard API too
-          if (userPublicKey) {
-            standardParams.userPublicKey = userPublicKey;
-            console.log(`   🔑 Using wallet address for Standard API fallback: ${userPublicKey.slice(0, 8)}...`);
-          }
-          
-          const standardResponse = await axiosInstance.get(JUPITER_QUOTE_URL, {
-            params: standardParams,
-            headers: standardHeaders
-          });
-          
-          if (standardResponse.data && standardResponse.data.outAmount && standardResponse.data.inAmount) {
-            const standardQuote = standardResponse.data;
-            const standardPriceImpactPct = standardQuote.priceImpactPct !== undefined 
-              ? standardQuote.priceImpactPct 
-              : (standardQuote.priceImpact !== undefined ? standardQuote.priceImpact / 100 : undefined);
-            
-            const standardImpactPercent = standardPriceImpactPct !== undefined 
-              ? Math.abs(parseFloat(standardPriceImpactPct) * 100) 
-              : 0;
-            
-            // Validate quote amounts are reasonable (for stablecoin swaps, should be ~1:1)
-            // Check if this is a stablecoin-to-stablecoin swap
-            const isStablecoinSwap = (
-              (inputMint === 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' || // USDC
-               inputMint === 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' || // USDT
-               inputMint === 'star9agSpjiFe3M49B3RniVU4CMBBEK3Qnaqn3RGiFM') && // USD*
-              (outputMint === 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' || // USDC
-               outputMint === 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' || // USDT
-               outputMint === 'star9agSpjiFe3M49B3RniVU4CMBBEK3Qnaqn3RGiFM') // USD*
-            );
-            
-            let quoteAmountsValid = true;
-            if (isStablecoinSwap) {
-              // For stablecoin swaps, check if the price is reasonable (~0.9 to 1.1 ratio)
-              // Assuming both tokens have 6 decimals
-              const inAmountReadable = parseFloat(standardQuote.inAmount) / 1e6;
-              const outAmountReadable = parseFloat(standardQuote.outAmount) / 1e6;
-              const priceRatio = outAmountReadable / inAmountReadable;
-              
-              // Price should be between 0.9 and 1.1 for stablecoin swaps
-              if (priceRatio < 0.9 || priceRatio > 1.1) {
-                console.warn(`   ⚠️  Standard API returned unreasonable quote amounts: ${inAmountReadable.toFixed(6)} -> ${outAmountReadable.toFixed(6)} (ratio: ${priceRatio.toFixed(4)})`);
-                quoteAmountsValid = false;
-              }
-            }
-            
-            // Only use Standard API if it shows better (lower) price impact AND quote amounts are valid
-            if (standardImpactPercent < impactPercent && quoteAmountsValid) {
-              console.log(`   ✅ Standard API returned accurate price impact: ${standardImpactPercent.toFixed(2)}% (was ${impactPercent.toFixed(2)}%)`);
-              fallbackSucceeded = true;
-              return {
-                ...standardQuote,
-                priceImpactPct: standardPriceImpactPct,
-              };
-            } else if (!quoteAmountsValid) {
-              console.warn(`   ⚠️  Standard API has correct price impact but wrong quote amounts - keeping Ultra API result`);
-            }
-          }
-        } catch (standardError) {
-          console.warn(`   ⚠️  Standard API fallback failed: ${standardError.message}`);
-          // Continue with Ultra API result even if it's erroneous
-        }
-        
-        // If fallback didn't succeed, add warning to Ultra API result
-        if (!fallbackSucceeded) {
-          return {
-            ...ultraQuote,
-            priceImpactPct: priceImpactPct,
-            warning: `⚠️ Erroneous price impact detected (${impactPercent.toFixed(2)}%). Quote may be inaccurate. This often occurs with certain tokens (like USD*) that require wallet balance for accurate quotes.`,
-          };
-        }
-      }
-      
-      // Return Ultra API result (either valid or we couldn't get better from Standard)
-      return {
-        ...ultraQuote,
-        priceImpactPct: priceImpactPct,
-      };
     } catch (error) {
       const status = error.response?.status;
       const errorMsg = error.response?.data?.error || error.message;
       const errorCode = error.code;
       
+      // The endpoint's circuit is open - retrying now would be rejected the same way
+      if (errorCode === 'CIRCUIT_OPEN') {
+        throw error;
+      }
+      
       // Log detailed error for debugging
-      if (errorCode === 'UNABLE_TO_GET_ISSUER_CERT' || errorCode === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE' || errorMsg?.includes('certificate')) {
-        console.error('SSL Certificate Error:', errorCode, errorMsg);
-        console.error('Error details:', {
+      if (isCertificateError(error) || errorMsg?.includes('certificate')) {
+        logger.error(`🔒 TLS certificate error (${tlsConfig.mode} mode):`, errorCode, errorMsg);
+        logger.error('Error details:', {
           code: error.code,
           message: error.message,
           stack: error.stack?.split('\n')[0]
         });
       }
       
-      // If rate limited (429), wait longer and retry with exponential backoff
+      // If rate limited (429), retry - the scheduler has paused the key's bucket, so the retry
+      // (and every other queued quote) waits out the shared backoff first
       if (status === 429 && attempt < retries) {
-        const waitTime = RATE_LIMIT_RETRY_DELAY * Math.pow(2, attempt - 1); // Exponential backoff: 2s, 4s, 8s
-        console.warn(`⚠️ Rate limited (429), waiting ${(waitTime / 1000).toFixed(1)}s before retry ${attempt + 1}/${retries}`);
-        console.warn(`💡 Jupiter API rate limit reached. Please wait or reduce request frequency.`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+        logger.warn(`⚠️ Rate limited (429), retrying after the shared backoff (${attempt + 1}/${retries})`);
         continue;
       }
       
       // Log error on last attempt
       if (attempt === retries) {
-        console.error(`Quote failed after ${retries} attempts:`, errorMsg);
+        logger.error(`Quote failed after ${retries} attempts (${provider.name}):`, errorMsg);
         throw error;
       }
     }
@@ -722,86 +814,47 @@ async function getTokenDecimals(mintAddress) {
     );
     return token?.decimals || 6; // Default to 6 decimals if not found
   } catch (error) {
-    console.warn(`Could not fetch decimals for ${mintAddress}, defaulting to 6`);
+    logger.warn(`Could not fetch decimals for ${mintAddress}, defaulting to 6`);
     return 6;
   }
 }
 
-// Calculate liquidity depth by getting quotes at fixed USD amounts
-async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
-  const depthPoints = [];
-  const errors = []; // Track errors for debugging
-  const logs = []; // Track all logs for debugging
-  const warnings = []; // Track warnings about erroneous price impacts
-  
-  // Get token decimals
-  const inputDecimals = await getTokenDecimals(inputMint);
-  const outputDecimals = await getTokenDecimals(outputMint);
-  
-  // For buy: selling outputToken (e.g., USDC) to buy inputToken (e.g., SOL)
-  // For sell: selling inputToken (e.g., SOL) to get outputToken (e.g., USDC)
+// Get a baseline (spot) price from a very small trade - output token per input token
+// Used to convert USD trade sizes to token amounts and as the reference for price impact
+// requestQuote lets callers route quotes through their own budget; returns null if no price could be found
+// outputUsdPrice is the output token's USD price, used to size the small trades (1 for stablecoins)
+async function getBaselinePrice({ inputMint, outputMint, isBuy, inputDecimals, outputDecimals, outputUsdPrice = 1, requestQuote = getQuote, quoteOptions = {} }) {
   const quoteInputDecimals = isBuy ? outputDecimals : inputDecimals;
-  
-  // Fixed USD trade sizes to test (matching DeFiLlama format)
-  // Added more granular sizes in $10M-$50M range for better accuracy, especially for stablecoins
-  // Also added sizes between $1M-$10M to avoid interpolation artifacts and capture real liquidity cliffs
-  const usdTradeSizes = [
-    500,        // $500
-    1000,       // $1K
-    10000,      // $10K
-    100000,     // $100K
-    1000000,    // $1M
-    2000000,    // $2M (added to fill gap between $1M-$10M)
-    3000000,    // $3M (added to fill gap between $1M-$10M)
-    5000000,    // $5M (added to fill gap between $1M-$10M)
-    7000000,    // $7M (added to fill gap between $1M-$10M - captures liquidity cliffs around $7-8M)
-    8000000,    // $8M (added to fill gap between $1M-$10M)
-    10000000,   // $10M
-    15000000,   // $15M (added for better interpolation)
-    20000000,   // $20M (added for better interpolation)
-    30000000,   // $30M (added for better interpolation)
-    50000000,   // $50M
-    100000000,  // $100M
-  ];
-  
-  // Set a maximum calculation time (120 seconds - increased to allow for $50M and $100M trades)
-  const MAX_CALCULATION_TIME = 120000;
-  const calculationStartTime = Date.now();
-
-  console.log(`\nCalculating ${isBuy ? 'BUY' : 'SELL'} depth for ${inputMint.slice(0, 8)}... -> ${outputMint.slice(0, 8)}...`);
-  console.log(`Testing ${usdTradeSizes.length} fixed USD trade sizes:`, usdTradeSizes.map(s => formatUSD(s)).join(', '));
-
-  // First, get a baseline price from a very small trade to calculate price impact and convert USD to token amounts
   let baselinePrice = null;
   const baselineAmounts = [100, 50, 10]; // Try progressively smaller amounts if rate limited
   
   // For sell orders, try to get a reverse quote first to estimate price
   if (!isBuy) {
     try {
-      console.log(`Getting initial price estimate for sell order (reverse quote)...`);
+      logger.debug(`Getting initial price estimate for sell order (reverse quote)...`);
       // Try buying a small amount in reverse direction to get price estimate
       // This helps us estimate how much token we need to sell for $100
       const reverseInputMint = outputMint; // USDC
       const reverseOutputMint = inputMint; // SOL
-      const smallReverseAmount = Math.floor(100 * Math.pow(10, outputDecimals)); // $100 in USDC
+      const smallReverseAmount = toRawAmount(100 / outputUsdPrice, outputDecimals); // $100 of the output token
       
-      const reverseQuote = await getQuote(reverseInputMint, reverseOutputMint, smallReverseAmount, 50, 1);
+      const reverseQuote = await requestQuote(reverseInputMint, reverseOutputMint, smallReverseAmount, 50, 1, quoteOptions);
       
       if (reverseQuote?.outAmount && reverseQuote?.inAmount) {
         const reverseInputReadable = parseFloat(reverseQuote.inAmount) / Math.pow(10, outputDecimals);
         const reverseOutputReadable = parseFloat(reverseQuote.outAmount) / Math.pow(10, inputDecimals);
         
-        // Price = USDC per token (e.g., 123 USDC per SOL)
+        // Price = output token per input token (e.g., 123 USDC per SOL)
         const estimatedPrice = reverseInputReadable / reverseOutputReadable;
         
         if (estimatedPrice > 0 && isFinite(estimatedPrice) && estimatedPrice < 1e10) {
-          console.log(`✅ Got price estimate from reverse quote: ${estimatedPrice.toFixed(6)}`);
+          logger.debug(`✅ Got price estimate from reverse quote: ${estimatedPrice.toFixed(6)}`);
           // Use this estimate for baseline calculation
           baselinePrice = estimatedPrice;
         }
       }
     } catch (error) {
-      console.log(`⚠️ Could not get reverse quote for price estimate, will try direct method...`);
+      logger.debug(`⚠️ Could not get reverse quote for price estimate, will try direct method...`);
     }
   }
   
@@ -809,21 +862,21 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
   if (!baselinePrice) {
     for (const smallUsdAmount of baselineAmounts) {
       try {
-        console.log(`Getting baseline price from small $${smallUsdAmount} trade...`);
+        logger.debug(`Getting baseline price from small $${smallUsdAmount} trade...`);
         
         // For baseline, we always use the "selling" token side
         // If buying: we're selling USDC to buy SOL, so use USDC amount directly
         // If selling: we're selling SOL to get USDC, so we need to estimate SOL amount
         let smallTokenAmount;
         if (isBuy) {
-          // Buying: spending USDC, so USD = USDC amount
-          smallTokenAmount = smallUsdAmount;
+          // Buying: spending the output token (USD = amount for USDC)
+          smallTokenAmount = smallUsdAmount / outputUsdPrice;
         } else {
           // Selling: use estimated price from reverse quote if available, otherwise use conservative estimate
           if (baselinePrice && baselinePrice > 0) {
             // Use the estimated price from reverse quote
-            smallTokenAmount = smallUsdAmount / baselinePrice;
-            console.log(`Using reverse quote price estimate (${baselinePrice.toFixed(6)}) to calculate token amount: ${formatAmount(smallTokenAmount)}`);
+            smallTokenAmount = smallUsdAmount / (baselinePrice * outputUsdPrice);
+            logger.debug(`Using reverse quote price estimate (${baselinePrice.toFixed(6)}) to calculate token amount: ${formatAmount(smallTokenAmount)}`);
           } else {
             // Fallback: try a few reasonable token amounts and use the first successful one
             // This is more efficient than trying multiple price assumptions
@@ -836,11 +889,11 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
             
             let foundValidAmount = false;
             for (const testAmount of testTokenAmounts) {
-              const testRawAmount = Math.floor(testAmount * Math.pow(10, quoteInputDecimals));
+              const testRawAmount = toRawAmount(testAmount, quoteInputDecimals);
               if (testRawAmount > 0) {
                 smallTokenAmount = testAmount;
                 foundValidAmount = true;
-                console.log(`Trying token amount estimate: ${formatAmount(testAmount)} (${formatUSD(smallUsdAmount / testAmount)}/token assumption)`);
+                logger.debug(`Trying token amount estimate: ${formatAmount(testAmount)} (${formatUSD(smallUsdAmount / testAmount)}/token assumption)`);
                 break;
               }
             }
@@ -848,19 +901,19 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
             if (!foundValidAmount) {
               // Last resort: use $100/token assumption
               smallTokenAmount = smallUsdAmount / 100;
-              console.log(`Using fallback estimate: $100/token`);
+              logger.debug(`Using fallback estimate: $100/token`);
             }
           }
         }
         
         // Convert to raw amount
-        const smallRawAmount = Math.floor(smallTokenAmount * Math.pow(10, quoteInputDecimals));
+        const smallRawAmount = toRawAmount(smallTokenAmount, quoteInputDecimals);
         if (smallRawAmount <= 0) continue;
         
         const quoteInputMint = isBuy ? outputMint : inputMint;
         const quoteOutputMint = isBuy ? inputMint : outputMint;
         
-        const baselineQuote = await getQuote(quoteInputMint, quoteOutputMint, smallRawAmount, 50, 2); // Only 2 retries for baseline
+        const baselineQuote = await requestQuote(quoteInputMint, quoteOutputMint, smallRawAmount, 50, 2, quoteOptions); // Only 2 retries for baseline
         
         if (baselineQuote?.outAmount && baselineQuote?.inAmount) {
           const baselineInputRaw = isBuy ? baselineQuote.outAmount : baselineQuote.inAmount;
@@ -875,10 +928,10 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
           // Validate price before using
           if (calculatedPrice > 0 && isFinite(calculatedPrice) && calculatedPrice < 1e10) {
             baselinePrice = calculatedPrice;
-            console.log(`✅ Baseline price: ${baselinePrice.toFixed(6)} ${outputToken?.symbol || 'output'}/${inputToken?.symbol || 'input'}`);
+            logger.debug(`✅ Baseline price: ${baselinePrice.toFixed(6)} ${outputMint.slice(0, 8)}.../${inputMint.slice(0, 8)}...`);
             break; // Success, exit loop
           } else {
-            console.warn(`⚠️ Invalid baseline price calculated: ${calculatedPrice}, trying next amount...`);
+            logger.warn(`⚠️ Invalid baseline price calculated: ${calculatedPrice}, trying next amount...`);
             continue;
           }
         }
@@ -887,11 +940,11 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
         const statusCode = error.response?.status;
         
         if (statusCode === 429) {
-          console.warn(`⚠️ Rate limited getting baseline ($${smallUsdAmount}), trying smaller amount...`);
+          logger.warn(`⚠️ Rate limited getting baseline ($${smallUsdAmount}), trying smaller amount...`);
           // Continue to next smaller amount
           continue;
         } else {
-          console.warn(`⚠️ Failed to get baseline price for $${smallUsdAmount}:`, errorMsg);
+          logger.warn(`⚠️ Failed to get baseline price for $${smallUsdAmount}:`, errorMsg);
           // Try next amount
           continue;
         }
@@ -899,11 +952,248 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
     }
   }
   
+  return baselinePrice;
+}
+
+// Baseline price plus a USD price for both mints of the pair
+// The output token is priced first (its price sizes the baseline trades); the input token is then
+// valued through the baseline (input USD = baseline * output USD), or priced directly when there is none.
+// If no source can price the output token it is assumed to be a $1 stablecoin and a warning is returned.
+async function getPairPricing({ inputMint, outputMint, isBuy, inputDecimals, outputDecimals, requestQuote = getQuote, quoteOptions = {} }) {
+  let output = await priceOracle.usdPrice(outputMint, { requestQuote, quoteOptions });
+
+  const baselinePrice = await getBaselinePrice({
+    inputMint,
+    outputMint,
+    isBuy,
+    inputDecimals,
+    outputDecimals,
+    outputUsdPrice: output?.price || 1,
+    requestQuote,
+    quoteOptions,
+  });
+
+  let input = null;
+  if (output && baselinePrice) {
+    input = { price: baselinePrice * output.price, source: 'baseline' };
+  } else {
+    input = await priceOracle.usdPrice(inputMint, { requestQuote, quoteOptions });
+  }
+  if (!output && input && baselinePrice) {
+    output = { price: input.price / baselinePrice, source: 'baseline' };
+  }
+
+  let warning = null;
+  if (!output) {
+    warning = `Could not find a USD price for ${outputMint.slice(0, 8)}..., assuming $1 per token`;
+    logger.warn(`⚠️ ${warning}`);
+    output = { price: 1, source: 'assumed' };
+  }
+
+  return {
+    baselinePrice,
+    usdPrices: {
+      input: input ? input.price : null,
+      output: output.price,
+      inputSource: input ? input.source : null,
+      outputSource: output.source,
+    },
+    warning,
+  };
+}
+
+// Upper bound on upstream quotes a single depth calculation may spend
+// (baseline + every trade size + binary searches). Requests can lower it with maxQuotes.
+const MAX_QUOTES_PER_CALCULATION = parseInt(process.env.MAX_QUOTES_PER_CALCULATION || '200', 10);
+
+// Short-lived cache shared by all calculations (see quoteCache.js); QUOTE_CACHE_TTL_SECONDS=0 turns caching off
+// (identical quotes in flight are still shared)
+const quoteCache = createQuoteCache({
+  ttlSeconds: parseFloat(process.env.QUOTE_CACHE_TTL_SECONDS || '15'),
+  maxEntries: parseInt(process.env.QUOTE_CACHE_MAX_ENTRIES || '1000', 10),
+});
+
+// Wrap getQuote with the quote cache and a per-calculation quote budget
+// Cached and coalesced quotes are free; request() rejects with code QUOTE_BUDGET_EXHAUSTED
+// once the limit has been spent on upstream quotes
+function createQuoteBudget(maxQuotes) {
+  const budget = {
+    limit: Math.min(maxQuotes || MAX_QUOTES_PER_CALCULATION, MAX_QUOTES_PER_CALCULATION),
+    used: 0,
+    exhausted: false,
+    cacheHits: 0, // Includes requests coalesced onto an identical one in flight
+    cacheMisses: 0,
+    request: (inputMint, outputMint, amount, slippageBps = 50, retries = 3, options = {}) => {
+      const { provider = quoteProviders.defaultName, ...quoteOptions } = options;
+      // Nearby amounts share a cache entry, but the quote itself is always for the exact amount requested
+      const key = quoteCache.keyFor({ provider, inputMint, outputMint, amount: quoteCache.bucketAmount(amount), slippageBps, options: quoteOptions });
+      const cached = quoteCache.lookup(key);
+      if (cached) {
+        budget.cacheHits++;
+        return cached.promise;
+      }
+
+      if (budget.used >= budget.limit) {
+        budget.exhausted = true;
+        const budgetError = new Error(`Quote budget exhausted (${budget.limit} quotes)`);
+        budgetError.code = 'QUOTE_BUDGET_EXHAUSTED';
+        return Promise.reject(budgetError);
+      }
+      budget.used++;
+      budget.cacheMisses++;
+      return quoteCache.store(key, getQuote(inputMint, outputMint, amount, slippageBps, retries, { ...quoteOptions, provider }));
+    },
+  };
+  return budget;
+}
+
+// Slippage tolerance for a quote of the given USD size
+// Jupiter's frontend allows up to 100% slippage for finding max liquidity
+// $50M+: 10000 bps (100%), $10M+: 5000 bps (50%), $1M+: 500 bps (5%), smaller: 50 bps (0.5%)
+function slippageForTradeSize(usdAmount) {
+  if (usdAmount >= 50000000) return 10000;
+  if (usdAmount >= 10000000) return 5000;
+  if (usdAmount >= 1000000) return 500;
+  return 50;
+}
+
+// Calculate liquidity depth by getting quotes at fixed USD amounts
+// options.provider selects the quote provider (defaults to quoteProviders.defaultName)
+// options.tradeSizes overrides the USD ladder, options.maxQuotes caps the quote budget
+// options.swapMode 'ExactOut' sizes each quote by the amount received instead of the amount paid
+async function calculateLiquidityDepth(inputMint, outputMint, isBuy, options = {}) {
+  const provider = options.provider || quoteProviders.defaultName;
+  const swapMode = options.swapMode || 'ExactIn';
+  const quoteOptions = { provider };
+  
+  // Every upstream quote counts against the calculation's quote budget
+  const quoteBudget = createQuoteBudget(options.maxQuotes);
+  const requestQuote = quoteBudget.request;
+  const depthPoints = [];
+  const errors = []; // Track errors for debugging
+  const logs = []; // Track all logs for debugging
+  const warnings = []; // Track warnings about erroneous price impacts
+  
+  // Engine log lines go to the server log (tagged with the pair, side and trade size being processed) and to debug.logs
+  const log = logger.child({ pair: `${inputMint.slice(0, 8)}.../${outputMint.slice(0, 8)}...`, side: isBuy ? 'buy' : 'sell' });
+  let currentTradeSize = null;
+  const trace = (level, msg) => {
+    log[level](msg, currentTradeSize !== null ? { tradeSize: currentTradeSize } : undefined);
+    logs.push(msg);
+  };
+  
+  // Optional progress callback (depth jobs use it to stream partial results over SSE)
+  const emitProgress = (event) => {
+    if (!options.onProgress) return;
+    try {
+      options.onProgress(event);
+    } catch (error) {
+      log.warn(`⚠️ Progress listener failed: ${error.message}`);
+    }
+  };
+  const addDepthPoint = (point) => {
+    // USD value of what the trade receives: the output token on a sell, the input token on a buy
+    const receiveUsdPrice = isBuy ? inputUsdPrice() : usdPrices.output;
+    const depthPoint = {
+      ...point,
+      receiveUsdValue: receiveUsdPrice ? (isBuy ? point.amount : point.outputAmount) * receiveUsdPrice : null,
+    };
+    depthPoints.push(depthPoint);
+    emitProgress({ type: 'point', point: depthPoint });
+  };
+  const addError = (error) => {
+    errors.push(error);
+    emitProgress({ type: 'trade-error', error });
+  };
+  
+  // Get token decimals
+  const inputDecimals = await getTokenDecimals(inputMint);
+  const outputDecimals = await getTokenDecimals(outputMint);
+  
+  // For buy: selling outputToken (e.g., USDC) to buy inputToken (e.g., SOL)
+  // For sell: selling inputToken (e.g., SOL) to get outputToken (e.g., USDC)
+  const quoteInputDecimals = isBuy ? outputDecimals : inputDecimals;
+  
+  // USD trade sizes to test - defaults to the DeFiLlama-style ladder, callers can pass their own
+  const usdTradeSizes = options.tradeSizes || DEFAULT_TRADE_SIZES;
+  
+  // Set a maximum calculation time (120 seconds - increased to allow for $50M and $100M trades)
+  const MAX_CALCULATION_TIME = 120000;
+  const calculationStartTime = Date.now();
+
+  log.debug(`Testing ${usdTradeSizes.length} fixed USD trade sizes: ${usdTradeSizes.map(s => formatUSD(s)).join(', ')}`);
+
+  // First, get a baseline price from a very small trade to calculate price impact,
+  // and USD prices for both tokens to convert USD sizes to token amounts
+  const pricing = await getPairPricing({
+    inputMint,
+    outputMint,
+    isBuy,
+    inputDecimals,
+    outputDecimals,
+    requestQuote,
+    quoteOptions,
+  });
+  let baselinePrice = pricing.baselinePrice;
+  const usdPrices = pricing.usdPrices;
+  if (pricing.warning) {
+    warnings.push(pricing.warning);
+  }
+  
   // If we still don't have a baseline price, we'll use the first successful quote as baseline
   if (!baselinePrice) {
-    console.warn('⚠️ Could not get baseline price. Will use first successful quote as baseline.');
+    log.warn('⚠️ Could not get baseline price. Will use first successful quote as baseline.');
   }
 
+  // The baseline is always an ExactIn spot price; the trade sizes are quoted in the requested mode
+  // ExactIn: amount = tokens paid (quote input), ExactOut: amount = tokens received (quote output)
+  const exactOut = swapMode === 'ExactOut';
+  const sizeQuoteOptions = exactOut ? { ...quoteOptions, swapMode } : quoteOptions;
+  const quoteAmountDecimals = exactOut ? (isBuy ? inputDecimals : outputDecimals) : quoteInputDecimals;
+  // The quote amount is in the output token when buying ExactIn (spend $X) or selling ExactOut (receive $X)
+  const amountInOutputToken = isBuy !== exactOut;
+  // USD price of the input token; without one it follows the baseline (which may come from the first quote)
+  const inputUsdPrice = () => {
+    if (usdPrices.input > 0) return usdPrices.input;
+    return baselinePrice > 0 ? baselinePrice * usdPrices.output : null;
+  };
+  // USD price of the quote amount's token, or null if it isn't known yet
+  const quoteAmountUsdPrice = () => (amountInOutputToken ? usdPrices.output : inputUsdPrice());
+  // Token amount (in the quote amount's token) worth usdAmount
+  // fallbackPrice is the USD/token guess used when the token has no price
+  const tokenAmountForUsd = (usdAmount, fallbackPrice = 100) => usdAmount / (quoteAmountUsdPrice() || fallbackPrice);
+
+  // The next trade size is quoted while the current one is processed. Only one step is fetched ahead:
+  // a prefetched size that ends up skipped (beyond the liquidity found by binary search) has already
+  // spent a quote from the budget and the key's token bucket, so looking further ahead costs more than it saves.
+  const sizeQuotes = new Map(); // usdAmount -> { rawAmount, promise }
+  const retriesForTradeSize = (usdAmount) => (usdAmount >= 50000000 ? 5 : (usdAmount >= 10000000 ? 4 : 2));
+  const quoteTradeSize = (usdAmount, rawAmount) => {
+    const pending = sizeQuotes.get(usdAmount);
+    if (pending && pending.rawAmount === rawAmount) return pending.promise;
+    const promise = requestQuote(
+      isBuy ? outputMint : inputMint,
+      isBuy ? inputMint : outputMint,
+      rawAmount,
+      slippageForTradeSize(usdAmount),
+      retriesForTradeSize(usdAmount),
+      sizeQuoteOptions
+    );
+    promise.catch(() => {}); // Skipped sizes never await their quote
+    sizeQuotes.set(usdAmount, { rawAmount, promise });
+    return promise;
+  };
+  const prefetchTradeSize = (index) => {
+    const size = usdTradeSizes[index];
+    // Without a price the sizes depend on the first quote, so they can't be worked out ahead
+    if (size === undefined || !quoteAmountUsdPrice()) return;
+    // Don't fetch a size the loop is already going to skip (see globalMaxFoundThroughBinarySearch below)
+    if (globalMaxFoundThroughBinarySearch > 0 && size > globalMaxFoundThroughBinarySearch * 1.1 &&
+        size - globalMaxFoundThroughBinarySearch < 5000000) return;
+    const rawAmount = toRawAmount(tokenAmountForUsd(size), quoteAmountDecimals);
+    if (rawAmount > 0) quoteTradeSize(size, rawAmount);
+  };
+
   // Track consecutive failures to exit early if token has no liquidity
   let consecutiveFailures = 0;
   const MAX_CONSECUTIVE_FAILURES = 5; // Exit early if 5 small trades fail in a row
@@ -916,6 +1206,7 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
   // Now test each USD trade size
   // Convert each fixed USD amount to the exact token amount needed
   for (const usdAmount of usdTradeSizes) {
+    currentTradeSize = usdAmount;
     // Skip larger trade sizes if we've already found the maximum liquidity through binary search
     // BUT only if the gap is small (< $5M) - for large gaps, still test to avoid missing liquidity cliffs
     // This significantly speeds up tokens with limited liquidity while not missing real cliffs
@@ -924,37 +1215,42 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
       // Only skip if gap is small (< $5M) - for larger gaps, still test (might find more liquidity)
       if (gap < 5000000) {
         const skipMsg = `⏭️ Skipping ${formatUSD(usdAmount)} - maximum liquidity is ${formatUSD(globalMaxFoundThroughBinarySearch)} (found through binary search, gap: ${formatUSD(gap)})`;
-        console.log(skipMsg);
-        logs.push(skipMsg);
+        trace('debug', skipMsg);
+        emitProgress({ type: 'skip', tradeSize: usdAmount, reason: skipMsg });
         continue; // Skip this trade size
       } else {
         // Gap is large - reset global max to allow testing (might find more liquidity)
-        console.log(`💡 Resetting global max (${formatUSD(globalMaxFoundThroughBinarySearch)}) - gap to ${formatUSD(usdAmount)} is large (${formatUSD(gap)}), testing anyway`);
-        logs.push(`💡 Resetting global max - large gap detected, testing ${formatUSD(usdAmount)}`);
+        trace('debug', `💡 Resetting global max (${formatUSD(globalMaxFoundThroughBinarySearch)}) - gap to ${formatUSD(usdAmount)} is large (${formatUSD(gap)}), testing anyway`);
         globalMaxFoundThroughBinarySearch = 0; // Reset to allow testing
       }
     }
+    // Stop early if the caller cancelled (e.g. a depth job was deleted)
+    if (options.signal?.aborted) {
+      const abortMsg = `🛑 Calculation cancelled. Returning ${depthPoints.length} points collected so far.`;
+      trace('warn', abortMsg);
+      break;
+    }
+    
+    emitProgress({
+      type: 'size',
+      tradeSize: usdAmount,
+      index: usdTradeSizes.indexOf(usdAmount),
+      total: usdTradeSizes.length,
+    });
+    
     // Log every iteration to track progress
-    const logMsg1 = `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
-    const logMsg2 = `📊 Processing ${formatUSD(usdAmount)} (${usdAmount.toLocaleString()} USD)`;
-    const logMsg3 = `   Progress: ${depthPoints.length}/${usdTradeSizes.length} trade sizes completed`;
-    console.log(logMsg1);
-    console.log(logMsg2);
-    console.log(logMsg3);
-    logs.push(logMsg1, logMsg2, logMsg3);
+    trace('debug', `📊 Processing ${formatUSD(usdAmount)} (${depthPoints.length}/${usdTradeSizes.length} trade sizes completed)`);
     
     // Check if we're running out of time
     const elapsed = Date.now() - calculationStartTime;
     const elapsedSeconds = (elapsed / 1000).toFixed(1);
     const remainingSeconds = ((MAX_CALCULATION_TIME - elapsed) / 1000).toFixed(1);
     const timeLog = `   ⏱️ Time elapsed: ${elapsedSeconds}s, Remaining: ${remainingSeconds}s`;
-    console.log(timeLog);
-    logs.push(timeLog);
+    trace('debug', timeLog);
     
     if (elapsed > MAX_CALCULATION_TIME) {
       const timeoutMsg = `⏱️ Calculation timeout (${elapsedSeconds}s). Returning ${depthPoints.length} points collected so far.\n⚠️ MISSING TRADE SIZES: ${usdTradeSizes.slice(usdTradeSizes.indexOf(usdAmount)).map(s => formatUSD(s)).join(', ')}`;
-      console.warn(timeoutMsg);
-      logs.push(timeoutMsg);
+      trace('warn', timeoutMsg);
       break; // Stop and return what we have
     }
     
@@ -966,124 +1262,24 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
     try {
       // Convert fixed USD trade size to exact token amount needed
       // This ensures we test the exact USD value, not arbitrary token amounts
-      let tokenAmount;
-      if (isBuy) {
-        // Buying: Spending USDC to buy SOL
-        // Fixed USD amount = USDC amount to spend (1 USDC = $1)
-        // Example: $1000 = 1000 USDC tokens
-        tokenAmount = usdAmount;
-      } else {
-        // Selling: Selling SOL to get USDC
-        // Fixed USD amount = value of SOL we want to sell
-        // baselinePrice = USDC per SOL (e.g., 123 USDC per SOL)
-        // So: SOL amount = USD amount / baselinePrice
-        // Example: $1000 / 123 = ~8.13 SOL
-        if (baselinePrice && baselinePrice > 0) {
-          tokenAmount = usdAmount / baselinePrice;
-        } else {
-          // If no baseline price, use a conservative estimate
-          // Most tokens are between $0.01 and $1000, so use $100 as default
-          console.warn(`⚠️ No baseline price available, using $100/token estimate for $${usdAmount.toLocaleString()}`);
-          tokenAmount = usdAmount / 100;
-        }
+      // Buying ExactIn: spend $1000 = 1000 USDC. Selling ExactIn: sell $1000 of SOL = $1000 / SOL's USD price
+      // ExactOut mirrors this: buying receives $1000 of SOL, selling receives 1000 USDC
+      // (a non-stablecoin output token is converted at its own USD price)
+      if (!quoteAmountUsdPrice()) {
+        // If no baseline price, use a conservative estimate
+        // Most tokens are between $0.01 and $1000, so use $100 as default
+        log.warn(`⚠️ No baseline price available, using $100/token estimate for $${usdAmount.toLocaleString()}`);
       }
+      const tokenAmount = tokenAmountForUsd(usdAmount);
       
-      // Convert to raw amount (smallest unit)
-      rawAmount = Math.floor(tokenAmount * Math.pow(10, quoteInputDecimals));
-      
-      // Check for safe integer limits (JavaScript's MAX_SAFE_INTEGER)
-      // For low-priced tokens like BONK, large USD amounts can exceed MAX_SAFE_INTEGER
-      // In this case, calculate the maximum safe USD amount and try smaller amounts
-      if (rawAmount > Number.MAX_SAFE_INTEGER) {
-        const overflowMsg = `Raw amount exceeds MAX_SAFE_INTEGER for ${formatUSD(usdAmount)}`;
-        console.warn(`⚠️ ${overflowMsg}`);
-        logs.push(`⚠️ ${overflowMsg}`);
-        
-        // Calculate maximum safe USD amount for this token
-        // MAX_SAFE_INTEGER / 10^decimals = max token amount
-        // max token amount * price = max USD amount
-        const maxSafeTokens = Number.MAX_SAFE_INTEGER / Math.pow(10, quoteInputDecimals);
-        let maxSafeUsd;
-        if (isBuy) {
-          maxSafeUsd = maxSafeTokens; // For buying, input is USDC (1:1 with USD)
-        } else {
-          maxSafeUsd = baselinePrice > 0 ? maxSafeTokens * baselinePrice : maxSafeTokens * 0.00001;
-        }
-        
-        console.log(`   💡 Max safe USD for this token: ${formatUSD(maxSafeUsd)}`);
-        logs.push(`   💡 Max safe USD for this token: ${formatUSD(maxSafeUsd)}`);
-        
-        // Generate amounts to try, from max safe down
-        const testAmounts = [];
-        let testVal = Math.floor(maxSafeUsd * 0.95); // Start at 95% of max safe
-        const minTest = Math.max(depthPoints.length > 0 ? depthPoints[depthPoints.length - 1].tradeUsdValue * 1.1 : 500, 500);
-        
-        while (testVal >= minTest && testAmounts.length < 15) {
-          testAmounts.push(testVal);
-          testVal = Math.floor(testVal * 0.7); // 30% reduction each step
-        }
-        
-        if (testAmounts.length > 0) {
-          console.log(`   🔄 Trying ${testAmounts.length} safe amounts: ${testAmounts.slice(0, 5).map(formatUSD).join(', ')}...`);
-          logs.push(`   🔄 Trying ${testAmounts.length} safe amounts...`);
-          
-          for (const testAmount of testAmounts) {
-            // Skip if we already have this amount
-            if (depthPoints.some(p => Math.abs(p.tradeUsdValue - testAmount) < testAmount * 0.05)) continue;
-            
-            try {
-              let testTokenAmount = isBuy ? testAmount : (baselinePrice > 0 ? testAmount / baselinePrice : testAmount / 0.00001);
-              const testRawAmount = Math.floor(testTokenAmount * Math.pow(10, quoteInputDecimals));
-              
-              if (testRawAmount <= 0 || testRawAmount > Number.MAX_SAFE_INTEGER) continue;
-              
-              await new Promise(resolve => setTimeout(resolve, 200));
-              
-              const testSlippage = testAmount >= 1000000 ? 500 : 100;
-              const testQuote = await getQuote(quoteInputMint, quoteOutputMint, testRawAmount, testSlippage, 2);
-              
-              if (testQuote?.outAmount && testQuote?.inAmount) {
-                const inRaw = isBuy ? testQuote.outAmount : testQuote.inAmount;
-                const outRaw = isBuy ? testQuote.inAmount : testQuote.outAmount;
-                const inReadable = parseFloat(inRaw) / Math.pow(10, inputDecimals);
-                const outReadable = parseFloat(outRaw) / Math.pow(10, outputDecimals);
-                
-                if (inReadable > 0 && outReadable > 0) {
-                  const price = outReadable / inReadable;
-                  if (price > 0 && price < 1e10) {
-                    const impact = baselinePrice > 0 ? Math.abs(((price - baselinePrice) / baselinePrice) * 100) : 0;
-                    
-                    depthPoints.push({
-                      price,
-                      amount: inReadable,
-                      outputAmount: outReadable,
-                      priceImpact: impact,
-                      slippage: impact,
-                      tradeUsdValue: testAmount,
-                      rawInputAmount: inRaw,
-                      rawOutputAmount: outRaw,
-                    });
-                    
-                    console.log(`   ✅ ${formatUSD(testAmount)}: impact ${impact.toFixed(2)}%`);
-                    logs.push(`   ✅ ${formatUSD(testAmount)}: impact ${impact.toFixed(2)}%`);
-                  }
-                }
-              }
-            } catch (e) {
-              // Continue to next amount
-            }
-          }
-        }
-        
-        // Skip to next trade size since we've handled this one
-        continue;
-      }
+      // Convert to raw amount (smallest unit) - a BigInt, so $100M of a cheap high-decimal token
+      // (e.g. BONK) is quoted exactly instead of overflowing Number.MAX_SAFE_INTEGER
+      rawAmount = toRawAmount(tokenAmount, quoteAmountDecimals);
       
       if (rawAmount <= 0) {
         const errorMsg = `Calculated token amount too small: ${formatAmount(tokenAmount)}`;
-        console.warn(`⚠️ Skipping ${formatUSD(usdAmount)} - ${errorMsg}`);
-        logs.push(`⚠️ Skipping ${formatUSD(usdAmount)} - ${errorMsg}`);
-        errors.push({
+        trace('warn', `⚠️ Skipping ${formatUSD(usdAmount)} - ${errorMsg}`);
+        addError({
           tradeSize: usdAmount,
           tradeSizeFormatted: formatUSD(usdAmount),
           error: errorMsg,
@@ -1094,8 +1290,7 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
       }
       
       const convertMsg = `   💰 Converting: ${formatUSD(usdAmount)} = ${formatAmount(tokenAmount)} tokens (raw: ${rawAmount.toLocaleString()})`;
-      console.log(convertMsg);
-      logs.push(convertMsg);
+      trace('debug', convertMsg);
       
       // Check timeout before proceeding (but allow a bit of buffer for the actual request)
       const elapsed = Date.now() - calculationStartTime;
@@ -1103,46 +1298,28 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
       // Only stop if we're way over timeout (give 5 seconds buffer for the request itself)
       if (elapsed > MAX_CALCULATION_TIME + 5000) {
         const timeoutMsg = `⏱️ Timeout exceeded (${elapsedSeconds}s), stopping at ${formatUSD(usdAmount)}\n⚠️ MISSING TRADE SIZES: ${usdTradeSizes.slice(usdTradeSizes.indexOf(usdAmount)).map(s => formatUSD(s)).join(', ')}`;
-        console.warn(timeoutMsg);
-        logs.push(timeoutMsg);
+        trace('warn', timeoutMsg);
         break;
       }
       // If we're close to timeout but not over, still try (request might be fast)
       if (elapsed > MAX_CALCULATION_TIME) {
         const approachingTimeoutMsg = `⏱️ Approaching timeout (${elapsedSeconds}s), but attempting ${formatUSD(usdAmount)} anyway...`;
-        console.warn(approachingTimeoutMsg);
-        logs.push(approachingTimeoutMsg);
-      }
-      
-      // Extra delay for large amounts to avoid rate limits (only if we have time)
-      if (usdAmount >= 1000000 && (MAX_CALCULATION_TIME - elapsed) > LARGE_AMOUNT_DELAY) {
-        await new Promise(resolve => setTimeout(resolve, LARGE_AMOUNT_DELAY));
+        trace('warn', approachingTimeoutMsg);
       }
       
       // Use more retries for large amounts to handle transient errors
       // Increase retries significantly for $50M+ to ensure we get these critical data points
-      const retryCount = usdAmount >= 50000000 ? 5 : (usdAmount >= 10000000 ? 4 : 2);
+      const retryCount = retriesForTradeSize(usdAmount);
       const quoteLog1 = `   🔄 Requesting quote for ${formatUSD(usdAmount)} with ${retryCount} retries...`;
       const quoteLog2 = `   📡 Input: ${quoteInputMint?.slice(0, 8)}..., Output: ${quoteOutputMint?.slice(0, 8)}..., Amount: ${rawAmount.toLocaleString()}`;
-      console.log(quoteLog1);
-      console.log(quoteLog2);
-      logs.push(quoteLog1, quoteLog2);
+      trace('debug', quoteLog1);
+      trace('debug', quoteLog2);
       const quoteStartTime = Date.now();
-      // Use higher slippage for larger trades to allow high price impact
-      // Jupiter's frontend allows up to 100% slippage for finding max liquidity
-      // For $50M+ trades, use 10000 bps (100%) to find true liquidity limits
-      // For $10M+ trades, use 5000 bps (50%) to allow high price impact
-      // For smaller trades, use standard 50 bps (0.5%)
-      let slippageBps = 50;
-      if (usdAmount >= 50000000) {
-        slippageBps = 10000; // 100% slippage for very large trades
-      } else if (usdAmount >= 10000000) {
-        slippageBps = 5000; // 50% slippage for large trades
-      } else if (usdAmount >= 1000000) {
-        slippageBps = 500; // 5% slippage for $1M+ trades
-      }
       
-      const quote = await getQuote(quoteInputMint, quoteOutputMint, rawAmount, slippageBps, retryCount);
+      // Queue the next size behind this one, then wait for this size's quote (possibly already in flight)
+      // Larger trades use higher slippage to allow high price impact (slippageForTradeSize)
+      prefetchTradeSize(usdTradeSizes.indexOf(usdAmount) + 1);
+      const quote = await quoteTradeSize(usdAmount, rawAmount);
       
       // Track warnings from quotes
       if (quote?.warning && !warnings.includes(quote.warning)) {
@@ -1151,8 +1328,7 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
       
       const quoteDuration = ((Date.now() - quoteStartTime) / 1000).toFixed(2);
       const quoteLog3 = `   ⏱️ Quote request completed in ${quoteDuration}s`;
-      console.log(quoteLog3);
-      logs.push(quoteLog3);
+      trace('debug', quoteLog3);
 
       if (quote?.outAmount && quote?.inAmount) {
         // Calculate readable amounts
@@ -1164,12 +1340,12 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
         
         // Validate amounts before calculating price
         if (!isFinite(inputAmountReadable) || inputAmountReadable <= 0) {
-          console.warn(`⚠️ Invalid input amount for ${formatUSD(usdAmount)}: ${inputAmountReadable}`);
+          log.warn(`⚠️ Invalid input amount for ${formatUSD(usdAmount)}: ${inputAmountReadable}`);
           continue;
         }
         
         if (!isFinite(outputAmountReadable) || outputAmountReadable <= 0) {
-          console.warn(`⚠️ Invalid output amount for ${formatUSD(usdAmount)}: ${outputAmountReadable}`);
+          log.warn(`⚠️ Invalid output amount for ${formatUSD(usdAmount)}: ${outputAmountReadable}`);
           continue;
         }
         
@@ -1178,14 +1354,14 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
         
         // Comprehensive price validation
         if (!isFinite(price) || price <= 0 || price > 1e10) {
-          console.warn(`⚠️ Invalid price for ${formatUSD(usdAmount)}: ${price}`);
+          log.warn(`⚠️ Invalid price for ${formatUSD(usdAmount)}: ${price}`);
           continue;
         }
         
         // If we don't have a baseline price yet, use this first successful quote as baseline
         if (!baselinePrice) {
           baselinePrice = price;
-          console.log(`✅ Using first successful quote as baseline price: ${baselinePrice.toFixed(6)}`);
+          log.debug(`✅ Using first successful quote as baseline price: ${baselinePrice.toFixed(6)}`);
         }
         
         // Use Jupiter Ultra API's priceImpactPct directly - it matches frontend calculation
@@ -1200,13 +1376,13 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
           priceImpact = parseFloat(quote.priceImpactPct) * 100;
           // Use absolute value for display (we show it as positive percentage)
           const displayImpact = Math.abs(priceImpact);
-          console.log(`📊 Using Jupiter Ultra API priceImpactPct: ${displayImpact.toFixed(4)}% (raw: ${priceImpact.toFixed(4)}%)`);
+          log.debug(`📊 Using Jupiter Ultra API priceImpactPct: ${displayImpact.toFixed(4)}% (raw: ${priceImpact.toFixed(4)}%)`);
           priceImpact = displayImpact; // Store as positive for consistency
           usedJupiterPriceImpact = true;
         } else if (baselinePrice && baselinePrice > 0) {
           // Fallback: Calculate price impact ourselves if Jupiter's priceImpactPct not available
           // WARNING: This is less accurate than Jupiter's calculation, especially for stablecoins
-          console.warn(`⚠️ Jupiter priceImpactPct not available, using fallback calculation (may be inaccurate for stablecoins)`);
+          log.warn(`⚠️ Jupiter priceImpactPct not available, using fallback calculation (may be inaccurate for stablecoins)`);
           
           // Calculate expected output based on baseline (spot) price
           let expectedOutput;
@@ -1231,21 +1407,21 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
           // Price impact = (expected - actual) / expected * 100
           if (expectedOutput > 0 && actualOutput > 0) {
             priceImpact = Math.abs((expectedOutput - actualOutput) / expectedOutput) * 100;
-            console.log(`📊 Calculated price impact (fallback): ${priceImpact.toFixed(4)}% (expected: ${formatAmount(expectedOutput)}, actual: ${formatAmount(actualOutput)})`);
+            log.debug(`📊 Calculated price impact (fallback): ${priceImpact.toFixed(4)}% (expected: ${formatAmount(expectedOutput)}, actual: ${formatAmount(actualOutput)})`);
           } else {
             // Fallback to price-based calculation if amounts are invalid
             const executionPrice = outputAmountReadable / inputAmountReadable;
             priceImpact = Math.abs((executionPrice - baselinePrice) / baselinePrice) * 100;
-            console.log(`📊 Price impact (fallback, price-based): ${priceImpact.toFixed(4)}%`);
+            log.debug(`📊 Price impact (fallback, price-based): ${priceImpact.toFixed(4)}%`);
           }
         } else {
-          console.warn(`⚠️ Cannot calculate price impact: no baseline price and no priceImpactPct`);
+          log.warn(`⚠️ Cannot calculate price impact: no baseline price and no priceImpactPct`);
           priceImpact = 0;
         }
         
         // Log if we're using fallback for large trades (this could indicate an issue)
         if (!usedJupiterPriceImpact && usdAmount >= 10000000) {
-          console.warn(`⚠️ WARNING: Large trade (${formatUSD(usdAmount)}) using fallback price impact calculation - may be inaccurate!`);
+          log.warn(`⚠️ WARNING: Large trade (${formatUSD(usdAmount)}) using fallback price impact calculation - may be inaccurate!`);
         }
         
         // Slippage is the same as price impact in this context (no market movement during execution)
@@ -1254,14 +1430,14 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
         
         // Validate price impact is reasonable (warn if extreme, but don't skip)
         if (priceImpact > 1000) {
-          console.warn(`⚠️ Extreme price impact detected: ${priceImpact.toFixed(2)}% for ${formatUSD(usdAmount)}`);
+          log.warn(`⚠️ Extreme price impact detected: ${priceImpact.toFixed(2)}% for ${formatUSD(usdAmount)}`);
         }
         
         // Validate that amounts are monotonically increasing (for cumulative calculation)
         if (depthPoints.length > 0) {
           const lastPoint = depthPoints[depthPoints.length - 1];
           if (inputAmountReadable < lastPoint.amount * 0.9) {
-            console.warn(`⚠️ Trade amount decreased: ${formatAmount(inputAmountReadable)} < ${formatAmount(lastPoint.amount)} for ${formatUSD(usdAmount)}`);
+            log.warn(`⚠️ Trade amount decreased: ${formatAmount(inputAmountReadable)} < ${formatAmount(lastPoint.amount)} for ${formatUSD(usdAmount)}`);
           }
         }
 
@@ -1270,7 +1446,7 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
         // The actual token amounts were calculated from this USD value
         const tradeUsdValue = usdAmount;
 
-        depthPoints.push({
+        addDepthPoint({
           price,
           amount: inputAmountReadable, // Token amount we actually traded (calculated from USD)
           // cumulativeLiquidity will be calculated after all points are collected
@@ -1280,19 +1456,18 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
           tradeUsdValue, // Fixed USD trade size we tested (this is the key value)
           rawInputAmount: inputAmountRaw,
           rawOutputAmount: outputAmountRaw,
+          route: normalizeRoutePlan(quote.routePlan, quoteInputMint), // Venues that absorbed the trade
         });
         
         const successMsg = `✅ ${formatUSD(usdAmount)}: ${formatAmount(inputAmountReadable)} -> ${formatAmount(outputAmountReadable)}, price impact: ${priceImpact.toFixed(2)}%`;
-        console.log(successMsg);
-        logs.push(successMsg);
+        trace('debug', successMsg);
         
         // Reset consecutive failures on success
         consecutiveFailures = 0;
       } else {
         const invalidMsg = `⚠️ Invalid quote response for ${formatUSD(usdAmount)}: ${quote ? 'Missing outAmount/inAmount' : 'No quote data'}`;
-        console.warn(invalidMsg);
-        logs.push(invalidMsg);
-        errors.push({
+        trace('warn', invalidMsg);
+        addError({
           tradeSize: usdAmount,
           tradeSizeFormatted: formatUSD(usdAmount),
           error: quote ? 'Missing outAmount/inAmount in quote response' : 'No quote data returned',
@@ -1301,18 +1476,32 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
         });
       }
     } catch (error) {
-      const errorMsg = error.response?.data?.error || error.response?.data?.message || error.message || 'Unknown error';
-      const errorCode = error.response?.data?.errorCode;
-      const statusCode = error.response?.status;
-      const fullErrorData = error.response?.data;
-      
-      // Check for "Invalid inputMint" - means Jupiter doesn't support this token at all
-      // Exit immediately to save time (no point trying other sizes)
-      if (errorMsg?.includes('Invalid inputMint') || errorMsg?.includes('Invalid mint') || errorCode === 'INVALID_INPUT_MINT') {
+      // Out of quote budget - stop and return what we have
+      if (error.code === 'QUOTE_BUDGET_EXHAUSTED') {
+        const budgetMsg = `💸 ${error.message}. Returning ${depthPoints.length} points collected so far.\n⚠️ MISSING TRADE SIZES: ${usdTradeSizes.slice(usdTradeSizes.indexOf(usdAmount)).map(s => formatUSD(s)).join(', ')}`;
+        trace('warn', budgetMsg);
+        addError({
+          tradeSize: usdAmount,
+          tradeSizeFormatted: formatUSD(usdAmount),
+          error: error.message,
+          errorCode: error.code,
+          statusCode: null,
+          timestamp: new Date().toISOString()
+        });
+        break;
+      }
+      
+      const errorMsg = error.response?.data?.error || error.response?.data?.message || error.message || 'Unknown error';
+      const errorCode = error.response?.data?.errorCode;
+      const statusCode = error.response?.status;
+      const fullErrorData = error.response?.data;
+      
+      // Check for "Invalid inputMint" - means Jupiter doesn't support this token at all
+      // Exit immediately to save time (no point trying other sizes)
+      if (errorMsg?.includes('Invalid inputMint') || errorMsg?.includes('Invalid mint') || errorCode === 'INVALID_INPUT_MINT') {
         const invalidMintMsg = `❌ Token not supported by Jupiter: ${errorMsg}. Exiting early.`;
-        console.error(invalidMintMsg);
-        logs.push(invalidMintMsg);
-        errors.push({
+        trace('error', invalidMintMsg);
+        addError({
           tradeSize: usdAmount,
           tradeSizeFormatted: formatUSD(usdAmount),
           error: errorMsg,
@@ -1338,22 +1527,19 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
       // Skip binary search for small trades if we already have failures - saves time
       if (isRoutingError && usdAmount < 1000000 && consecutiveFailures >= 3) {
         const skipMsg = `⏭️ Skipping binary search for ${formatUSD(usdAmount)} - too many failures already`;
-        console.log(skipMsg);
-        logs.push(skipMsg);
+        trace('debug', skipMsg);
       } else if (isRoutingError) {
         // Handle routing errors by trying progressively smaller amounts
         // This matches how Jupiter's frontend handles tokens not in the official list
         const partialFillMsg = `⚠️ Jupiter cannot route ${formatUSD(usdAmount)} - ${errorMsg}`;
-        console.warn(partialFillMsg);
-        logs.push(partialFillMsg);
+        trace('warn', partialFillMsg);
         
         // For large amounts ($10M+), try progressively smaller amounts to find maximum routable amount
         // This matches Jupiter's frontend behavior: when routing fails, try smaller amounts
         // Tokens not in Jupiter's official list often fail at large amounts but work at smaller sizes
         if (usdAmount >= 10000000) {
           const trySmallerMsg = `   💡 Attempting to find maximum routable amount by trying smaller sizes...`;
-          console.log(trySmallerMsg);
-          logs.push(trySmallerMsg);
+          trace('debug', trySmallerMsg);
           
           // Use true binary search to find maximum routable amount quickly
           // This is much faster than linear search through many amounts
@@ -1386,16 +1572,8 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
             
             // Try the mid amount
             try {
-              let testTokenAmount;
-              if (isBuy) {
-                testTokenAmount = mid;
-              } else {
-                testTokenAmount = baselinePrice && baselinePrice > 0 
-                  ? mid / baselinePrice 
-                  : mid / 100;
-              }
-              
-              const testRawAmount = Math.floor(testTokenAmount * Math.pow(10, quoteInputDecimals));
+              const testTokenAmount = tokenAmountForUsd(mid);
+              const testRawAmount = toRawAmount(testTokenAmount, quoteAmountDecimals);
               
               if (testRawAmount <= 0) {
                 high = mid;
@@ -1403,15 +1581,12 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
               }
               
               const tryMsg = `   🔄 Binary search (${iterations}/${maxIterations}): Trying ${formatUSD(mid)} (range: ${formatUSD(low)} - ${formatUSD(high)})...`;
-              console.log(tryMsg);
-              logs.push(tryMsg);
-              
-              // Reduced delay for binary search
-              await new Promise(resolve => setTimeout(resolve, 50));
+              trace('debug', tryMsg);
+              emitProgress({ type: 'search', tradeSize: usdAmount, amount: mid, low, high, iteration: iterations });
               
               // Use high slippage for finding max liquidity
               const testSlippageBps = usdAmount >= 50000000 ? 10000 : (usdAmount >= 10000000 ? 5000 : 500);
-              const testQuote = await getQuote(quoteInputMint, quoteOutputMint, testRawAmount, testSlippageBps, 2);
+              const testQuote = await requestQuote(quoteInputMint, quoteOutputMint, testRawAmount, testSlippageBps, 2, sizeQuoteOptions);
               
               if (testQuote?.outAmount && testQuote?.inAmount) {
                 // This amount works - try higher
@@ -1436,7 +1611,7 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
                     // Check if we already have this trade size to avoid duplicates
                     const existingPoint = depthPoints.find(p => Math.abs(p.tradeUsdValue - mid) < 1000);
                     if (!existingPoint) {
-                      depthPoints.push({
+                      addDepthPoint({
                         price,
                         amount: inputAmountReadable,
                         outputAmount: outputAmountReadable,
@@ -1445,11 +1620,11 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
                         tradeUsdValue: mid,
                         rawInputAmount: inputAmountRaw,
                         rawOutputAmount: outputAmountRaw,
+                        route: normalizeRoutePlan(testQuote.routePlan, quoteInputMint),
                       });
                       
                       const successMsg = `   ✅ Found working amount: ${formatUSD(mid)}, price impact: ${priceImpact.toFixed(2)}%`;
-                      console.log(successMsg);
-                      logs.push(successMsg);
+                      trace('debug', successMsg);
                     }
                   }
                 }
@@ -1463,11 +1638,12 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
             }
           }
           
+          metrics.binarySearchIterations.observe({ direction: 'down' }, iterations);
+          
           // Binary search completed - check results
           if (!foundWorkingAmount) {
             const noRouteMsg = `   ❌ Could not find any routable amount for ${formatUSD(usdAmount)}`;
-            console.error(noRouteMsg);
-            logs.push(noRouteMsg);
+            trace('error', noRouteMsg);
             // If we couldn't find any working amount, this token likely has very limited liquidity
             // Set a conservative maximum to avoid wasting time on larger sizes
             if (globalMaxFoundThroughBinarySearch === 0) {
@@ -1477,7 +1653,7 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
                 : 0;
               if (largestSuccessful > 0) {
                 globalMaxFoundThroughBinarySearch = largestSuccessful;
-                console.log(`   📊 Setting conservative max liquidity: ${formatUSD(globalMaxFoundThroughBinarySearch)}`);
+                log.debug(`   📊 Setting conservative max liquidity: ${formatUSD(globalMaxFoundThroughBinarySearch)}`);
               }
             }
           } else if (maxWorkingAmount > 0) {
@@ -1487,14 +1663,12 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
             // If we found a working amount, try to find the maximum by searching upward
             // Binary search between maxWorkingAmount and usdAmount to find exact maximum
             const maxFoundMsg = `   📊 Maximum routable amount found: ${formatUSD(maxWorkingAmount)}`;
-            console.log(maxFoundMsg);
-            logs.push(maxFoundMsg);
+            trace('debug', maxFoundMsg);
             
               // Try amounts between maxWorkingAmount and usdAmount to find exact maximum
               if (usdAmount > maxWorkingAmount) {
                 const searchUpMsg = `   🔍 Searching upward from ${formatUSD(maxWorkingAmount)} to find exact maximum...`;
-                console.log(searchUpMsg);
-                logs.push(searchUpMsg);
+                trace('debug', searchUpMsg);
                 
                 // Skip the upward binary search if we already found a good amount
                 // The initial binary search should have found the maximum already
@@ -1502,8 +1676,7 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
                 if (usdAmount - maxWorkingAmount < 2000000) {
                   // Gap is less than $2M, skip upward search to save time
                   const skipMsg = `   ⏭️ Skipping upward search - gap is only ${formatUSD(usdAmount - maxWorkingAmount)}`;
-                  console.log(skipMsg);
-                  logs.push(skipMsg);
+                  trace('debug', skipMsg);
                 } else {
                   // Binary search to find exact maximum between maxWorkingAmount and usdAmount
                   // Limit iterations to avoid taking too long
@@ -1514,8 +1687,7 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
                   
                   if (high < usdAmount) {
                     const capMsg = `   📊 Capping upward search at ${formatUSD(high)} (3x working amount) instead of ${formatUSD(usdAmount)}`;
-                    console.log(capMsg);
-                    logs.push(capMsg);
+                    trace('debug', capMsg);
                   }
                   
                   let bestAmount = maxWorkingAmount;
@@ -1537,29 +1709,19 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
                 }
                 
                 try {
-                  let testTokenAmount;
-                  if (isBuy) {
-                    testTokenAmount = mid;
-                  } else {
-                    testTokenAmount = baselinePrice && baselinePrice > 0 
-                      ? mid / baselinePrice 
-                      : mid / 100;
-                  }
-                  
-                  const testRawAmount = Math.floor(testTokenAmount * Math.pow(10, quoteInputDecimals));
+                  const testTokenAmount = tokenAmountForUsd(mid);
+                  const testRawAmount = toRawAmount(testTokenAmount, quoteAmountDecimals);
                   if (testRawAmount <= 0) {
                     high = mid;
                     continue;
                   }
                   
                   const tryUpwardMsg = `   🔄 Binary search: Trying ${formatUSD(mid)} (range: ${formatUSD(low)} - ${formatUSD(high)})...`;
-                  console.log(tryUpwardMsg);
-                  logs.push(tryUpwardMsg);
-                  
-                  await new Promise(resolve => setTimeout(resolve, 50));
+                  trace('debug', tryUpwardMsg);
+                  emitProgress({ type: 'search', tradeSize: usdAmount, amount: mid, low, high, iteration: upwardIterations });
                   
                   const testSlippageBps = usdAmount >= 50000000 ? 10000 : (usdAmount >= 10000000 ? 5000 : 500);
-                  const testQuote = await getQuote(quoteInputMint, quoteOutputMint, testRawAmount, testSlippageBps, 2);
+                  const testQuote = await requestQuote(quoteInputMint, quoteOutputMint, testRawAmount, testSlippageBps, 2, sizeQuoteOptions);
                   
                   if (testQuote?.outAmount && testQuote?.inAmount) {
                     const testInputRaw = isBuy ? testQuote.outAmount : testQuote.inAmount;
@@ -1575,7 +1737,7 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
                       if (isFinite(testPrice) && testPrice > 0 && testPrice < 1e10) {
                         const testPriceImpact = Math.abs(((testPrice - baselinePrice) / baselinePrice) * 100);
                         
-                        depthPoints.push({
+                        addDepthPoint({
                           price: testPrice,
                           amount: testInputReadable,
                           outputAmount: testOutputReadable,
@@ -1584,11 +1746,11 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
                           tradeUsdValue: mid,
                           rawInputAmount: testInputRaw,
                           rawOutputAmount: testOutputRaw,
+                          route: normalizeRoutePlan(testQuote.routePlan, quoteInputMint),
                         });
                         
                         const upwardSuccessMsg = `   ✅ Found working amount: ${formatUSD(mid)}, price impact: ${testPriceImpact.toFixed(2)}%`;
-                        console.log(upwardSuccessMsg);
-                        logs.push(upwardSuccessMsg);
+                        trace('debug', upwardSuccessMsg);
                         
                         bestAmount = mid;
                         low = mid; // This amount works, try higher
@@ -1605,28 +1767,27 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
                   // This amount doesn't work, try lower
                   high = mid;
                   const testFailMsg = `   ❌ ${formatUSD(mid)} failed, trying lower amounts...`;
-                  console.log(testFailMsg);
-                  logs.push(testFailMsg);
+                  trace('debug', testFailMsg);
                 }
               }
               
+              metrics.binarySearchIterations.observe({ direction: 'up' }, upwardIterations);
+              
               if (bestAmount > maxWorkingAmount) {
                 const finalMaxMsg = `   🎯 Final maximum liquidity: ${formatUSD(bestAmount)}`;
-                console.log(finalMaxMsg);
-                logs.push(finalMaxMsg);
+                trace('debug', finalMaxMsg);
                 // Update global maximum with the refined amount from upward search
                 globalMaxFoundThroughBinarySearch = Math.max(globalMaxFoundThroughBinarySearch, bestAmount);
               } else {
                 const maxReachedMsg = `   🎯 Maximum liquidity reached at ${formatUSD(maxWorkingAmount)}`;
-                console.log(maxReachedMsg);
-                logs.push(maxReachedMsg);
+                trace('debug', maxReachedMsg);
               }
             }
           }
         }
         
         // Store error but don't treat it as fatal
-        errors.push({
+        addError({
           tradeSize: usdAmount,
           tradeSizeFormatted: formatUSD(usdAmount),
           error: errorMsg,
@@ -1637,20 +1798,17 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
         
         // Continue to next amount
         const skipMsg = `⏭️ Skipping ${formatUSD(usdAmount)} due to routing limitation, continuing to next trade size...`;
-        console.log(skipMsg);
-        logs.push(skipMsg);
+        trace('debug', skipMsg);
         continue; // Skip to next iteration
       }
       
       // Log detailed error info for other errors
       if (statusCode === 429) {
         const rateLimitMsg = `⚠️ Rate limited for ${formatUSD(usdAmount)} - exhausted all retries`;
-        console.error(rateLimitMsg);
-        logs.push(rateLimitMsg);
+        trace('error', rateLimitMsg);
       } else if (statusCode >= 400) {
         const apiErrorMsg = `❌ API error ${statusCode} for ${formatUSD(usdAmount)}: ${errorMsg}`;
-        console.error(apiErrorMsg);
-        logs.push(apiErrorMsg);
+        trace('error', apiErrorMsg);
         
         // For large amounts, log more details
         if (usdAmount >= 10000000) {
@@ -1662,11 +1820,10 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
             inputMint: quoteInputMint ? quoteInputMint.slice(0, 8) : inputMint?.slice(0, 8),
             outputMint: quoteOutputMint ? quoteOutputMint.slice(0, 8) : outputMint?.slice(0, 8),
             rawAmount: rawAmount ? rawAmount.toLocaleString() : 'N/A',
-            tokenAmount: rawAmount ? (rawAmount / Math.pow(10, quoteInputDecimals)).toFixed(2) : 'N/A'
+            tokenAmount: rawAmount ? fromRawAmount(rawAmount, quoteAmountDecimals).toFixed(2) : 'N/A'
           };
           const criticalMsg = `   ⚠️ CRITICAL: Large trade size failed. Error details: ${JSON.stringify(errorDetails, null, 2)}`;
-          console.error(criticalMsg);
-          logs.push(criticalMsg);
+          trace('error', criticalMsg);
           
           // Check if it's a liquidity/routing issue
           if (errorMsg?.toLowerCase().includes('route') || 
@@ -1674,31 +1831,27 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
               errorMsg?.toLowerCase().includes('insufficient') ||
               statusCode === 400) {
             const liquidityMsg = `   💡 Likely cause: Insufficient liquidity on Jupiter for ${formatUSD(usdAmount)} trade size`;
-            console.warn(liquidityMsg);
-            logs.push(liquidityMsg);
+            trace('warn', liquidityMsg);
           }
         }
       } else {
         const failMsg = `❌ Failed to get quote for ${formatUSD(usdAmount)}: ${errorMsg}`;
-        console.error(failMsg);
-        logs.push(failMsg);
+        trace('error', failMsg);
       }
       // Continue to next amount - don't fail the entire request
       // Note: We skip this amount but will try the next one
       // Log which amount we're skipping for debugging
       const skipMsg = `⏭️ Skipping ${formatUSD(usdAmount)} due to error, continuing to next trade size...`;
-      console.log(skipMsg);
-      logs.push(skipMsg);
+      trace('debug', skipMsg);
       
       // For very large amounts ($50M+), this is concerning - log prominently
       if (usdAmount >= 50000000) {
         const criticalMsg = `🚨 WARNING: Failed to get quote for ${formatUSD(usdAmount)} - this is a critical data point!`;
-        console.error(criticalMsg);
-        logs.push(criticalMsg);
+        trace('error', criticalMsg);
       }
       
       // Store error for debugging
-      errors.push({
+      addError({
         tradeSize: usdAmount,
         tradeSizeFormatted: formatUSD(usdAmount),
         error: errorMsg,
@@ -1709,45 +1862,17 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
   }
   } // End of for loop over usdTradeSizes
   
-  // Log final status with detailed breakdown
-  console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  console.log(`📊 CALCULATION COMPLETE`);
-  console.log(`   Total trade sizes tested: ${usdTradeSizes.length}`);
-  console.log(`   Successful data points: ${depthPoints.length}`);
-  console.log(`   Errors encountered: ${errors.length}`);
-  console.log(`   Expected: ${usdTradeSizes.map(s => formatUSD(s)).join(', ')}`);
-  
-  const collectedSizes = depthPoints.map(p => p.tradeUsdValue).sort((a, b) => a - b);
-  console.log(`   Collected: ${collectedSizes.map(s => formatUSD(s)).join(', ')}`);
-  
-  if (depthPoints.length < usdTradeSizes.length) {
-    const missingSizes = usdTradeSizes.filter(size => 
-      !depthPoints.some(point => point.tradeUsdValue === size)
-    );
-    if (missingSizes.length > 0) {
-      console.warn(`\n⚠️ MISSING TRADE SIZES (${missingSizes.length}):`);
-      missingSizes.forEach(size => {
-        console.warn(`   ❌ ${formatUSD(size)} - NOT COLLECTED`);
-        // Show error details if available
-        const error = errors.find(e => e.tradeSize === size);
-        if (error) {
-          console.warn(`      Error: ${error.error} (Status: ${error.statusCode || 'N/A'})`);
-        } else {
-          console.warn(`      No error logged - may have been skipped silently`);
-        }
-      });
-    }
-  } else {
-    console.log(`   ✅ All trade sizes collected successfully!`);
-  }
-  
-  if (errors.length > 0) {
-    console.log(`\n📋 ERROR SUMMARY:`);
-    errors.forEach(err => {
-      console.log(`   ${err.tradeSizeFormatted}: ${err.error} (${err.statusCode || 'N/A'})`);
-    });
-  }
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
+  // Log final status: every size that wasn't collected, with the error that explains it if there was one
+  currentTradeSize = null;
+  const missingSizes = usdTradeSizes.filter(size => 
+    !depthPoints.some(point => point.tradeUsdValue === size)
+  );
+  log[missingSizes.length > 0 ? 'warn' : 'debug'](`📊 Collected ${depthPoints.length}/${usdTradeSizes.length} trade sizes (${errors.length} errors)`, {
+    missing: missingSizes.map(size => ({
+      tradeSize: size,
+      error: errors.find(e => e.tradeSize === size)?.error || 'skipped',
+    })),
+  });
   
   const endTime = Date.now();
   const totalTime = (endTime - calculationStartTime) / 1000;
@@ -1771,27 +1896,26 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
       // If invalid, use previous cumulative value
       point.cumulativeLiquidity = index > 0 ? depthPoints[index - 1].cumulativeLiquidity : 0;
       point.cumulativeOutputLiquidity = index > 0 ? depthPoints[index - 1].cumulativeOutputLiquidity : 0;
-      console.warn(`⚠️ Invalid data point at index ${index}, using previous cumulative value`);
+      log.warn(`⚠️ Invalid data point at index ${index}, using previous cumulative value`);
     }
     
     // Additional validation: check for extreme values
     const priceImpact = point.priceImpact !== undefined ? point.priceImpact : point.slippage;
     if (priceImpact > 1000) {
-      console.warn(`⚠️ Extreme price impact detected: ${priceImpact.toFixed(2)}% for ${formatUSD(point.tradeUsdValue)}`);
+      log.warn(`⚠️ Extreme price impact detected: ${priceImpact.toFixed(2)}% for ${formatUSD(point.tradeUsdValue)}`);
     }
     
     if (point.price <= 0 || !isFinite(point.price) || point.price > 1e10) {
-      console.warn(`⚠️ Invalid price detected: ${point.price} for ${formatUSD(point.tradeUsdValue)}`);
+      log.warn(`⚠️ Invalid price detected: ${point.price} for ${formatUSD(point.tradeUsdValue)}`);
     }
   });
   
   if (totalTime >= MAX_CALCULATION_TIME / 1000) {
-    console.warn(`⏱️ Calculation reached time limit (${(MAX_CALCULATION_TIME / 1000).toFixed(0)}s). Returning ${depthPoints.length} points collected.`);
+    log.warn(`⏱️ Calculation reached time limit (${(MAX_CALCULATION_TIME / 1000).toFixed(0)}s). Returning ${depthPoints.length} points collected.`);
   } else {
-    console.log(`\n✅ Liquidity depth calculation finished in ${totalTime.toFixed(2)} seconds. Collected ${depthPoints.length} points.`);
     if (depthPoints.length > 0) {
       const maxCumulative = depthPoints[depthPoints.length - 1].cumulativeLiquidity;
-      console.log(`📊 Maximum cumulative liquidity: ${formatAmount(maxCumulative)} tokens`);
+      log.debug(`📊 Maximum cumulative liquidity: ${formatAmount(maxCumulative)} tokens`);
     }
   }
   
@@ -1800,34 +1924,467 @@ async function calculateLiquidityDepth(inputMint, outputMint, isBuy) {
     depthPoints,
     logs,
     errors,
+    provider,
+    swapMode,
+    tradeSizes: usdTradeSizes,
+    usdPrices: { ...usdPrices, input: inputUsdPrice() },
+    quoteBudget: {
+      limit: quoteBudget.limit,
+      used: quoteBudget.used,
+      exhausted: quoteBudget.exhausted,
+    },
+    quoteCache: { hits: quoteBudget.cacheHits, misses: quoteBudget.cacheMisses },
     warnings: warnings.length > 0 ? warnings : undefined
   };
 }
 
+// Run a depth calculation and shape it into the /api/liquidity-depth response
+// Shared by the blocking route and asynchronous depth jobs
+async function runLiquidityDepth({ inputMint, outputMint, isBuy: isBuyOrder, provider, swapMode, tradeSizes, maxQuotes, onProgress, signal }) {
+  const log = logger.child({ pair: `${inputMint.slice(0, 8)}.../${outputMint.slice(0, 8)}...`, side: isBuyOrder ? 'buy' : 'sell' });
+  log.info('Starting liquidity depth calculation', { swapMode: swapMode || 'ExactIn', provider: provider || quoteProviders.defaultName });
+  
+  const startTime = Date.now();
+  const result = await calculateLiquidityDepth(inputMint, outputMint, isBuyOrder, {
+    provider,
+    swapMode,
+    tradeSizes,
+    maxQuotes,
+    onProgress,
+    signal,
+  });
+  // Handle both old format (array) and new format (object with depthPoints, logs, errors)
+  const depth = Array.isArray(result) ? result : (result.depthPoints || []);
+  const debugLogs = result.logs || [];
+  const debugErrors = result.errors || [];
+  const warnings = result.warnings || [];
+  const duration = Date.now() - startTime;
+  
+  log.info('Liquidity depth calculation complete', { durationMs: duration, points: depth.length, errors: debugErrors.length });
+  
+  const side = isBuyOrder ? 'buy' : 'sell';
+  metrics.calculationDuration.observe({ side, swap_mode: result.swapMode }, duration / 1000);
+  metrics.pointsRequested.inc({ side }, result.tradeSizes.length);
+  metrics.pointsCollected.inc({ side }, depth.filter(point => result.tradeSizes.includes(point.tradeUsdValue)).length);
+  
+  // Check if token is unsupported by Jupiter
+  const hasInvalidMintError = debugErrors.some(err => 
+    err.error?.includes('Invalid inputMint') || 
+    err.error?.includes('Invalid mint') ||
+    err.errorCode === 'INVALID_INPUT_MINT'
+  );
+  
+  if (depth.length === 0) {
+    log.warn('⚠️ No depth points collected - rate limiting, no liquidity for the pair, invalid token addresses or network problems');
+  }
+  
+  // Get baseline price from the first successful depth point (smallest trade)
+  // This represents the spot price before any price impact
+  const baselinePrice = depth.length > 0 ? depth[0].price : null;
+  
+  // Include warnings if any were detected
+  const responseData = {
+    inputMint,
+    outputMint,
+    isBuy: isBuyOrder,
+    swapMode: result.swapMode, // ExactIn: sized by amount paid, ExactOut: sized by amount received
+    depth,
+    tradeSizes: result.tradeSizes, // USD ladder that was requested (clients build rows from this)
+    baselinePrice, // Add baseline price for frontend to always show spot price
+    usdPrices: result.usdPrices, // USD per input/output token used to size trades and value receive amounts
+    ...(warnings.length > 0 && { warning: warnings[0] }), // Include first warning (they're usually the same)
+    metadata: {
+      pointsCount: depth.length,
+      calculationTime: `${duration}ms`,
+      timestamp: new Date().toISOString(),
+      warnings: warnings.length,
+      provider: result.provider,
+      quoteBudget: result.quoteBudget,
+      quoteCache: result.quoteCache, // Quotes served from the cache (or shared with an identical request in flight) vs fetched
+      ...(signal?.aborted && { cancelled: true }), // Partial result of a cancelled depth job
+      warning: depth.length === 0 ? 'No liquidity data collected. Check server logs for details.' : null,
+      tokenUnsupported: hasInvalidMintError
+    },
+    // Only sent to clients that ask for it (?debug=true) - see withoutDebug
+    debug: {
+      requestId: logContext().requestId, // Request that ran the calculation, to find its lines in the server log
+      logs: debugLogs,
+      errors: debugErrors
+    }
+  };
+  
+  // Persist the snapshot for /api/history (cancelled jobs only have partial results, so skip those)
+  if (depthHistory && !signal?.aborted) {
+    try {
+      responseData.metadata.snapshotId = depthHistory.save(responseData);
+    } catch (error) {
+      log.warn(`⚠️ Failed to save depth snapshot: ${error.message}`);
+    }
+  }
+  
+  // Check alert rules against the new result (webhook deliveries and retries run in the background)
+  // Rules and their baselines describe ExactIn depth, so ExactOut runs aren't evaluated
+  if (alerts && !signal?.aborted && result.swapMode === 'ExactIn') {
+    alerts.evaluate(responseData).catch(error => log.error('❌ Alert evaluation failed', error));
+  }
+  
+  return responseData;
+}
+
+// Depth response without its debug block (logs and per-size errors), which clients opt into with debug=true
+function withoutDebug({ debug, ...result }) {
+  return result;
+}
+
+// Whole depth results are cached per pair, direction and options (see depthCache.js)
+// Set DEPTH_CACHE_TTL_SECONDS=0 to always recalculate
+const depthCache = createDepthCache({
+  ttlSeconds: parseFloat(process.env.DEPTH_CACHE_TTL_SECONDS || '60'),
+  staleSeconds: parseFloat(process.env.DEPTH_CACHE_STALE_SECONDS || '300'),
+  maxEntries: parseInt(process.env.DEPTH_CACHE_MAX_ENTRIES || '200', 10),
+  // Empty results are usually rate limiting or an outage
+  isCacheable: (result) => result.depth.length > 0,
+  // Cancelled depth jobs return what they collected so far
+  isCancelled: (result) => Boolean(result.metadata.cancelled),
+});
+
+// runLiquidityDepth through the depth cache; fresh recalculates even if a cached result exists
+// metadata.cachedAt / ageSeconds say when the returned result was calculated
+async function cachedLiquidityDepth(params, { fresh = false } = {}) {
+  const { inputMint, outputMint, isBuy, provider, swapMode, tradeSizes, maxQuotes } = params;
+  const key = JSON.stringify([
+    inputMint,
+    outputMint,
+    isBuy,
+    provider || quoteProviders.defaultName,
+    swapMode || 'ExactIn',
+    tradeSizes || DEFAULT_TRADE_SIZES,
+    maxQuotes || null,
+  ]);
+
+  // Background refreshes outlive the request, so they don't report progress or follow its cancellation
+  const plainParams = { ...params, onProgress: undefined, signal: undefined };
+  // A depth job streams its own progress and can be cancelled, so it runs its own calculation
+  // (identical quotes are still shared through the quote cache)
+  const exclusive = Boolean(params.onProgress || params.signal);
+  const { result, cachedAt, status } = await depthCache.get(key, () => runLiquidityDepth(exclusive ? params : plainParams), {
+    fresh,
+    refresh: () => runLiquidityDepth(plainParams),
+    exclusive,
+  });
+  if (status !== 'miss') {
+    logger.info(`💾 Depth cache ${status} for ${isBuy ? 'BUY' : 'SELL'} ${inputMint.slice(0, 8)}... -> ${outputMint.slice(0, 8)}...`);
+  }
+
+  return {
+    ...result,
+    metadata: {
+      ...result.metadata,
+      cachedAt: new Date(cachedAt).toISOString(),
+      ageSeconds: Math.floor((Date.now() - cachedAt) / 1000),
+      cacheStatus: status, // hit, stale (a refresh is running) or miss
+    },
+  };
+}
+
+// Max-size search range and precision
+// The search stops once the passing and failing sizes are within 0.5% of each other
+const MAX_SIZE_TOLERANCE = 0.005;
+const MAX_SIZE_ITERATIONS = 24;
+
+// Routing failures mean the size can't be filled at all - for the max-size search that is the same
+// as exceeding the impact threshold. Anything else (rate limits, network errors) is a real failure.
+function isRoutingFailure(error) {
+  const errorMsg = (error.response?.data?.error || error.response?.data?.message || error.message || '').toLowerCase();
+  return error.response?.data?.errorCode === 'ROUTE_PLAN_DOES_NOT_CONSUME_ALL_THE_AMOUNT' ||
+    errorMsg.includes('does not consume all the amount') ||
+    errorMsg.includes('no route') ||
+    errorMsg.includes('cannot route') ||
+    errorMsg.includes('liquidity');
+}
+
+// Find the largest USD trade size that stays within each price impact threshold (in percent)
+// Bisects directly on quotes like the routing-error search in calculateLiquidityDepth, but on a
+// log scale between MIN_TRADE_SIZE and MAX_TRADE_SIZE so any pair converges in ~12 quotes.
+// Every quote is kept, so each threshold starts from the bracket the previous ones narrowed.
+async function calculateMaxTradeSizes(inputMint, outputMint, isBuy, impactThresholds, options = {}) {
+  const provider = options.provider || quoteProviders.defaultName;
+  const quoteOptions = { provider };
+  const quoteBudget = createQuoteBudget(options.maxQuotes);
+  const startTime = Date.now();
+
+  const inputDecimals = await getTokenDecimals(inputMint);
+  const outputDecimals = await getTokenDecimals(outputMint);
+  const quoteInputDecimals = isBuy ? outputDecimals : inputDecimals;
+  const quoteInputMint = isBuy ? outputMint : inputMint;
+  const quoteOutputMint = isBuy ? inputMint : outputMint;
+
+  logger.info(`\nSolving ${isBuy ? 'BUY' : 'SELL'} max size for ${inputMint.slice(0, 8)}... -> ${outputMint.slice(0, 8)}... at ${impactThresholds.join('%, ')}% impact`);
+
+  const { baselinePrice, usdPrices } = await getPairPricing({
+    inputMint,
+    outputMint,
+    isBuy,
+    inputDecimals,
+    outputDecimals,
+    requestQuote: quoteBudget.request,
+    quoteOptions,
+  });
+
+  // The spot price is the reference for price impact
+  if (!baselinePrice) {
+    throw new Error('Could not get a baseline price for this pair');
+  }
+
+  // Quote results by USD size: { tradeUsdValue, ok, priceImpact, point, quote } or { tradeUsdValue, ok: false, error }
+  const samples = new Map();
+
+  const sample = async (usdAmount) => {
+    if (samples.has(usdAmount)) return samples.get(usdAmount);
+
+    const tokenAmount = usdAmount / (isBuy ? usdPrices.output : usdPrices.input);
+    const rawAmount = toRawAmount(tokenAmount, quoteInputDecimals);
+    let result;
+
+    if (rawAmount <= 0) {
+      result = { tradeUsdValue: usdAmount, ok: false, error: `Token amount too small for ${formatUSD(usdAmount)}` };
+    } else {
+      try {
+        const quote = await quoteBudget.request(quoteInputMint, quoteOutputMint, rawAmount, slippageForTradeSize(usdAmount), 2, quoteOptions);
+        const inputAmountRaw = isBuy ? quote.outAmount : quote.inAmount;
+        const outputAmountRaw = isBuy ? quote.inAmount : quote.outAmount;
+        const amount = parseFloat(inputAmountRaw) / Math.pow(10, inputDecimals);
+        const outputAmount = parseFloat(outputAmountRaw) / Math.pow(10, outputDecimals);
+        const price = outputAmount / amount;
+
+        // Same impact source as the depth chart: Jupiter's priceImpactPct, falling back to the baseline price
+        const priceImpact = quote.priceImpactPct !== undefined && quote.priceImpactPct !== null
+          ? Math.abs(parseFloat(quote.priceImpactPct) * 100)
+          : Math.abs((price - baselinePrice) / baselinePrice) * 100;
+
+        result = {
+          tradeUsdValue: usdAmount,
+          ok: isFinite(price) && price > 0,
+          priceImpact,
+          point: {
+            price,
+            amount,
+            outputAmount,
+            priceImpact,
+            tradeUsdValue: usdAmount,
+            receiveUsdValue: isBuy ? amount * usdPrices.input : outputAmount * usdPrices.output,
+            rawInputAmount: inputAmountRaw,
+            rawOutputAmount: outputAmountRaw,
+            route: normalizeRoutePlan(quote.routePlan, quoteInputMint),
+          },
+          quote: {
+            provider: quote.provider,
+            inputMint: quote.inputMint || quoteInputMint,
+            outputMint: quote.outputMint || quoteOutputMint,
+            inAmount: quote.inAmount,
+            outAmount: quote.outAmount,
+            priceImpactPct: quote.priceImpactPct,
+            slippageBps: quote.slippageBps,
+            routePlan: quote.routePlan,
+          },
+        };
+      } catch (error) {
+        if (error.code === 'QUOTE_BUDGET_EXHAUSTED' || !isRoutingFailure(error)) throw error;
+        result = { tradeUsdValue: usdAmount, ok: false, error: error.response?.data?.error || error.message };
+      }
+    }
+
+    logger.debug(`   🔎 ${formatUSD(usdAmount)}: ${result.ok ? `impact ${result.priceImpact.toFixed(3)}%` : result.error}`);
+    samples.set(usdAmount, result);
+    return result;
+  };
+
+  const results = [];
+  for (const threshold of impactThresholds) {
+    const withinThreshold = (result) => result.ok && result.priceImpact <= threshold;
+    let low = null; // Largest size known to stay within the threshold
+    let high = null; // Smallest size above `low` known to exceed it (or fail to route)
+    let capped = false;
+    let complete = true;
+    let iterations = 0;
+
+    try {
+      for (const result of samples.values()) {
+        if (withinThreshold(result) && (!low || result.tradeUsdValue > low.tradeUsdValue)) low = result;
+      }
+      for (const result of samples.values()) {
+        if (!withinThreshold(result) && result.tradeUsdValue > (low?.tradeUsdValue || 0) &&
+            (!high || result.tradeUsdValue < high.tradeUsdValue)) {
+          high = result;
+        }
+      }
+
+      if (!low) {
+        const smallest = await sample(MIN_TRADE_SIZE);
+        if (withinThreshold(smallest)) low = smallest;
+      }
+      if (low && !high) {
+        const largest = await sample(MAX_TRADE_SIZE);
+        if (withinThreshold(largest)) {
+          low = largest;
+          capped = true;
+        } else {
+          high = largest;
+        }
+      }
+
+      // Log-scale binary search between the bracket ends
+      while (low && high && high.tradeUsdValue / low.tradeUsdValue > 1 + MAX_SIZE_TOLERANCE && iterations < MAX_SIZE_ITERATIONS) {
+        iterations++;
+        const mid = Math.round(Math.sqrt(low.tradeUsdValue * high.tradeUsdValue) * 100) / 100;
+        if (mid <= low.tradeUsdValue || mid >= high.tradeUsdValue) break;
+
+        const result = await sample(mid);
+        if (withinThreshold(result)) {
+          low = result;
+        } else {
+          high = result;
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'QUOTE_BUDGET_EXHAUSTED') throw error;
+      logger.warn(`💸 ${error.message} while solving ${threshold}% - returning best bracket so far`);
+      complete = false;
+    }
+
+    results.push({
+      impactPct: threshold,
+      maxTradeUsd: low ? low.tradeUsdValue : 0,
+      capped, // Even MAX_TRADE_SIZE stays within the threshold
+      complete, // False if the quote budget ran out before the search converged
+      iterations,
+      point: low ? low.point : null,
+      quote: low ? low.quote : null,
+      // Smallest size found over the threshold - the answer lies between maxTradeUsd and this
+      exceededAt: high ? {
+        tradeUsdValue: high.tradeUsdValue,
+        priceImpact: high.ok ? high.priceImpact : null,
+        error: high.error || null,
+      } : null,
+    });
+  }
+
+  return {
+    inputMint,
+    outputMint,
+    isBuy,
+    baselinePrice,
+    usdPrices,
+    thresholds: results,
+    metadata: {
+      provider,
+      tolerance: MAX_SIZE_TOLERANCE,
+      searchRange: { min: MIN_TRADE_SIZE, max: MAX_TRADE_SIZE },
+      quotesSampled: samples.size,
+      quoteBudget: {
+        limit: quoteBudget.limit,
+        used: quoteBudget.used,
+        exhausted: quoteBudget.exhausted,
+      },
+      quoteCache: { hits: quoteBudget.cacheHits, misses: quoteBudget.cacheMisses },
+      calculationTime: `${Date.now() - startTime}ms`,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+// Parse the trade-size ladder, quote budget and swap mode shared by /api/liquidity-depth and /api/depth-jobs
+// Returns { tradeSizes, maxQuotes, swapMode } or { error } with a 400 body
+const SWAP_MODES = ['ExactIn', 'ExactOut'];
+function parseDepthOptions(params = {}) {
+  const ladder = parseTradeSizeLadder(params);
+  if (ladder.error) {
+    return { error: validationError(ladder.field, ladder.error, ladder.code) };
+  }
+
+  let maxQuotes;
+  if (params.maxQuotes !== undefined && params.maxQuotes !== '') {
+    maxQuotes = Number(params.maxQuotes);
+    if (!Number.isInteger(maxQuotes) || maxQuotes < 1) {
+      return { error: validationError('maxQuotes', 'maxQuotes must be a positive integer', 'INVALID_NUMBER') };
+    }
+  }
+
+  // swapMode=ExactOut sizes quotes by the amount received (only some providers support it)
+  let swapMode;
+  if (params.swapMode !== undefined && params.swapMode !== '') {
+    swapMode = SWAP_MODES.find(mode => mode.toLowerCase() === String(params.swapMode).toLowerCase());
+    if (!swapMode) {
+      return { error: validationError('swapMode', `swapMode must be one of ${SWAP_MODES.join(', ')}`, 'UNKNOWN_VALUE') };
+    }
+    const provider = quoteProviders.get(params.provider);
+    if (provider && !provider.swapModes.includes(swapMode)) {
+      return { error: validationError('swapMode', `Quote provider ${provider.name} does not support ${swapMode}`, 'UNSUPPORTED_SWAP_MODE') };
+    }
+  }
+
+  return { tradeSizes: ladder.custom ? ladder.sizes : undefined, maxQuotes, swapMode };
+}
+
+// Parse impactPct=1,2,5 into sorted, de-duplicated thresholds (percent)
+// Returns { thresholds } or { error } with a 400 body
+const MAX_IMPACT_THRESHOLDS = 10;
+function parseImpactThresholds(value = '1,2,5') {
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  if (values.length === 0) {
+    return { error: validationError('impactPct', 'impactPct must list at least one threshold', 'MISSING_FIELD') };
+  }
+  if (values.length > MAX_IMPACT_THRESHOLDS) {
+    return { error: validationError('impactPct', `At most ${MAX_IMPACT_THRESHOLDS} impactPct thresholds are allowed`, 'TOO_MANY_VALUES') };
+  }
+
+  const thresholds = values.map(Number);
+  const invalidIndex = thresholds.findIndex(t => !isFinite(t) || t <= 0 || t > 100);
+  if (invalidIndex >= 0) {
+    return { error: validationError('impactPct', `Invalid impactPct: "${values[invalidIndex]}" (must be between 0 and 100)`, 'OUT_OF_RANGE') };
+  }
+
+  return { thresholds: Array.from(new Set(thresholds)).sort((a, b) => a - b) };
+}
+
+// Request schemas (see validation.js) - mints are checked before any quote is spent on them
+const PAIR_FIELDS = {
+  inputMint: { type: 'mint', required: true },
+  outputMint: { type: 'mint', required: true },
+};
+const PROVIDER_FIELD = { type: 'enum', values: () => quoteProviders.list().map(provider => provider.name) };
+
 // Routes
+// Public API routes are registered on this router, which is mounted at /api/v1 and (deprecated) at /api
+// - see the bottom of the file. Ops and debugging endpoints stay on the app and aren't versioned.
+const api = express.Router();
+
 // Search tokens using Jupiter's Data API (search-as-you-type)
-app.get('/api/tokens/search', async (req, res) => {
+api.get('/tokens/search', validateRequest({
+  q: { type: 'string', maxLength: 100 },
+  query: { type: 'string', maxLength: 100 },
+}), async (req, res) => {
   try {
-    const query = req.query.q || req.query.query || '';
+    const query = req.valid.q || req.valid.query || '';
     
     if (!query || query.trim().length === 0) {
       // Return empty array for empty query
       return res.json([]);
     }
 
-    console.log(`🔍 Searching tokens for query: "${query}"`);
+    logger.info(`🔍 Searching tokens for query: "${query}"`);
     
     // Use Jupiter's Data API for search (same API their frontend uses)
-    const searchUrl = `https://datapi.jup.ag/v1/assets/search?query=${encodeURIComponent(query)}`;
+    const searchUrl = `${JUPITER_SEARCH_URL}?query=${encodeURIComponent(query)}`;
     
     try {
-      const response = await axiosInstance.get(searchUrl, {
+      const response = await endpointHealth.run(JUPITER_SEARCH_URL, () => axiosInstance.get(searchUrl, {
         headers: {
           'Accept': 'application/json',
           'User-Agent': 'Solana-Liquidity-Depth/1.0'
         },
         timeout: 10000
-      });
+      }));
 
       let tokens = response.data;
       
@@ -1862,64 +2419,68 @@ app.get('/api/tokens/search', async (req, res) => {
                token.address.length <= 44;
       });
 
-      console.log(`✅ Found ${normalizedTokens.length} tokens for query "${query}"`);
+      logger.info(`✅ Found ${normalizedTokens.length} tokens for query "${query}"`);
       res.json(normalizedTokens);
     } catch (error) {
-      console.error(`❌ Token search failed for query "${query}":`, error.message);
+      logger.error(`❌ Token search failed for query "${query}":`, error.message);
       // Return empty array on error (don't fail the request)
       res.json([]);
     }
   } catch (error) {
-    console.error('Token search error:', error);
+    logger.error('Token search error:', error);
     res.status(500).json({ error: 'Token search failed', message: error.message });
   }
 });
 
 // Legacy endpoint - keep for backward compatibility but return empty array
 // Frontend should use /api/tokens/search instead
-app.get('/api/tokens', async (req, res) => {
+api.get('/tokens', validateRequest({ refresh: { type: 'boolean', default: false } }), async (req, res) => {
   try {
-    const refresh = req.query.refresh === 'true';
+    const { refresh } = req.valid;
     
     if (refresh) {
       // Clear cache to force refresh
       tokenListCache = null;
       tokenListCacheTime = null;
-      console.log('🔄 Token cache cleared, forcing refresh...');
+      logger.info('🔄 Token cache cleared, forcing refresh...');
     }
     
-    console.log('📋 Fetching token list...');
+    logger.info('📋 Fetching token list...');
     const tokens = await getTokenList();
     
     // Ensure we always return an array, even if empty
     if (Array.isArray(tokens) && tokens.length > 0) {
-      console.log(`✅ Returning ${tokens.length} tokens`);
+      logger.info(`✅ Returning ${tokens.length} tokens`);
       res.json(tokens);
     } else {
       // If somehow we get empty tokens, return fallback
-      console.warn('⚠️ Empty token list, returning fallback tokens');
+      logger.warn('⚠️ Empty token list, returning fallback tokens');
       const fallback = getFallbackTokens();
-      console.log(`✅ Returning ${fallback.length} fallback tokens`);
+      logger.info(`✅ Returning ${fallback.length} fallback tokens`);
       res.json(fallback);
     }
   } catch (error) {
-    console.error('❌ Token fetch error:', error.message || error);
+    logger.error('❌ Token fetch error:', error.message || error);
     // Return fallback tokens instead of error
-    console.log('✅ Returning fallback tokens due to error');
+    logger.info('✅ Returning fallback tokens due to error');
     const fallback = getFallbackTokens();
     res.json(fallback);
   }
 });
 
-app.get('/api/quote', async (req, res) => {
+// Raw amounts are plain integers of any size (they're passed upstream as strings)
+const QUOTE_SCHEMA = {
+  ...PAIR_FIELDS,
+  amount: { type: 'rawAmount', required: true },
+  slippageBps: { type: 'integer', min: 0, max: 10000 },
+  provider: PROVIDER_FIELD,
+};
+
+api.get('/quote', validateRequest(QUOTE_SCHEMA), requireApiKey(), async (req, res) => {
   try {
-    const { inputMint, outputMint, amount, slippageBps } = req.query;
-    
-    if (!inputMint || !outputMint || !amount) {
-      return res.status(400).json({ error: 'Missing required parameters' });
-    }
+    const { inputMint, outputMint, amount, slippageBps, provider } = req.valid;
 
-    const quote = await getQuote(inputMint, outputMint, amount, slippageBps);
+    const quote = await getQuote(inputMint, outputMint, amount, slippageBps, 3, { provider });
     
     // Return quote with warning if present
     res.json({
@@ -1931,81 +2492,40 @@ app.get('/api/quote', async (req, res) => {
   }
 });
 
-app.get('/api/liquidity-depth', async (req, res) => {
+// Optional custom ladder: sizes=250,5000,25000 or minSize=1000&maxSize=10M&steps=8
+api.get('/liquidity-depth', validateRequest({
+  ...PAIR_FIELDS,
+  isBuy: { type: 'boolean', default: false },
+  provider: PROVIDER_FIELD,
+  format: { type: 'enum', values: ['json', 'csv'], default: 'json' },
+  fresh: { type: 'boolean', default: false },
+  debug: { type: 'boolean', default: false },
+}), validateDepthOptions(), requireApiKey(), async (req, res) => {
   try {
-    const { inputMint, outputMint, isBuy } = req.query;
-    
-    if (!inputMint || !outputMint) {
-      return res.status(400).json({ error: 'Missing required parameters' });
-    }
+    const { inputMint, outputMint, isBuy, provider, fresh, debug, format } = req.valid;
+    const { depthOptions } = req;
 
-    const isBuyOrder = isBuy === 'true';
-    console.log(`\n=== Starting liquidity depth calculation ===`);
-    console.log(`Direction: ${isBuyOrder ? 'BUY' : 'SELL'}`);
-    console.log(`Input: ${inputMint.slice(0, 8)}...`);
-    console.log(`Output: ${outputMint.slice(0, 8)}...`);
-    console.log(`Connecting to Jupiter API...`);
-    
-    const startTime = Date.now();
-    const result = await calculateLiquidityDepth(inputMint, outputMint, isBuyOrder);
-    // Handle both old format (array) and new format (object with depthPoints, logs, errors)
-    const depth = Array.isArray(result) ? result : (result.depthPoints || []);
-    const debugLogs = result.logs || [];
-    const debugErrors = result.errors || [];
-    const warnings = result.warnings || [];
-    const duration = Date.now() - startTime;
-    
-    console.log(`=== Calculation complete ===`);
-    console.log(`Duration: ${duration}ms`);
-    console.log(`Points collected: ${depth.length}`);
-    console.log(`Logs captured: ${debugLogs.length}`);
-    console.log(`Errors captured: ${debugErrors.length}`);
-    console.log(`===========================\n`);
-    
-    // Check if token is unsupported by Jupiter
-    const hasInvalidMintError = debugErrors.some(err => 
-      err.error?.includes('Invalid inputMint') || 
-      err.error?.includes('Invalid mint') ||
-      err.errorCode === 'INVALID_INPUT_MINT'
-    );
-    
-    if (depth.length === 0) {
-      console.warn('⚠️ No depth points collected. This could be due to:');
-      console.warn('  1. Rate limiting from Jupiter API');
-      console.warn('  2. No liquidity available for this pair');
-      console.warn('  3. Invalid token addresses');
-      console.warn('  4. Network connectivity issues');
-    }
-    
-    // Get baseline price from the first successful depth point (smallest trade)
-    // This represents the spot price before any price impact
-    const baselinePrice = depth.length > 0 ? depth[0].price : null;
-    
-    // Include warnings if any were detected
-    const responseData = {
+    // fresh=true skips the depth cache
+    const responseData = await cachedLiquidityDepth({
       inputMint,
       outputMint,
-      isBuy: isBuyOrder,
-      depth,
-      baselinePrice, // Add baseline price for frontend to always show spot price
-      ...(warnings.length > 0 && { warning: warnings[0] }), // Include first warning (they're usually the same)
-      metadata: {
-        pointsCount: depth.length,
-        calculationTime: `${duration}ms`,
-        timestamp: new Date().toISOString(),
-        warnings: warnings.length,
-        warning: depth.length === 0 ? 'No liquidity data collected. Check server logs for details.' : null,
-        tokenUnsupported: hasInvalidMintError
-      },
-      debug: {
-        logs: debugLogs,
-        errors: debugErrors
-      }
-    };
+      isBuy,
+      provider,
+      swapMode: depthOptions.swapMode,
+      tradeSizes: depthOptions.tradeSizes,
+      maxQuotes: depthOptions.maxQuotes,
+    }, { fresh });
+    
+    if (format === 'csv') {
+      const side = responseData.isBuy ? 'buy' : 'sell';
+      res.type('text/csv');
+      res.attachment(`depth-${inputMint.slice(0, 8)}-${outputMint.slice(0, 8)}-${side}.csv`);
+      return res.send(depthToCsv(responseData));
+    }
     
-    res.json(responseData);
+    res.json(debug ? responseData : withoutDebug(responseData));
   } catch (error) {
-    console.error('Error fetching liquidity depth:', error);
+    logger.error('Error fetching liquidity depth:', error);
     res.status(500).json({ 
       error: error.message || 'Failed to calculate liquidity depth',
       details: error.code || 'Unknown error'
@@ -2013,19 +2533,369 @@ app.get('/api/liquidity-depth', async (req, res) => {
   }
 });
 
+// Largest trade size within each price impact threshold
+// GET /api/v1/max-size?inputMint&outputMint&isBuy&impactPct=1,2,5[&provider][&maxQuotes]
+api.get('/max-size', validateRequest({
+  ...PAIR_FIELDS,
+  isBuy: { type: 'boolean', default: false },
+  provider: PROVIDER_FIELD,
+}), (req, res, next) => {
+  const parsed = parseImpactThresholds(req.query.impactPct);
+  if (parsed.error) {
+    return res.status(400).json(parsed.error);
+  }
+  req.impactThresholds = parsed.thresholds;
+  next();
+}, validateDepthOptions((req) => ({ maxQuotes: req.query.maxQuotes })), requireApiKey(), async (req, res) => {
+  try {
+    const { inputMint, outputMint, isBuy, provider } = req.valid;
+    const { depthOptions } = req;
+
+    const result = await calculateMaxTradeSizes(inputMint, outputMint, isBuy, req.impactThresholds, {
+      provider,
+      maxQuotes: depthOptions.maxQuotes,
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error solving max trade size:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to calculate max trade size',
+      details: error.code || 'Unknown error'
+    });
+  }
+});
+
+// Asynchronous depth jobs
+// Each job calculates one or both sides and records progress events for SSE subscribers
+const depthJobs = createDepthJobStore({
+  run: async ({ inputMint, outputMint, sides, provider, swapMode, tradeSizes, maxQuotes, fresh, debug }, { emit, signal }) => {
+    const results = {};
+    for (const side of sides) {
+      if (signal.aborted) break;
+      emit('side', { side });
+      // A cached side goes straight to its result event without progress events
+      const result = await cachedLiquidityDepth({
+        inputMint,
+        outputMint,
+        isBuy: side === 'buy',
+        provider,
+        swapMode,
+        tradeSizes,
+        maxQuotes,
+        signal,
+        onProgress: ({ type, ...data }) => emit(type, { side, ...data }),
+      }, { fresh });
+      results[side] = debug ? result : withoutDebug(result);
+      emit('result', { side, result: results[side] });
+    }
+    return results;
+  },
+});
+
+// Start a depth job: returns a job id immediately, progress is streamed from /events
+// Body: { inputMint, outputMint, isBuy?, provider?, swapMode?, sizes? | minSize/maxSize/steps?, maxQuotes?, fresh?, debug? }
+// Both sides are calculated when isBuy is omitted
+api.post('/depth-jobs', (req, res, next) => {
+  // Serverless functions freeze after responding, so background jobs can't run there
+  if (process.env.VERCEL === '1' || process.env.VERCEL_ENV) {
+    return res.status(501).json({ error: 'Depth jobs are not available on serverless deployments. Use /api/liquidity-depth instead.' });
+  }
+  next();
+}, validateRequest({
+  ...PAIR_FIELDS,
+  isBuy: { type: 'boolean' },
+  provider: PROVIDER_FIELD,
+  fresh: { type: 'boolean', default: false },
+  debug: { type: 'boolean', default: false },
+}, 'body'), validateDepthOptions((req) => req.body), requireApiKey(), (req, res) => {
+  const { inputMint, outputMint, isBuy, provider, fresh, debug } = req.valid;
+  const { depthOptions } = req;
+
+  const sides = isBuy === undefined ? ['buy', 'sell'] : [isBuy ? 'buy' : 'sell'];
+  
+  // The job holds the key's concurrency slot until it finishes, not just until the 202,
+  // and only the key that started it may cancel it
+  const job = depthJobs.create(
+    { inputMint, outputMint, sides, provider, ...depthOptions, fresh, debug },
+    { onFinish: req.apiKey?.keep(), owner: req.apiKey?.name }
+  );
+  logger.info(`🧵 Depth job ${job.id} started (${sides.join(' + ')}) for ${inputMint.slice(0, 8)}... -> ${outputMint.slice(0, 8)}...`);
+  
+  res.status(202).json({
+    id: job.id,
+    status: job.status,
+    sides,
+    statusUrl: `${req.baseUrl}/depth-jobs/${job.id}`,
+    eventsUrl: `${req.baseUrl}/depth-jobs/${job.id}/events`,
+  });
+});
+
+api.get('/depth-jobs/:id', (req, res) => {
+  const job = depthJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Depth job not found' });
+  }
+  res.json(depthJobs.describe(job));
+});
+
+// Server-Sent Events stream for a depth job
+// Events: side, size, search, point, skip, trade-error, result, done, failed
+// Reconnecting clients send Last-Event-ID and only receive events they missed
+api.get('/depth-jobs/:id/events', (req, res) => {
+  const job = depthJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Depth job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering so events arrive as they happen
+  });
+  res.flushHeaders();
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') ?? '-1', 10);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  unsubscribe = depthJobs.subscribe(job, (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (event.type === 'done' || event.type === 'failed') {
+      close();
+      res.end();
+    }
+  }, isNaN(lastEventId) ? -1 : lastEventId);
+
+  req.on('close', close);
+});
+
+// Cancel a running depth job (points collected so far are still delivered in the 'done' event)
+api.delete('/depth-jobs/:id', requireApiKey({ limit: false }), (req, res) => {
+  const job = depthJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Depth job not found' });
+  }
+  if (job.owner && job.owner !== req.apiKey?.name) {
+    return res.status(403).json({ error: 'This depth job was started with a different API key', code: 'NOT_JOB_OWNER' });
+  }
+  depthJobs.cancel(job);
+  logger.info(`🛑 Depth job ${job.id} cancelled`);
+  res.json({ id: job.id, status: job.status === 'running' ? 'cancelling' : job.status });
+});
+
+// Watchlist: pairs re-calculated on a cron-like schedule (see watchlist.js)
+// Loaded from WATCHLIST_FILE or server/watchlist.json if present; needs a long-lived process, so not on Vercel
+const WATCHLIST_FILE = process.env.WATCHLIST_FILE || join(SERVER_DIR, 'watchlist.json');
+let watchlist = null;
+let watchlistError = null;
+if (process.env.VERCEL !== '1' && !process.env.VERCEL_ENV && existsSync(WATCHLIST_FILE)) {
+  try {
+    watchlist = createWatchlistScheduler({
+      entries: loadWatchlist(WATCHLIST_FILE, { providers: quoteProviders.list().map(provider => provider.name) }),
+      // Scheduled runs have no request, so each gets its own id for the log
+      runDepth: (params) => withLogContext({ requestId: randomUUID(), source: 'watchlist' }, () => runLiquidityDepth(params)),
+      waitForRateLimit: quoteScheduler.idle,
+    });
+  } catch (error) {
+    watchlistError = error.message;
+    logger.error(`❌ Could not load watchlist ${WATCHLIST_FILE}:`, error.message);
+  }
+} else if (process.env.WATCHLIST_FILE) {
+  watchlistError = `Watchlist file not found: ${WATCHLIST_FILE}`;
+}
+
+// Watchlist schedule and last-run status
+api.get('/watchlist', (req, res) => {
+  res.json({
+    enabled: Boolean(watchlist),
+    file: WATCHLIST_FILE,
+    ...(watchlistError && { error: watchlistError }),
+    entries: watchlist ? watchlist.list() : [],
+  });
+});
+
+// Run a watchlist entry now, outside its schedule
+api.post('/watchlist/:id/run', (req, res, next) => {
+  if (!watchlist) {
+    return res.status(503).json({ error: watchlistError || 'No watchlist configured' });
+  }
+  if (!watchlist.has(req.params.id)) {
+    return res.status(404).json({ error: 'Watchlist entry not found' });
+  }
+  next();
+}, requireApiKey(), (req, res) => {
+  if (!watchlist.runNow(req.params.id)) {
+    return res.status(409).json({ error: 'A run for this entry is already queued or running' });
+  }
+  res.status(202).json(watchlist.describe(req.params.id));
+});
+
+// Alert rules with their current state (ok/triggered, last value and baseline)
+api.get('/alerts', (req, res) => {
+  res.json({
+    enabled: Boolean(alerts),
+    file: ALERTS_FILE,
+    ...(alertsError && { error: alertsError }),
+    rules: alerts ? alerts.list() : [],
+  });
+});
+
+// Webhook delivery log, newest first
+api.get('/alerts/deliveries', (req, res) => {
+  res.json({ deliveries: alerts ? alerts.deliveries() : [] });
+});
+
+// Send a test payload for a rule to its webhook (waits for the delivery, including retries)
+api.post('/alerts/:id/test', (req, res, next) => {
+  if (!alerts) {
+    return res.status(503).json({ error: alertsError || 'No alert rules configured' });
+  }
+  if (!alerts.has(req.params.id)) {
+    return res.status(404).json({ error: 'Alert rule not found' });
+  }
+  next();
+}, requireApiKey(), async (req, res) => {
+  const delivery = await alerts.test(req.params.id);
+  if (!delivery) {
+    return res.status(400).json({ error: 'No webhook URL configured for this rule' });
+  }
+  res.status(delivery.status === 'delivered' ? 200 : 502).json(delivery);
+});
+
+// Parse a history time bound: epoch milliseconds or an ISO date (returns NaN if invalid)
+// Epochs beyond what a Date can hold (±8.64e15 ms) are invalid too
+function parseTimeParam(value) {
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return isNaN(new Date(time).getTime()) ? NaN : time;
+}
+
+// Time series of price impact at fixed trade sizes from stored depth snapshots
+// GET /api/v1/history?pair=<inputMint>-<outputMint>[&isBuy][&swapMode=ExactIn][&from][&to][&sizes=100k,1M,10M]
+// from/to accept epoch ms or ISO dates; the default window is the last 7 days
+api.get('/history', (req, res, next) => {
+  if (!depthHistory) {
+    return res.status(503).json({ error: 'Depth history is not enabled on this server' });
+  }
+  next();
+}, validateRequest({
+  pair: { type: 'string', required: true, maxLength: 100 },
+  isBuy: { type: 'boolean' },
+  swapMode: { type: 'enum', values: SWAP_MODES, default: 'ExactIn' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  sizes: { type: 'string' },
+}), (req, res) => {
+  const { pair, isBuy, from, to, sizes, swapMode } = req.valid;
+  const [inputMint, outputMint, ...rest] = pair.split('-');
+  if (!isPublicKey(inputMint) || !isPublicKey(outputMint) || rest.length > 0) {
+    return res.status(400).json(validationError('pair', 'pair must be <inputMint>-<outputMint> with base58 public keys', 'INVALID_PAIR'));
+  }
+
+  const toTime = to !== undefined ? parseTimeParam(to) : Date.now();
+  const fromTime = from !== undefined ? parseTimeParam(from) : toTime - 7 * 24 * 60 * 60 * 1000;
+  if (!isFinite(fromTime) || !isFinite(toTime) || fromTime > toTime) {
+    return res.status(400).json(validationError(
+      !isFinite(fromTime) ? 'from' : 'to',
+      'from and to must be epoch milliseconds or ISO dates with from <= to',
+      'INVALID_TIME_RANGE'
+    ));
+  }
+
+  let historySizes = DEFAULT_HISTORY_SIZES;
+  if (sizes !== undefined) {
+    const ladder = parseTradeSizeLadder({ sizes });
+    if (ladder.error) {
+      return res.status(400).json(validationError(ladder.field, ladder.error, ladder.code));
+    }
+    historySizes = ladder.sizes;
+  }
+
+  try {
+    const { snapshots, truncated } = depthHistory.query({
+      inputMint,
+      outputMint,
+      isBuy,
+      swapMode,
+      from: fromTime,
+      to: toTime,
+    });
+
+    const series = snapshots.map(snapshot => ({
+      snapshotId: snapshot.id,
+      timestamp: snapshot.timestamp,
+      isBuy: snapshot.isBuy,
+      provider: snapshot.provider,
+      // Impact (%) keyed by USD size, null where the size was beyond the measured depth
+      impact: Object.fromEntries(historySizes.map(size => [size, impactAtSize(snapshot.depth, size)])),
+      maxTradeUsd: snapshot.depth.length > 0 ? Math.max(...snapshot.depth.map(point => point.tradeUsdValue || 0)) : 0,
+      pointsCount: snapshot.depth.length,
+      warnings: snapshot.warnings,
+    }));
+
+    res.json({
+      inputMint,
+      outputMint,
+      swapMode,
+      from: new Date(fromTime).toISOString(),
+      to: new Date(toTime).toISOString(),
+      sizes: historySizes,
+      series,
+      metadata: {
+        snapshots: series.length,
+        // Only the newest snapshots in the window are returned - narrow from/to to see older ones
+        truncated,
+      },
+    });
+  } catch (error) {
+    logger.error('Error reading depth history:', error);
+    res.status(500).json({ error: error.message || 'Failed to read depth history' });
+  }
+});
+
+// Quota and usage of the caller's API key
+api.get('/usage', requireApiKey({ limit: false }), (req, res) => {
+  if (!apiKeys?.enabled) {
+    return res.json({ enabled: false });
+  }
+  res.json({ enabled: true, ...apiKeys.usage(req.apiKey.name) });
+});
+
+// List available quote providers (use with ?provider= on /api/quote and /api/liquidity-depth)
+api.get('/providers', (req, res) => {
+  res.json({
+    default: quoteProviders.defaultName,
+    providers: quoteProviders.list(),
+  });
+});
+
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8');
+  res.send(metricsRegistry.render());
+});
+
 // Test token fetching endpoint
 app.get('/api/test-tokens', async (req, res) => {
   try {
-    console.log('Testing token fetching from Jupiter...');
-    const endpoints = [
-      'https://token.jup.ag/all',
-      'https://token.jup.ag/strict',
-      'https://api.jup.ag/tokens/v1/all',
-    ];
+    logger.info('Testing token fetching from Jupiter...');
+    const endpoints = process.env.JUPITER_TOKEN_ENDPOINTS
+      ? JUPITER_TOKEN_ENDPOINTS
+      : [
+        'https://token.jup.ag/all',
+        'https://token.jup.ag/strict',
+        JUPITER_TOKEN_URL,
+      ];
     
     const results = [];
     for (const endpoint of endpoints) {
@@ -2071,13 +2941,14 @@ app.get('/api/test-tokens', async (req, res) => {
 });
 
 // Jupiter API connectivity test endpoint
-app.get('/api/jupiter-status', async (req, res) => {
+// Spends a real upstream quote, so it needs an API key like the other quoting routes
+app.get('/api/jupiter-status', requireApiKey(), async (req, res) => {
   try {
     const testInputMint = 'So11111111111111111111111111111111111111112'; // SOL
     const testOutputMint = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'; // USDC
     const testAmount = '1000000000'; // 1 SOL
     
-    console.log('Testing Jupiter API connectivity...');
+    logger.info('Testing Jupiter API connectivity...');
     const startTime = Date.now();
     
     try {
@@ -2089,6 +2960,13 @@ app.get('/api/jupiter-status', async (req, res) => {
         jupiterApi: JUPITER_QUOTE_URL,
         apiKey: JUPITER_API_KEY ? 'configured' : 'not configured',
         responseTime: `${responseTime}ms`,
+        quoteScheduler: quoteScheduler.status(), // Token buckets per API key: rate, in-flight, queued, 429 pauses
+        quoteCache: quoteCache.stats(),
+        depthCache: depthCache.stats(),
+        // Our own clients' keys (names only): quota used, requests in progress, rejections and per-route counts
+        clientApiKeys: apiKeys ? apiKeys.status() : { error: apiKeysError },
+        tls: tlsConfig.status(), // verify, custom-ca (EXTRA_CA_CERTS) or insecure (INSECURE_TLS)
+        endpoints: endpointHealth.status(), // Circuit state, error rate and latency percentiles per upstream endpoint
         testQuote: {
           inputMint: testInputMint,
           outputMint: testOutputMint,
@@ -2115,19 +2993,28 @@ app.get('/api/jupiter-status', async (req, res) => {
           errorCode: 429,
           message: `Jupiter API rate limit reached. Please wait ${retryAfter} seconds before trying again.`,
           retryAfter: parseInt(retryAfter),
-          suggestion: 'The API is temporarily rate-limited. Please wait a moment and try again, or reduce the number of requests.'
+          suggestion: 'The API is temporarily rate-limited. Please wait a moment and try again, or reduce the number of requests.',
+          tls: tlsConfig.status(),
+          endpoints: endpointHealth.status(),
         });
       }
       
-      res.status(statusCode || 500).json({
-        status: 'error',
+      // An open circuit means the endpoint is known to be down, so no request was made
+      res.status(statusCode || (errorCode === 'CIRCUIT_OPEN' ? 503 : 500)).json({
+        status: errorCode === 'CIRCUIT_OPEN' ? 'circuit_open' : 'error',
         jupiterApi: JUPITER_QUOTE_URL,
         apiKey: JUPITER_API_KEY ? 'configured' : 'not configured',
         responseTime: `${responseTime}ms`,
         error: errorMsg,
         errorCode: errorCode,
         statusCode: statusCode,
-        message: `Failed to connect to Jupiter API: ${errorMsg}`
+        message: `Failed to connect to Jupiter API: ${errorMsg}`,
+        // Behind a TLS-intercepting proxy the fix is trusting its CA, not turning verification off
+        ...(isCertificateError(error) && {
+          suggestion: 'The upstream certificate could not be verified. If a proxy re-signs TLS traffic, set EXTRA_CA_CERTS to a PEM file with its CA certificate.',
+        }),
+        tls: tlsConfig.status(),
+        endpoints: endpointHealth.status(),
       });
     }
   } catch (error) {
@@ -2152,11 +3039,11 @@ async function testUSDStarQuotes() {
     errors: []
   };
   
-  console.log('\n🧪 Testing USD* quotes with both APIs...\n');
+  logger.info('\n🧪 Testing USD* quotes with both APIs...\n');
   
   // Test Ultra API (current)
   try {
-    console.log('1️⃣ Testing Ultra API (ultra-api.jup.ag/order)...');
+    logger.info('1️⃣ Testing Ultra API (ultra-api.jup.ag/order)...');
     const ultraResponse = await axiosInstance.get(JUPITER_ULTRA_API_URL, {
       params: {
         inputMint: USD_STAR_MINT,
@@ -2191,11 +3078,11 @@ async function testUSDStarQuotes() {
       rawResponse: ultraResponse.data
     };
     
-    console.log('   ✅ Ultra API Response:');
-    console.log(`      Input: ${ultraInAmount.toFixed(6)} USD*`);
-    console.log(`      Output: ${ultraOutAmount.toFixed(6)} USDC`);
-    console.log(`      Price: 1 USD* = ${ultraPrice.toFixed(6)} USDC`);
-    console.log(`      Price Impact: ${typeof ultraPriceImpact === 'number' ? ultraPriceImpact.toFixed(4) + '%' : ultraPriceImpact}`);
+    logger.info('   ✅ Ultra API Response:');
+    logger.info(`      Input: ${ultraInAmount.toFixed(6)} USD*`);
+    logger.info(`      Output: ${ultraOutAmount.toFixed(6)} USDC`);
+    logger.info(`      Price: 1 USD* = ${ultraPrice.toFixed(6)} USDC`);
+    logger.info(`      Price Impact: ${typeof ultraPriceImpact === 'number' ? ultraPriceImpact.toFixed(4) + '%' : ultraPriceImpact}`);
   } catch (error) {
     const errorMsg = error.response?.data?.error || error.message || 'Unknown error';
     results.ultraApi = {
@@ -2204,12 +3091,12 @@ async function testUSDStarQuotes() {
       statusCode: error.response?.status
     };
     results.errors.push({ api: 'Ultra API', error: errorMsg });
-    console.log('   ❌ Ultra API Error:', errorMsg);
+    logger.info('   ❌ Ultra API Error:', errorMsg);
   }
   
   // Test Standard Quote API
   try {
-    console.log('\n2️⃣ Testing Standard Quote API (api.jup.ag/swap/v1/quote)...');
+    logger.info('\n2️⃣ Testing Standard Quote API (api.jup.ag/swap/v1/quote)...');
     const standardResponse = await axiosInstance.get(JUPITER_QUOTE_URL, {
       params: {
         inputMint: USD_STAR_MINT,
@@ -2244,15 +3131,15 @@ async function testUSDStarQuotes() {
       rawResponse: standardResponse.data
     };
     
-    console.log('   ✅ Standard API Response:');
-    console.log(`      Input: ${standardInAmount.toFixed(6)} USD*`);
-    console.log(`      Output: ${standardOutAmount.toFixed(6)} USDC`);
-    console.log(`      Price: 1 USD* = ${standardPrice.toFixed(6)} USDC`);
-    console.log(`      Price Impact: ${typeof standardPriceImpact === 'number' ? standardPriceImpact.toFixed(4) + '%' : standardPriceImpact}`);
+    logger.info('   ✅ Standard API Response:');
+    logger.info(`      Input: ${standardInAmount.toFixed(6)} USD*`);
+    logger.info(`      Output: ${standardOutAmount.toFixed(6)} USDC`);
+    logger.info(`      Price: 1 USD* = ${standardPrice.toFixed(6)} USDC`);
+    logger.info(`      Price Impact: ${typeof standardPriceImpact === 'number' ? standardPriceImpact.toFixed(4) + '%' : standardPriceImpact}`);
     
     // Compare results
     if (results.ultraApi && results.ultraApi.success && results.standardApi && results.standardApi.success) {
-      console.log('\n📊 Comparison:');
+      logger.info('\n📊 Comparison:');
       
       const ultraImpact = typeof results.ultraApi.priceImpactPct === 'number' 
         ? results.ultraApi.priceImpactPct 
@@ -2272,23 +3159,23 @@ async function testUSDStarQuotes() {
         impactDifference: Math.abs(ultraImpact - standardImpact).toFixed(4)
       };
       
-      console.log(`   Price Difference: ${priceDiffPercent.toFixed(4)}%`);
-      console.log(`   Ultra API Price Impact: ${ultraImpact.toFixed(4)}%`);
-      console.log(`   Standard API Price Impact: ${standardImpact.toFixed(4)}%`);
+      logger.info(`   Price Difference: ${priceDiffPercent.toFixed(4)}%`);
+      logger.info(`   Ultra API Price Impact: ${ultraImpact.toFixed(4)}%`);
+      logger.info(`   Standard API Price Impact: ${standardImpact.toFixed(4)}%`);
       
       if (ultraImpact > 100 && standardImpact < 5) {
-        console.log('   ✅ Standard API shows accurate price impact!');
-        console.log('   ⚠️  Ultra API shows erroneous price impact (>100%)');
+        logger.info('   ✅ Standard API shows accurate price impact!');
+        logger.info('   ⚠️  Ultra API shows erroneous price impact (>100%)');
         results.comparison.recommendation = 'Use Standard API for USD*';
       } else if (standardImpact > 100 && ultraImpact < 5) {
-        console.log('   ✅ Ultra API shows accurate price impact!');
-        console.log('   ⚠️  Standard API shows erroneous price impact (>100%)');
+        logger.info('   ✅ Ultra API shows accurate price impact!');
+        logger.info('   ⚠️  Standard API shows erroneous price impact (>100%)');
         results.comparison.recommendation = 'Use Ultra API for USD*';
       } else if (ultraImpact < 5 && standardImpact < 5) {
-        console.log('   ✅ Both APIs show similar, accurate price impact');
+        logger.info('   ✅ Both APIs show similar, accurate price impact');
         results.comparison.recommendation = 'Both APIs work correctly';
       } else {
-        console.log('   ⚠️  Both APIs show high price impact - may need wallet context');
+        logger.info('   ⚠️  Both APIs show high price impact - may need wallet context');
         results.comparison.recommendation = 'Both may need wallet balance verification';
       }
     }
@@ -2300,15 +3187,15 @@ async function testUSDStarQuotes() {
       statusCode: error.response?.status
     };
     results.errors.push({ api: 'Standard API', error: errorMsg });
-    console.log('   ❌ Standard API Error:', errorMsg);
+    logger.info('   ❌ Standard API Error:', errorMsg);
   }
   
-  console.log('\n');
+  logger.info('\n');
   return results;
 }
 
 // Test endpoint to compare USD* quotes between Ultra and Standard APIs
-app.get('/api/test-usd-star', async (req, res) => {
+app.get('/api/test-usd-star', requireApiKey(), async (req, res) => {
   try {
     const results = await testUSDStarQuotes();
     res.json({ 
@@ -2325,16 +3212,19 @@ app.get('/api/test-usd-star', async (req, res) => {
 });
 
 // Test endpoint to verify quote API is working
-app.get('/api/test-quote', async (req, res) => {
+app.get('/api/test-quote', (req, res, next) => {
+  const { values, error } = validate({ ...PAIR_FIELDS, amount: QUOTE_SCHEMA.amount }, req.query);
+  if (error) {
+    return res.status(400).json({
+      ...error,
+      example: '/api/test-quote?inputMint=So11111111111111111111111111111111111111112&outputMint=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v&amount=1000000000'
+    });
+  }
+  req.valid = values;
+  next();
+}, requireApiKey(), async (req, res) => {
   try {
-    const { inputMint, outputMint, amount } = req.query;
-    
-    if (!inputMint || !outputMint || !amount) {
-      return res.status(400).json({ 
-        error: 'Missing parameters',
-        example: '/api/test-quote?inputMint=So11111111111111111111111111111111111111112&outputMint=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v&amount=1000000000'
-      });
-    }
+    const { inputMint, outputMint, amount } = req.valid;
 
     const quote = await getQuote(inputMint, outputMint, amount);
     res.json({ 
@@ -2352,16 +3242,49 @@ app.get('/api/test-quote', async (req, res) => {
   }
 });
 
+// Versioned public API with its OpenAPI document
+app.get('/api/v1/openapi.json', (req, res) => {
+  res.json(createOpenApiDocument({
+    providers: quoteProviders.list().map(provider => provider.name),
+    swapModes: SWAP_MODES,
+  }));
+});
+app.use('/api/v1', api);
+
+// Unversioned aliases of the v1 routes for existing clients, marked deprecated with a link to the successor
+// (mounted last so the debug routes above don't get the headers). The headers are registered per route and
+// method of the v1 router, so unmatched paths fall through to a plain 404.
+const apiAlias = express.Router();
+const markDeprecated = (req, res, next) => {
+  res.set({
+    Deprecation: 'true',
+    Link: `</api/v1${req.path}>; rel="successor-version"`,
+  });
+  next();
+};
+for (const layer of api.stack) {
+  if (layer.route) {
+    for (const method of Object.keys(layer.route.methods)) {
+      apiAlias[method](layer.route.path, markDeprecated);
+    }
+  }
+}
+apiAlias.use(api);
+app.use('/api', apiAlias);
+
 // Export the app for Vercel serverless functions
 export default app;
 
 // Only start the server if not running on Vercel
 if (process.env.VERCEL !== '1' && !process.env.VERCEL_ENV) {
   app.listen(PORT, '127.0.0.1', () => {
-    console.log(`\n🚀 Server running on http://127.0.0.1:${PORT}`);
-    console.log(`📡 Jupiter API: ${JUPITER_QUOTE_URL} (with API key)`);
-    console.log(`🔗 Test endpoint: http://127.0.0.1:${PORT}/api/jupiter-status`);
-    console.log(`\n`);
+    logger.info(`\n🚀 Server running on http://127.0.0.1:${PORT}`);
+    if (watchlist) {
+      watchlist.start();
+      logger.info(`⏰ Watchlist: ${watchlist.list().length} pairs from ${WATCHLIST_FILE}`);
+    }
+    logger.info(`📡 Jupiter API: ${JUPITER_QUOTE_URL} (with API key)`);
+    logger.info(`🔗 Test endpoint: http://127.0.0.1:${PORT}/api/jupiter-status`);
   });
 }
 
@@ -0,0 +1,77 @@
+// Structured logger: one JSON object per line on stdout
+//
+//   {"level":"info","time":"...","requestId":"...","pair":"So111111.../EPjFWdd5...","side":"buy","tradeSize":100000,"msg":"..."}
+//
+// Lines below the level set with setLevel() (LOG_LEVEL: debug, info, warn, error or silent) are dropped.
+// Fields given to withLogContext() - the request id of each HTTP request - are added to every line logged
+// inside that async call chain, so quote and provider logs are tagged without passing ids around.
+// child(fields) returns a logger that adds its own fields (pair, side, ...) and shares the parent's level.
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const context = new AsyncLocalStorage();
+
+// Run fn() with fields added to every line it (and anything it awaits) logs
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export const logContext = () => context.getStore() || {};
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.response?.status && { status: error.response.status }),
+    stack: error.stack?.split('\n').slice(0, 4).join('\n'),
+  };
+}
+
+// Raw amounts are BigInts, which JSON.stringify can't handle on its own
+const toJson = (entry) => JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+
+function createLoggerWith(settings, fields) {
+  // log(level, msg, ...args): plain-object args become fields, an Error becomes `error`, anything else is appended to msg
+  function log(level, msg, ...args) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[settings.level]) return;
+
+    const entry = { level, time: new Date().toISOString(), ...logContext(), ...fields };
+    const text = [msg instanceof Error ? msg.message : String(msg).trim()];
+    if (msg instanceof Error) entry.error = serializeError(msg);
+    for (const arg of args) {
+      if (arg === undefined) continue;
+      if (arg instanceof Error) {
+        entry.error = serializeError(arg);
+      } else if (arg && typeof arg === 'object' && !Array.isArray(arg)) {
+        Object.assign(entry, arg);
+      } else {
+        text.push(typeof arg === 'string' ? arg : toJson(arg));
+      }
+    }
+    entry.msg = text.join(' ');
+    settings.write(toJson(entry));
+  }
+
+  return {
+    debug: (msg, ...args) => log('debug', msg, ...args),
+    info: (msg, ...args) => log('info', msg, ...args),
+    warn: (msg, ...args) => log('warn', msg, ...args),
+    error: (msg, ...args) => log('error', msg, ...args),
+    isEnabled: (level) => LOG_LEVELS[level] >= LOG_LEVELS[settings.level],
+    child: (more) => createLoggerWith(settings, { ...fields, ...more }),
+    // Returns false (level unchanged) for an unknown level
+    setLevel(level) {
+      if (!(level in LOG_LEVELS)) return false;
+      settings.level = level;
+      return true;
+    },
+  };
+}
+
+export function createLogger({ level = 'info', write = (line) => process.stdout.write(`${line}\n`) } = {}) {
+  return createLoggerWith({ level, write }, {});
+}
+
+// Shared server logger (index.js sets its level from LOG_LEVEL)
+export const logger = createLogger();
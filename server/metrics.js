@@ -0,0 +1,124 @@
+// Prometheus metrics in the text exposition format (version 0.0.4), served on /metrics
+//
+// A small registry of counters, gauges and histograms with labels, so the server doesn't need a
+// client library. Gauges can pass collect() to be computed at scrape time instead of being set.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : (Number.isNaN(value) ? 'NaN' : (value > 0 ? '+Inf' : '-Inf')));
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  // One series per combination of label values (in labelNames order)
+  function seriesStore(labelNames, create) {
+    const series = new Map();
+    return {
+      get(labels = {}) {
+        const values = labelNames.map(name => labels[name] ?? '');
+        const key = JSON.stringify(values);
+        if (!series.has(key)) {
+          series.set(key, { labels: Object.fromEntries(labelNames.map((name, i) => [name, values[i]])), ...create() });
+        }
+        return series.get(key);
+      },
+      all: () => [...series.values()],
+    };
+  }
+
+  function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+  }
+
+  function counter({ name, help, labelNames = [] }) {
+    const series = seriesStore(labelNames, () => ({ value: 0 }));
+    register({
+      name,
+      help,
+      type: 'counter',
+      lines: () => series.all().map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`),
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        series.get(labels).value += amount;
+      },
+    };
+  }
+
+  // collect() returns a number or [{ labels, value }]; null/undefined values are left out of the scrape
+  function gauge({ name, help, labelNames = [], collect }) {
+    const series = seriesStore(labelNames, () => ({ value: 0 }));
+    register({
+      name,
+      help,
+      type: 'gauge',
+      lines: () => {
+        const collected = collect ? collect() : series.all();
+        const samples = typeof collected === 'number' || collected == null ? [{ labels: {}, value: collected }] : collected;
+        return samples
+          .filter(({ value }) => value !== null && value !== undefined)
+          .map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+      },
+    });
+    return {
+      set(labels = {}, value) {
+        series.get(labels).value = value;
+      },
+    };
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = seriesStore(labelNames, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+    register({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => series.all().flatMap(({ labels, counts, sum, count }) => [
+        // Bucket counts are cumulative: every observation <= le
+        ...bounds.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+    });
+
+    function observe(labels = {}, value) {
+      const entry = series.get(labels);
+      bounds.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    }
+
+    return {
+      observe,
+      // Returns a function that observes the seconds elapsed since startTimer() (labels can be added when stopping)
+      startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (moreLabels = {}) => observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      },
+    };
+  }
+
+  function render() {
+    return metrics.map(({ name, help, type, lines }) => [
+      `# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${name} ${type}`,
+      ...lines(),
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
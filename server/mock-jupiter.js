@@ -0,0 +1,445 @@
+// Local mock of the Jupiter quote and token APIs for offline development and tests
+//
+// Start it with `npm run mock` (from server/) and point the depth server at it:
+//   JUPITER_ULTRA_API_URL=http://127.0.0.1:3002/ultra/order
+//   JUPITER_QUOTE_URL=http://127.0.0.1:3002/swap/v1/quote
+//   JUPITER_SEARCH_URL=http://127.0.0.1:3002/v1/assets/search
+//   JUPITER_TOKEN_ENDPOINTS=http://127.0.0.1:3002/tokens/all
+//   JUPITER_PRICE_URL=http://127.0.0.1:3002/price/v3 (with PRICE_SOURCE=jupiter)
+//
+// Each pool simulates a liquidity curve for a mint pair:
+//   - 'constant-product': x * y = k pool with a swap fee
+//   - 'order-book': mid price with a ladder of levels; trades larger than the book fail
+//     with ROUTE_PLAN_DOES_NOT_CONSUME_ALL_THE_AMOUNT like Jupiter does
+// Pairs without a pool are routed through USDC when both legs exist.
+// The quote endpoint also accepts swapMode=ExactOut (amount = output wanted); Ultra only does ExactIn.
+//
+// Faults (429s, 5xx outages, routing errors, erroneous priceImpactPct) can be set in the config file,
+// via MOCK_FAULTS (JSON array) or at runtime with POST /__mock/faults.
+// MOCK_LATENCY_MS delays every quote response to mimic the real API's round trip (e.g. for test-speed.js).
+import express from 'express';
+import { readFileSync } from 'fs';
+
+const PORT = process.env.MOCK_JUPITER_PORT || 3002;
+const LATENCY_MS = parseInt(process.env.MOCK_LATENCY_MS || '0', 10);
+
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+const DEFAULT_CONFIG = {
+  tokens: [
+    { address: 'So11111111111111111111111111111111111111112', symbol: 'SOL', name: 'Solana', decimals: 9 },
+    { address: USDC, symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+    { address: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+    { address: '6FrrzDk5mQARGc1TDYoyVnSyRdds1t4PbtohCD6p3tgG', symbol: 'USX', name: 'USX', decimals: 6 },
+    { address: 'star9agSpjiFe3M49B3RniVU4CMBBEK3Qnaqn3RGiFM', symbol: 'USD*', name: 'USD Star', decimals: 6 },
+    { address: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', symbol: 'JUP', name: 'Jupiter', decimals: 6 },
+    { address: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', symbol: 'mSOL', name: 'Marinade SOL', decimals: 9 },
+    { address: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', symbol: 'BONK', name: 'Bonk', decimals: 5 },
+  ],
+  pools: [
+    // ~$150 SOL with ~$150M of USDC on each side
+    { id: 'mock-sol-usdc', label: 'MockSwap', model: 'constant-product', pair: ['SOL', 'USDC'], reserves: [1_000_000, 150_000_000], feeBps: 5 },
+    { id: 'mock-usdt-usdc', label: 'MockStable', model: 'constant-product', pair: ['USDT', 'USDC'], reserves: [400_000_000, 400_000_000], feeBps: 1 },
+    { id: 'mock-usdstar-usdc', label: 'MockStable', model: 'constant-product', pair: ['USD*', 'USDC'], reserves: [40_000_000, 40_000_000], feeBps: 1 },
+    { id: 'mock-jup-usdc', label: 'MockSwap', model: 'constant-product', pair: ['JUP', 'USDC'], reserves: [20_000_000, 12_000_000], feeBps: 25 },
+    { id: 'mock-msol-sol', label: 'MockLST', model: 'constant-product', pair: ['mSOL', 'SOL'], reserves: [200_000, 230_000], feeBps: 1 },
+    { id: 'mock-bonk-usdc', label: 'MockSwap', model: 'constant-product', pair: ['BONK', 'USDC'], reserves: [500_000_000_000, 10_000_000], feeBps: 25 },
+    // USX has a thin book that runs out around $3M
+    {
+      id: 'mock-usx-book',
+      label: 'MockBook',
+      model: 'order-book',
+      pair: ['USX', 'USDC'],
+      midPrice: 1,
+      levels: [
+        { offsetBps: 2, size: 250_000 },
+        { offsetBps: 10, size: 750_000 },
+        { offsetBps: 50, size: 1_000_000 },
+        { offsetBps: 200, size: 1_000_000 },
+      ],
+    },
+  ],
+  faults: [
+    // Ultra returns placeholder price impact for USD* without a funded wallet
+    { type: 'erroneousPriceImpact', endpoints: ['ultra'], mints: ['USD*'] },
+  ],
+};
+
+function loadConfig() {
+  const configPath = process.env.MOCK_JUPITER_CONFIG;
+  const config = configPath
+    ? { ...DEFAULT_CONFIG, ...JSON.parse(readFileSync(configPath, 'utf8')) }
+    : DEFAULT_CONFIG;
+
+  if (process.env.MOCK_FAULTS) {
+    config.faults = JSON.parse(process.env.MOCK_FAULTS);
+  }
+  return config;
+}
+
+const config = loadConfig();
+const tokens = config.tokens;
+
+// Resolve a mint address or a symbol to a token
+function findToken(mintOrSymbol) {
+  return tokens.find(t => t.address === mintOrSymbol) || tokens.find(t => t.symbol === mintOrSymbol) || null;
+}
+
+const pools = config.pools.map(pool => {
+  const [base, quote] = pool.pair.map(findToken);
+  if (!base || !quote) {
+    throw new Error(`Mock pool ${pool.id} references an unknown token: ${pool.pair.join('/')}`);
+  }
+  return { ...pool, base, quote };
+});
+
+let faults = [];
+function setFaults(list) {
+  // Counters are kept per fault so `every: N` triggers deterministically
+  faults = (list || []).map(fault => ({
+    ...fault,
+    mints: fault.mints?.map(m => findToken(m)?.address || m),
+    count: 0,
+  }));
+}
+setFaults(config.faults);
+
+function findPool(mintA, mintB) {
+  return pools.find(p =>
+    (p.base.address === mintA && p.quote.address === mintB) ||
+    (p.base.address === mintB && p.quote.address === mintA)
+  ) || null;
+}
+
+// Direct pool first, otherwise two hops through USDC
+function findRoute(inputMint, outputMint) {
+  const direct = findPool(inputMint, outputMint);
+  if (direct) return [direct];
+
+  const firstLeg = findPool(inputMint, USDC);
+  const secondLeg = findPool(USDC, outputMint);
+  if (firstLeg && secondLeg) return [firstLeg, secondLeg];
+  return null;
+}
+
+class RouteError extends Error {
+  constructor(message, errorCode) {
+    super(message);
+    this.errorCode = errorCode;
+  }
+}
+
+// Swap a readable amount of inputMint through one pool
+// Returns { outAmount, spotOutAmount, feeAmount } in readable units of the output token
+function swapExactIn(pool, inputMint, amountIn) {
+  const sellingBase = pool.base.address === inputMint;
+
+  if (pool.model === 'constant-product') {
+    const [reserveBase, reserveQuote] = pool.reserves;
+    const reserveIn = sellingBase ? reserveBase : reserveQuote;
+    const reserveOut = sellingBase ? reserveQuote : reserveBase;
+    const feeAmount = amountIn * (pool.feeBps || 0) / 10000;
+    const amountInAfterFee = amountIn - feeAmount;
+    const outAmount = (amountInAfterFee * reserveOut) / (reserveIn + amountInAfterFee);
+    return { outAmount, spotOutAmount: amountIn * reserveOut / reserveIn, feeAmount };
+  }
+
+  if (pool.model === 'order-book') {
+    let remaining = amountIn;
+    let outAmount = 0;
+    for (const level of pool.levels) {
+      if (remaining <= 0) break;
+      const offset = level.offsetBps / 10000;
+      if (sellingBase) {
+        // Hit the bids
+        const filled = Math.min(remaining, level.size);
+        outAmount += filled * pool.midPrice * (1 - offset);
+        remaining -= filled;
+      } else {
+        // Lift the asks, paying in quote token
+        const askPrice = pool.midPrice * (1 + offset);
+        const filledBase = Math.min(remaining / askPrice, level.size);
+        outAmount += filledBase;
+        remaining -= filledBase * askPrice;
+      }
+    }
+    if (remaining > amountIn * 1e-9) {
+      throw new RouteError(
+        'Route plan does not consume all the amount, please lower your amount',
+        'ROUTE_PLAN_DOES_NOT_CONSUME_ALL_THE_AMOUNT'
+      );
+    }
+    const spotOutAmount = sellingBase ? amountIn * pool.midPrice : amountIn / pool.midPrice;
+    return { outAmount, spotOutAmount, feeAmount: 0 };
+  }
+
+  throw new Error(`Unknown mock pool model: ${pool.model}`);
+}
+
+// Build a Jupiter-shaped ExactIn quote for a raw input amount
+function buildQuote(inputMint, outputMint, rawAmount, slippageBps) {
+  const inputToken = findToken(inputMint);
+  const outputToken = findToken(outputMint);
+  if (!inputToken) throw new RouteError(`Invalid inputMint: ${inputMint}`, 'INVALID_INPUT_MINT');
+  if (!outputToken) throw new RouteError(`Invalid outputMint: ${outputMint}`, 'INVALID_OUTPUT_MINT');
+
+  const route = findRoute(inputMint, outputMint);
+  if (!route) throw new RouteError('Could not find any route', 'COULD_NOT_FIND_ANY_ROUTE');
+
+  const amountIn = Number(rawAmount) / Math.pow(10, inputToken.decimals);
+  const routePlan = [];
+  let legInputMint = inputMint;
+  let legAmount = amountIn;
+  let spotAmount = amountIn;
+
+  for (const pool of route) {
+    const legOutputMint = pool.base.address === legInputMint ? pool.quote.address : pool.base.address;
+    const legInputToken = findToken(legInputMint);
+    const legOutputToken = findToken(legOutputMint);
+    const { outAmount, spotOutAmount, feeAmount } = swapExactIn(pool, legInputMint, legAmount);
+
+    routePlan.push({
+      swapInfo: {
+        ammKey: pool.id,
+        label: pool.label,
+        inputMint: legInputMint,
+        outputMint: legOutputMint,
+        inAmount: toRaw(legAmount, legInputToken.decimals),
+        outAmount: toRaw(outAmount, legOutputToken.decimals),
+        feeAmount: toRaw(feeAmount, legInputToken.decimals),
+        feeMint: legInputMint,
+      },
+      percent: 100,
+    });
+
+    // Spot amount follows the mid price through each hop
+    spotAmount = spotAmount * (spotOutAmount / legAmount);
+    legAmount = outAmount;
+    legInputMint = legOutputMint;
+  }
+
+  const outAmountRaw = toRaw(legAmount, outputToken.decimals);
+  const priceImpactPct = spotAmount > 0 ? Math.max(0, 1 - legAmount / spotAmount) : 0;
+  const threshold = BigInt(outAmountRaw) * BigInt(10000 - Math.min(10000, slippageBps)) / 10000n;
+
+  return {
+    inputMint,
+    outputMint,
+    inAmount: String(rawAmount),
+    outAmount: outAmountRaw,
+    otherAmountThreshold: threshold.toString(),
+    swapMode: 'ExactIn',
+    slippageBps,
+    priceImpactPct: priceImpactPct.toFixed(8),
+    routePlan,
+    contextSlot: 0,
+    timeTaken: 0.001,
+  };
+}
+
+// ExactOut: find the input amount that yields exactly rawOutAmount (quotes are monotonic in the input,
+// so bisect on it) and return the ExactIn quote for that input with the output pinned to the request
+function buildExactOutQuote(inputMint, outputMint, rawOutAmount, slippageBps) {
+  const target = BigInt(rawOutAmount);
+  const outFor = (rawIn) => BigInt(buildQuote(inputMint, outputMint, rawIn.toString(), slippageBps).outAmount);
+
+  // Grow the upper bound until it covers the target (a RouteError means the pools can't deliver it)
+  let low = 0n;
+  let high = 1n;
+  while (outFor(high) < target) {
+    if (high > 1n << 96n) {
+      throw new RouteError('Could not find any route', 'COULD_NOT_FIND_ANY_ROUTE');
+    }
+    low = high;
+    high *= 2n;
+  }
+  while (high - low > 1n) {
+    const mid = (low + high) / 2n;
+    if (outFor(mid) >= target) high = mid;
+    else low = mid;
+  }
+
+  const quote = buildQuote(inputMint, outputMint, high.toString(), slippageBps);
+  const threshold = high * BigInt(10000 + Math.min(10000, slippageBps)) / 10000n;
+  return {
+    ...quote,
+    outAmount: target.toString(),
+    otherAmountThreshold: threshold.toString(),
+    swapMode: 'ExactOut',
+  };
+}
+
+function toRaw(amount, decimals) {
+  return BigInt(Math.floor(amount * Math.pow(10, decimals))).toString();
+}
+
+// Find the first configured fault that applies to this request and should fire now
+function nextFault(endpoint, inputMint, outputMint) {
+  for (const fault of faults) {
+    if (fault.endpoints && !fault.endpoints.includes(endpoint)) continue;
+    if (fault.mints && !fault.mints.includes(inputMint) && !fault.mints.includes(outputMint)) continue;
+
+    fault.count++;
+    const fires = fault.every
+      ? fault.count % fault.every === 0
+      : (fault.rate !== undefined ? Math.random() < fault.rate : true);
+    if (fires) return fault;
+  }
+  return null;
+}
+
+function handleQuote(endpoint) {
+  return (req, res) => {
+    const { inputMint, outputMint, amount } = req.query;
+    const slippageBps = parseInt(req.query.slippageBps || '50', 10);
+
+    if (!inputMint || !outputMint || !amount || !/^\d+$/.test(String(amount)) || BigInt(amount) <= 0n) {
+      return res.status(400).json({ error: 'Missing or invalid parameters', errorCode: 'INVALID_PARAMETERS' });
+    }
+
+    const fault = nextFault(endpoint, inputMint, outputMint);
+    if (fault?.type === 'rateLimit') {
+      res.set('Retry-After', String(fault.retryAfter || 1));
+      return res.status(429).json({ error: 'Rate limit exceeded' });
+    }
+    if (fault?.type === 'serverError') {
+      return res.status(fault.status || 503).json({ error: 'Service unavailable' });
+    }
+    if (fault?.type === 'routingError') {
+      return res.status(400).json({
+        error: 'Route plan does not consume all the amount, please lower your amount',
+        errorCode: 'ROUTE_PLAN_DOES_NOT_CONSUME_ALL_THE_AMOUNT',
+      });
+    }
+
+    const swapMode = req.query.swapMode || 'ExactIn';
+    if (swapMode !== 'ExactIn' && (endpoint === 'ultra' || swapMode !== 'ExactOut')) {
+      return res.status(400).json({ error: `Unsupported swapMode: ${swapMode}`, errorCode: 'INVALID_PARAMETERS' });
+    }
+
+    try {
+      const quote = swapMode === 'ExactOut'
+        ? buildExactOutQuote(inputMint, outputMint, amount, slippageBps)
+        : buildQuote(inputMint, outputMint, amount, slippageBps);
+
+      if (fault?.type === 'erroneousPriceImpact') {
+        // Same placeholder shape Ultra returns for USD*: a percentage far above 100%
+        quote.priceImpactPct = String(fault.value || '939.38');
+      }
+      if (endpoint === 'ultra') {
+        quote.priceImpact = parseFloat(quote.priceImpactPct) * 100;
+      }
+
+      res.json(quote);
+    } catch (error) {
+      if (error instanceof RouteError) {
+        return res.status(400).json({ error: error.message, errorCode: error.errorCode });
+      }
+      console.error('❌ Mock quote failed:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+const app = express();
+app.use(express.json());
+
+// Log every upstream call so it is easy to see what the depth server is doing
+app.use((req, res, next) => {
+  if (!req.path.startsWith('/__mock')) {
+    console.log(`📡 ${req.method} ${req.path} ${new URLSearchParams(req.query).toString()}`);
+  }
+  next();
+});
+
+const withLatency = (handler) => (req, res) => {
+  if (LATENCY_MS > 0) setTimeout(() => handler(req, res), LATENCY_MS);
+  else handler(req, res);
+};
+
+app.get('/ultra/order', withLatency(handleQuote('ultra')));
+app.get('/swap/v1/quote', withLatency(handleQuote('standard')));
+
+app.get('/tokens/all', (req, res) => {
+  res.json(tokens);
+});
+
+// Data API search shape (id instead of address)
+app.get('/v1/assets/search', (req, res) => {
+  const query = String(req.query.query || '').toLowerCase();
+  const matches = tokens.filter(t =>
+    !query ||
+    t.address.toLowerCase() === query ||
+    t.symbol.toLowerCase().includes(query) ||
+    t.name.toLowerCase().includes(query)
+  );
+  res.json(matches.slice(0, 20).map(t => ({
+    id: t.address,
+    symbol: t.symbol,
+    name: t.name,
+    decimals: t.decimals,
+    icon: t.logoURI || null,
+    isVerified: true,
+    tags: ['verified'],
+  })));
+});
+
+// Price API v3 shape ({ "<mint>": { usdPrice, decimals } }) - spot price along the route to USDC,
+// mints without one are left out like unpriced tokens are upstream
+app.get('/price/v3', (req, res) => {
+  const prices = {};
+  String(req.query.ids || '').split(',').filter(Boolean).forEach(id => {
+    const token = findToken(id.trim());
+    const route = token && (token.address === USDC ? [] : findRoute(token.address, USDC));
+    if (!route) return;
+
+    let legInputMint = token.address;
+    let usdPrice = 1;
+    for (const pool of route) {
+      const probe = 1e-6;
+      usdPrice *= swapExactIn(pool, legInputMint, probe).spotOutAmount / probe;
+      legInputMint = pool.base.address === legInputMint ? pool.quote.address : pool.base.address;
+    }
+    prices[token.address] = { usdPrice, decimals: token.decimals };
+  });
+  res.json(prices);
+});
+
+// Runtime fault control, e.g.
+//   curl -X POST localhost:3002/__mock/faults -H 'content-type: application/json' \
+//     -d '[{"type":"rateLimit","every":3},{"type":"routingError","mints":["SOL"],"endpoints":["ultra"]}]'
+app.get('/__mock/faults', (req, res) => {
+  res.json(faults);
+});
+
+app.post('/__mock/faults', (req, res) => {
+  const list = Array.isArray(req.body) ? req.body : [req.body];
+  const invalid = list.find(f => !['rateLimit', 'serverError', 'routingError', 'erroneousPriceImpact'].includes(f?.type));
+  if (invalid) {
+    return res.status(400).json({ error: `Unknown fault type: ${invalid?.type}` });
+  }
+  setFaults(list);
+  console.log(`🧪 Faults set: ${list.map(f => f.type).join(', ')}`);
+  res.json(faults);
+});
+
+app.delete('/__mock/faults', (req, res) => {
+  setFaults([]);
+  console.log('🧪 Faults cleared');
+  res.json(faults);
+});
+
+app.get('/__mock/pools', (req, res) => {
+  res.json(pools.map(({ base, quote, ...pool }) => ({ ...pool, pair: [base.symbol, quote.symbol] })));
+});
+
+app.listen(PORT, '127.0.0.1', () => {
+  console.log(`\n🧪 Mock Jupiter server running on http://127.0.0.1:${PORT}`);
+  console.log(`   ${pools.length} pools, ${tokens.length} tokens, ${faults.length} faults configured`);
+  console.log(`\n   Point the depth server at it with:`);
+  console.log(`   JUPITER_ULTRA_API_URL=http://127.0.0.1:${PORT}/ultra/order`);
+  console.log(`   JUPITER_QUOTE_URL=http://127.0.0.1:${PORT}/swap/v1/quote`);
+  console.log(`   JUPITER_SEARCH_URL=http://127.0.0.1:${PORT}/v1/assets/search`);
+  console.log(`   JUPITER_TOKEN_ENDPOINTS=http://127.0.0.1:${PORT}/tokens/all`);
+  console.log(`   JUPITER_PRICE_URL=http://127.0.0.1:${PORT}/price/v3\n`);
+});
@@ -0,0 +1,563 @@
+// OpenAPI 3 description of the versioned public API (/api/v1), served at /api/v1/openapi.json
+//
+// Response schemas list the fields clients can rely on; v1 responses may gain fields but won't lose or
+// change these. Keep this in step with the routes in index.js when adding to v1.
+
+export const API_VERSION = '1.0.0';
+
+// Codes used in 400 responses (see validation.js and the trade-size / impact parsers)
+const VALIDATION_CODES = [
+  'MISSING_FIELD', 'DUPLICATE_FIELD', 'INVALID_MINT', 'INVALID_PAIR', 'INVALID_AMOUNT', 'INVALID_BOOLEAN',
+  'INVALID_NUMBER', 'INVALID_STRING', 'INVALID_TRADE_SIZE', 'INVALID_TIME_RANGE', 'UNKNOWN_VALUE',
+  'UNSUPPORTED_SWAP_MODE', 'OUT_OF_RANGE', 'TOO_MANY_VALUES', 'TOO_LONG', 'CONFLICTING_FIELDS',
+];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+const pathId = (description) => ({ name: 'id', in: 'path', required: true, description, schema: { type: 'string' } });
+
+const mintParam = (name, description) => query(name, ref('Mint'), description, true);
+const ladderParams = [
+  query('sizes', { type: 'string', example: '250,5k,1M' }, 'Custom USD trade-size ladder (comma-separated, k/M/B suffixes)'),
+  query('minSize', { type: 'string' }, 'Smallest size of a generated log-spaced ladder (with maxSize and steps)'),
+  query('maxSize', { type: 'string' }, 'Largest size of a generated ladder'),
+  query('steps', { type: 'integer', minimum: 2, maximum: 30 }, 'Number of sizes in a generated ladder'),
+];
+
+const badRequest = json(ref('ValidationError'), 'Invalid parameters');
+const notFound = json(ref('Error'), 'Not found');
+const serverError = json(ref('Error'), 'Upstream or server error');
+
+// Routes that spend upstream quotes need an API key once the server has any configured (see apiKeys.js)
+const retryAfter = { 'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } } };
+const guarded = (operation) => ({
+  ...operation,
+  security: [{ apiKeyHeader: [] }, { bearerKey: [] }],
+  responses: {
+    ...operation.responses,
+    401: json(ref('ApiKeyError'), 'Missing or invalid API key'),
+    429: { ...json(ref('ApiKeyError'), 'Quota used up or too many requests in progress'), headers: retryAfter },
+  },
+});
+
+const schemas = {
+  Mint: {
+    type: 'string',
+    description: 'Base58-encoded 32-byte Solana public key',
+    pattern: '^[1-9A-HJ-NP-Za-km-z]{32,44}$',
+    example: 'So11111111111111111111111111111111111111112',
+  },
+  RawAmount: {
+    type: 'string',
+    description: "Integer amount in the token's smallest units (may exceed 2^53, so always a string)",
+    pattern: '^\\d+$',
+    example: '1000000000',
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      details: { description: 'Extra context from the upstream API, when available' },
+    },
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['error', 'field', 'reason', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Readable message (same as reason)' },
+      field: { type: 'string', description: 'First invalid parameter' },
+      reason: { type: 'string' },
+      code: { type: 'string', enum: VALIDATION_CODES },
+    },
+  },
+  ApiKeyError: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string' },
+      code: { type: 'string', enum: ['MISSING_API_KEY', 'INVALID_API_KEY', 'QUOTA_EXCEEDED', 'CONCURRENCY_LIMIT'] },
+      retryAfterSeconds: { type: 'integer', description: 'Same as the Retry-After header (429 only)' },
+    },
+  },
+  Usage: {
+    type: 'object',
+    required: ['enabled'],
+    properties: {
+      enabled: { type: 'boolean', description: 'False when the server has no API keys (nothing is limited)' },
+      name: { type: 'string' },
+      quota: { type: 'integer', description: 'Requests allowed per window' },
+      windowSeconds: { type: 'number' },
+      used: { type: 'integer', description: 'Requests in the current rolling window' },
+      remaining: { type: 'integer' },
+      resetSeconds: { type: 'integer', description: 'Seconds until the oldest request in the window expires' },
+      concurrency: { type: 'integer' },
+      active: { type: 'integer', description: 'Requests (and depth jobs) in progress' },
+      totalRequests: { type: 'integer' },
+      rejected: { type: 'object', properties: { quota: { type: 'integer' }, concurrency: { type: 'integer' } } },
+      routes: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Accepted requests per route' },
+      lastUsedAt: nullable({ type: 'string', format: 'date-time' }),
+    },
+  },
+  Token: {
+    type: 'object',
+    required: ['address', 'symbol', 'name', 'decimals'],
+    properties: {
+      address: ref('Mint'),
+      symbol: { type: 'string' },
+      name: { type: 'string' },
+      decimals: { type: 'integer' },
+      logoURI: nullable({ type: 'string' }),
+      isVerified: { type: 'boolean' },
+      tags: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  Quote: {
+    type: 'object',
+    description: 'Jupiter-shaped quote from the selected provider',
+    required: ['inAmount', 'outAmount'],
+    properties: {
+      inputMint: ref('Mint'),
+      outputMint: ref('Mint'),
+      inAmount: ref('RawAmount'),
+      outAmount: ref('RawAmount'),
+      priceImpactPct: { type: 'string', description: 'Price impact as a fraction (0.01 = 1%)' },
+      routePlan: { type: 'array', items: { type: 'object' } },
+      provider: { type: 'string' },
+    },
+  },
+  Route: {
+    type: 'object',
+    description: 'Venues that absorbed a trade',
+    properties: {
+      hops: { type: 'integer' },
+      legs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            venue: { type: 'string' },
+            ammKey: nullable({ type: 'string' }),
+            inputMint: ref('Mint'),
+            outputMint: nullable(ref('Mint')),
+            hop: { type: 'integer' },
+            shareOfInput: nullable({ type: 'number', description: 'Percent of the hop input routed through this leg' }),
+          },
+        },
+      },
+    },
+  },
+  DepthPoint: {
+    type: 'object',
+    required: ['tradeUsdValue', 'price', 'amount', 'outputAmount', 'priceImpact'],
+    properties: {
+      tradeUsdValue: { type: 'number', description: 'USD trade size this point was quoted at' },
+      price: { type: 'number' },
+      amount: { type: 'number', description: 'Input token amount traded' },
+      outputAmount: { type: 'number', description: 'Output token amount received' },
+      priceImpact: { type: 'number', description: 'Percent' },
+      slippage: { type: 'number', description: 'Percent (same as priceImpact)' },
+      receiveUsdValue: nullable({ type: 'number' }),
+      rawInputAmount: ref('RawAmount'),
+      rawOutputAmount: ref('RawAmount'),
+      route: nullable(ref('Route')),
+    },
+  },
+  DepthResult: {
+    type: 'object',
+    required: ['inputMint', 'outputMint', 'isBuy', 'swapMode', 'depth', 'tradeSizes', 'metadata'],
+    properties: {
+      inputMint: ref('Mint'),
+      outputMint: ref('Mint'),
+      isBuy: { type: 'boolean' },
+      swapMode: { type: 'string', enum: ['ExactIn', 'ExactOut'] },
+      depth: { type: 'array', items: ref('DepthPoint') },
+      tradeSizes: { type: 'array', items: { type: 'number' }, description: 'USD ladder that was requested' },
+      baselinePrice: nullable({ type: 'number' }),
+      usdPrices: { type: 'object', properties: { input: nullable({ type: 'number' }), output: nullable({ type: 'number' }) } },
+      warning: { type: 'string' },
+      metadata: {
+        type: 'object',
+        properties: {
+          pointsCount: { type: 'integer' },
+          calculationTime: { type: 'string', example: '5321ms' },
+          timestamp: { type: 'string', format: 'date-time' },
+          provider: { type: 'string' },
+          quoteBudget: { type: 'object' },
+          quoteCache: { type: 'object' },
+          cancelled: { type: 'boolean' },
+          tokenUnsupported: { type: 'boolean' },
+          snapshotId: { type: 'integer' },
+          cachedAt: { type: 'string', format: 'date-time' },
+          ageSeconds: { type: 'integer' },
+          cacheStatus: { type: 'string', enum: ['hit', 'stale', 'miss'] },
+        },
+      },
+      debug: {
+        type: 'object',
+        description: 'Only with debug=true',
+        properties: {
+          requestId: { type: 'string' },
+          logs: { type: 'array', items: { type: 'string' } },
+          errors: { type: 'array', items: { type: 'object' } },
+        },
+      },
+    },
+  },
+  MaxSizeResult: {
+    type: 'object',
+    required: ['inputMint', 'outputMint', 'isBuy', 'thresholds', 'metadata'],
+    properties: {
+      inputMint: ref('Mint'),
+      outputMint: ref('Mint'),
+      isBuy: { type: 'boolean' },
+      baselinePrice: nullable({ type: 'number' }),
+      usdPrices: { type: 'object' },
+      thresholds: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            impactPct: { type: 'number' },
+            maxTradeUsd: { type: 'number' },
+            capped: { type: 'boolean', description: 'Even the largest searchable size stays within the threshold' },
+            complete: { type: 'boolean', description: 'False if the quote budget ran out before the search converged' },
+            iterations: { type: 'integer' },
+            point: nullable(ref('DepthPoint')),
+            exceededAt: nullable({ type: 'object' }),
+          },
+        },
+      },
+      metadata: { type: 'object' },
+    },
+  },
+  DepthJob: {
+    type: 'object',
+    required: ['id', 'status'],
+    properties: {
+      id: { type: 'string' },
+      params: { type: 'object' },
+      status: { type: 'string', enum: ['running', 'done', 'failed', 'cancelled'] },
+      createdAt: { type: 'string', format: 'date-time' },
+      finishedAt: nullable({ type: 'string', format: 'date-time' }),
+      eventCount: { type: 'integer' },
+      result: nullable({
+        type: 'object',
+        description: 'Depth result per calculated side',
+        properties: { buy: ref('DepthResult'), sell: ref('DepthResult') },
+      }),
+      error: nullable({ type: 'string' }),
+    },
+  },
+  HistoryResult: {
+    type: 'object',
+    required: ['inputMint', 'outputMint', 'swapMode', 'from', 'to', 'sizes', 'series'],
+    properties: {
+      inputMint: ref('Mint'),
+      outputMint: ref('Mint'),
+      swapMode: { type: 'string' },
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      sizes: { type: 'array', items: { type: 'number' } },
+      series: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            snapshotId: { type: 'integer' },
+            timestamp: { type: 'string', format: 'date-time' },
+            isBuy: { type: 'boolean' },
+            provider: { type: 'string' },
+            impact: {
+              type: 'object',
+              description: 'Price impact (%) keyed by USD size, null beyond the measured depth',
+              additionalProperties: nullable({ type: 'number' }),
+            },
+            maxTradeUsd: { type: 'number' },
+            pointsCount: { type: 'integer' },
+            warnings: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+      metadata: { type: 'object', properties: { snapshots: { type: 'integer' }, truncated: { type: 'boolean' } } },
+    },
+  },
+  Provider: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      label: { type: 'string' },
+      url: { type: 'string' },
+      swapModes: { type: 'array', items: { type: 'string' } },
+      isDefault: { type: 'boolean' },
+    },
+  },
+};
+
+// providers: names accepted by ?provider=
+export function createOpenApiDocument({ providers, swapModes, serverUrl = '/api/v1' }) {
+  const providerParam = query('provider', { type: 'string', enum: providers }, 'Quote provider (defaults to the server default)');
+  const isBuyParam = query('isBuy', { type: 'boolean', default: false }, 'true for the buy side, false for the sell side');
+  const swapModeParam = query('swapMode', { type: 'string', enum: swapModes, default: 'ExactIn' }, 'ExactOut sizes quotes by the amount received');
+  const maxQuotesParam = query('maxQuotes', { type: 'integer', minimum: 1 }, 'Upstream quote budget for the calculation');
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Solana Liquidity Depth API',
+      version: API_VERSION,
+      description: 'Liquidity depth, price impact and max trade sizes for Solana token pairs, measured with aggregator quotes. ' +
+        'The unversioned /api routes are deprecated aliases of these.',
+    },
+    servers: [{ url: serverUrl }],
+    paths: {
+      '/tokens': {
+        get: {
+          summary: 'List known tokens',
+          parameters: [query('refresh', { type: 'boolean', default: false }, 'Reload the token list instead of using the cached one')],
+          responses: { 200: json({ type: 'array', items: ref('Token') }), 400: badRequest },
+        },
+      },
+      '/tokens/search': {
+        get: {
+          summary: 'Search tokens by symbol, name or mint',
+          parameters: [query('q', { type: 'string', maxLength: 100 }, 'Search text (an empty query returns [])')],
+          responses: { 200: json({ type: 'array', items: ref('Token') }), 400: badRequest, 500: serverError },
+        },
+      },
+      '/quote': {
+        get: guarded({
+          summary: 'Single quote for a pair',
+          parameters: [
+            mintParam('inputMint', 'Token sold'),
+            mintParam('outputMint', 'Token bought'),
+            query('amount', ref('RawAmount'), 'Input amount in smallest units', true),
+            query('slippageBps', { type: 'integer', minimum: 0, maximum: 10000, default: 50 }, 'Slippage tolerance'),
+            providerParam,
+          ],
+          responses: {
+            200: json({ type: 'object', required: ['quote'], properties: { quote: ref('Quote'), warning: nullable({ type: 'string' }) } }),
+            400: badRequest,
+            500: serverError,
+          },
+        }),
+      },
+      '/liquidity-depth': {
+        get: guarded({
+          summary: 'Price impact across a ladder of USD trade sizes for one side of a pair',
+          parameters: [
+            mintParam('inputMint', 'Base token of the pair'),
+            mintParam('outputMint', 'Quote token of the pair'),
+            isBuyParam,
+            providerParam,
+            swapModeParam,
+            ...ladderParams,
+            maxQuotesParam,
+            query('format', { type: 'string', enum: ['json', 'csv'], default: 'json' }, 'csv downloads one row per depth point'),
+            query('fresh', { type: 'boolean', default: false }, 'Recalculate instead of returning a cached result'),
+            query('debug', { type: 'boolean', default: false }, 'Include the debug block (engine logs and per-size errors)'),
+          ],
+          responses: {
+            200: {
+              description: 'OK',
+              content: { 'application/json': { schema: ref('DepthResult') }, 'text/csv': { schema: { type: 'string' } } },
+            },
+            400: badRequest,
+            500: serverError,
+          },
+        }),
+      },
+      '/max-size': {
+        get: guarded({
+          summary: 'Largest trade size within each price impact threshold',
+          parameters: [
+            mintParam('inputMint', 'Base token of the pair'),
+            mintParam('outputMint', 'Quote token of the pair'),
+            isBuyParam,
+            providerParam,
+            query('impactPct', { type: 'string', default: '1,2,5' }, 'Comma-separated thresholds in percent (at most 10)'),
+            maxQuotesParam,
+          ],
+          responses: { 200: json(ref('MaxSizeResult')), 400: badRequest, 500: serverError },
+        }),
+      },
+      '/depth-jobs': {
+        post: guarded({
+          summary: 'Start an asynchronous depth calculation',
+          description: 'Both sides are calculated when isBuy is omitted. Not available on serverless deployments (501). ' +
+            "The job holds one of the API key's concurrent request slots until it finishes.",
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['inputMint', 'outputMint'],
+                  properties: {
+                    inputMint: ref('Mint'),
+                    outputMint: ref('Mint'),
+                    isBuy: { type: 'boolean' },
+                    provider: { type: 'string', enum: providers },
+                    swapMode: { type: 'string', enum: swapModes },
+                    sizes: { type: 'string' },
+                    minSize: { type: 'string' },
+                    maxSize: { type: 'string' },
+                    steps: { type: 'integer' },
+                    maxQuotes: { type: 'integer' },
+                    fresh: { type: 'boolean' },
+                    debug: { type: 'boolean' },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            202: json({
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                status: { type: 'string' },
+                sides: { type: 'array', items: { type: 'string', enum: ['buy', 'sell'] } },
+                statusUrl: { type: 'string' },
+                eventsUrl: { type: 'string' },
+              },
+            }, 'Job started'),
+            400: badRequest,
+            501: json(ref('Error'), 'Not available on this deployment'),
+          },
+        }),
+      },
+      '/depth-jobs/{id}': {
+        get: {
+          summary: 'Job status and result',
+          parameters: [pathId('Job id')],
+          responses: { 200: json(ref('DepthJob')), 404: notFound },
+        },
+        delete: {
+          summary: 'Cancel a running job',
+          description: "Only the API key that started the job can cancel it (doesn't count against the quota).",
+          parameters: [pathId('Job id')],
+          security: [{ apiKeyHeader: [] }, { bearerKey: [] }],
+          responses: {
+            200: json({ type: 'object', properties: { id: { type: 'string' }, status: { type: 'string' } } }),
+            401: json(ref('ApiKeyError'), 'Missing or invalid API key'),
+            403: json(ref('ApiKeyError'), 'The job was started with a different API key'),
+            404: notFound,
+          },
+        },
+      },
+      '/depth-jobs/{id}/events': {
+        get: {
+          summary: 'Job progress as Server-Sent Events',
+          description: 'Events: side, size, search, point, skip, trade-error, result, done, failed. ' +
+            'Reconnecting clients send Last-Event-ID and only receive events they missed.',
+          parameters: [pathId('Job id')],
+          responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }, 404: notFound },
+        },
+      },
+      '/history': {
+        get: {
+          summary: 'Price impact over time from stored depth snapshots',
+          parameters: [
+            query('pair', { type: 'string', example: 'So11111111111111111111111111111111111111112-EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' },
+              '<inputMint>-<outputMint>', true),
+            query('isBuy', { type: 'boolean' }, 'Only one side (both when omitted)'),
+            swapModeParam,
+            query('from', { type: 'string' }, 'Epoch milliseconds or ISO date (default: 7 days before to)'),
+            query('to', { type: 'string' }, 'Epoch milliseconds or ISO date (default: now)'),
+            query('sizes', { type: 'string', example: '100k,1M,10M' }, 'USD sizes to report impact at'),
+          ],
+          responses: { 200: json(ref('HistoryResult')), 400: badRequest, 503: json(ref('Error'), 'History is not enabled') },
+        },
+      },
+      '/providers': {
+        get: {
+          summary: 'Available quote providers',
+          responses: {
+            200: json({ type: 'object', properties: { default: { type: 'string' }, providers: { type: 'array', items: ref('Provider') } } }),
+          },
+        },
+      },
+      '/watchlist': {
+        get: {
+          summary: 'Watchlist schedule and last-run status per pair',
+          responses: {
+            200: json({
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                file: { type: 'string' },
+                error: { type: 'string' },
+                entries: { type: 'array', items: { type: 'object' } },
+              },
+            }),
+          },
+        },
+      },
+      '/watchlist/{id}/run': {
+        post: guarded({
+          summary: 'Queue an immediate run for a watchlist entry',
+          parameters: [pathId('Watchlist entry id')],
+          responses: {
+            202: json({ type: 'object' }, 'Queued'),
+            404: notFound,
+            409: json(ref('Error'), 'Already queued or running'),
+            503: json(ref('Error'), 'No watchlist configured'),
+          },
+        }),
+      },
+      '/alerts': {
+        get: {
+          summary: 'Alert rules with their current state',
+          responses: {
+            200: json({
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                file: { type: 'string' },
+                error: { type: 'string' },
+                rules: { type: 'array', items: { type: 'object' } },
+              },
+            }),
+          },
+        },
+      },
+      '/alerts/deliveries': {
+        get: {
+          summary: 'Webhook delivery log, newest first',
+          responses: { 200: json({ type: 'object', properties: { deliveries: { type: 'array', items: { type: 'object' } } } }) },
+        },
+      },
+      '/alerts/{id}/test': {
+        post: guarded({
+          summary: "Send a test payload to a rule's webhook",
+          parameters: [pathId('Alert rule id')],
+          responses: {
+            200: json({ type: 'object' }, 'Delivered'),
+            400: json(ref('Error'), 'The rule has no webhook URL'),
+            404: notFound,
+            502: json({ type: 'object' }, 'Delivery failed'),
+            503: json(ref('Error'), 'No alert rules configured'),
+          },
+        }),
+      },
+      '/usage': {
+        get: {
+          summary: "Quota and usage of the caller's API key (doesn't count against the quota)",
+          security: [{ apiKeyHeader: [] }, { bearerKey: [] }],
+          responses: { 200: json(ref('Usage')), 401: json(ref('ApiKeyError'), 'Missing or invalid API key') },
+        },
+      },
+    },
+    components: {
+      schemas,
+      securitySchemes: {
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerKey: { type: 'http', scheme: 'bearer', description: 'The same API key as a bearer token' },
+      },
+    },
+  };
+}
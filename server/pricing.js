@@ -0,0 +1,85 @@
+// USD prices for depth sizing
+//
+// Trade sizes are in USD, but the quote token of a pair is not always a $1 stablecoin (JUP/SOL, mSOL/SOL).
+// The oracle resolves a USD price per mint from one of two sources:
+//   - 'quote' (default): a small $100 USDC -> mint reference quote through the quote provider
+//   - 'jupiter': Jupiter's Price API (JUPITER_PRICE_URL), falling back to the reference quote
+// Stablecoins are pegged at $1 and prices are cached for a short TTL.
+import { STABLECOIN_MINTS } from './providers/index.js';
+import { toRawAmount } from './rawAmounts.js';
+import { logger } from './logger.js';
+
+export const PRICE_SOURCES = ['quote', 'jupiter'];
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const USDC_DECIMALS = 6;
+const REFERENCE_USD = 100;
+const PRICE_TTL = 60 * 1000; // Prices are reused for a minute
+
+export function createPriceOracle({ getQuote, getDecimals, http, source = 'quote', priceUrl, apiKey, ttl = PRICE_TTL }) {
+  if (!PRICE_SOURCES.includes(source)) {
+    throw new Error(`Unknown price source: ${source} (expected ${PRICE_SOURCES.join(' or ')})`);
+  }
+  const cache = new Map(); // mint -> { price, source, expiresAt }
+
+  // USD per token from spending $100 of USDC on the mint
+  async function fromReferenceQuote(mint, requestQuote, quoteOptions) {
+    const decimals = await getDecimals(mint);
+    const amount = toRawAmount(REFERENCE_USD, USDC_DECIMALS);
+    const quote = await requestQuote(USDC_MINT, mint, amount, 50, 1, quoteOptions);
+    const usdSpent = parseFloat(quote?.inAmount) / Math.pow(10, USDC_DECIMALS);
+    const tokensReceived = parseFloat(quote?.outAmount) / Math.pow(10, decimals);
+    if (!(usdSpent > 0) || !(tokensReceived > 0)) return null;
+    return usdSpent / tokensReceived;
+  }
+
+  // Price API v3 shape: { "<mint>": { usdPrice } } (older versions nest under data and use price)
+  async function fromPriceApi(mint) {
+    const response = await http.get(priceUrl, {
+      params: { ids: mint },
+      headers: apiKey ? { 'x-api-key': apiKey } : {},
+    });
+    const entry = response.data?.[mint] || response.data?.data?.[mint];
+    const price = parseFloat(entry?.usdPrice ?? entry?.price);
+    return price > 0 && isFinite(price) ? price : null;
+  }
+
+  // Resolves to { price, source } or null when no source could price the mint
+  // requestQuote lets callers spend the reference quote from their own quote budget
+  async function usdPrice(mint, { requestQuote = getQuote, quoteOptions = {} } = {}) {
+    if (STABLECOIN_MINTS.includes(mint)) {
+      return { price: 1, source: 'stablecoin' };
+    }
+
+    const cached = cache.get(mint);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { price: cached.price, source: cached.source };
+    }
+
+    let result = null;
+    if (source === 'jupiter' && priceUrl) {
+      try {
+        const price = await fromPriceApi(mint);
+        if (price) result = { price, source: 'jupiter' };
+      } catch (error) {
+        logger.warn(`⚠️ Price API failed for ${mint.slice(0, 8)}...: ${error.message}`);
+      }
+    }
+    if (!result) {
+      try {
+        const price = await fromReferenceQuote(mint, requestQuote, quoteOptions);
+        if (price && isFinite(price)) result = { price, source: 'quote' };
+      } catch (error) {
+        logger.warn(`⚠️ USDC reference quote failed for ${mint.slice(0, 8)}...: ${error.message}`);
+      }
+    }
+
+    if (result) {
+      cache.set(mint, { ...result, expiresAt: Date.now() + ttl });
+      logger.debug(`💲 USD price for ${mint.slice(0, 8)}...: $${result.price.toPrecision(6)} (${result.source})`);
+    }
+    return result;
+  }
+
+  return { source, usdPrice };
+}
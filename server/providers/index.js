@@ -0,0 +1,39 @@
+// Quote provider registry
+//
+// A provider is an object with:
+//   name   - id used in ?provider= query params (e.g. 'ultra')
+//   label  - human readable name
+//   url    - upstream endpoint, for status/debug output
+//   swapModes - quote modes it supports ('ExactIn', 'ExactOut')
+//   quote({ inputMint, outputMint, amount, slippageBps, options })
+//          - amount is the raw amount (smallest units) as a decimal string - it can exceed Number.MAX_SAFE_INTEGER
+//          - options.swapMode 'ExactOut' makes amount the output amount wanted (default 'ExactIn')
+//          - resolves to a Jupiter-shaped quote ({ inAmount, outAmount, priceImpactPct, routePlan, warning?, provider })
+//          - rejects like an axios call (error.response.status / error.response.data) when the quote fails
+// Retries and rate limiting are handled by getQuote, not by providers.
+export { createJupiterProvider } from './jupiter.js';
+export { createJupiterUltraProvider } from './jupiterUltra.js';
+export { createJupiterStandardProvider } from './jupiterStandard.js';
+export { normalizeRoutePlan, STABLECOIN_MINTS } from './quoteUtils.js';
+
+export function createProviderRegistry(providers, defaultName) {
+  const byName = new Map(providers.map(provider => [provider.name, provider]));
+
+  if (!byName.has(defaultName)) {
+    throw new Error(`Default quote provider "${defaultName}" is not registered`);
+  }
+
+  return {
+    defaultName,
+    has: (name) => byName.has(name),
+    // Resolve a provider by name, falling back to the default when no name is given
+    get: (name) => byName.get(name || defaultName) || null,
+    list: () => Array.from(byName.values()).map(({ name, label, url, swapModes }) => ({
+      name,
+      label,
+      url,
+      swapModes,
+      isDefault: name === defaultName,
+    })),
+  };
+}
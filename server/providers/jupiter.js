@@ -0,0 +1,79 @@
+// Default Jupiter provider: Ultra API first, Standard API when Ultra reports erroneous price impact
+import { isErroneousPriceImpact, STABLECOIN_MINTS } from './quoteUtils.js';
+import { logger } from '../logger.js';
+
+export function createJupiterProvider({ ultra, standard }) {
+  return {
+    name: 'jupiter',
+    label: 'Jupiter (Ultra with Standard fallback)',
+    url: ultra.url,
+    swapModes: ['ExactIn', 'ExactOut'],
+
+    async quote(request) {
+      const { inputMint, outputMint } = request;
+      // Ultra only quotes ExactIn, so ExactOut goes straight to the Standard API
+      if (request.options?.swapMode === 'ExactOut') {
+        return standard.quote(request);
+      }
+
+      let ultraQuote;
+      try {
+        ultraQuote = await ultra.quote(request);
+      } catch (error) {
+        // Ultra is known to be down (its circuit is open), so quote from the Standard API instead
+        if (error.code !== 'CIRCUIT_OPEN') throw error;
+        return standard.quote(request);
+      }
+      const priceImpactPct = ultraQuote.priceImpactPct;
+
+      if (!isErroneousPriceImpact(priceImpactPct)) {
+        return ultraQuote;
+      }
+
+      const impactPercent = Math.abs(parseFloat(priceImpactPct) * 100);
+      logger.debug(`   ⚠️  Ultra API returned erroneous price impact: ${impactPercent.toFixed(2)}% - trying Standard API...`);
+      
+      try {
+        const standardQuote = await standard.quote(request);
+        const standardImpactPercent = standardQuote.priceImpactPct !== undefined 
+          ? Math.abs(parseFloat(standardQuote.priceImpactPct) * 100) 
+          : 0;
+        
+        // Validate quote amounts are reasonable (for stablecoin swaps, should be ~1:1)
+        const isStablecoinSwap = STABLECOIN_MINTS.includes(inputMint) && STABLECOIN_MINTS.includes(outputMint);
+        
+        let quoteAmountsValid = true;
+        if (isStablecoinSwap) {
+          // For stablecoin swaps, check if the price is reasonable (~0.9 to 1.1 ratio)
+          // Assuming both tokens have 6 decimals
+          const inAmountReadable = parseFloat(standardQuote.inAmount) / 1e6;
+          const outAmountReadable = parseFloat(standardQuote.outAmount) / 1e6;
+          const priceRatio = outAmountReadable / inAmountReadable;
+          
+          // Price should be between 0.9 and 1.1 for stablecoin swaps
+          if (priceRatio < 0.9 || priceRatio > 1.1) {
+            logger.warn(`   ⚠️  Standard API returned unreasonable quote amounts: ${inAmountReadable.toFixed(6)} -> ${outAmountReadable.toFixed(6)} (ratio: ${priceRatio.toFixed(4)})`);
+            quoteAmountsValid = false;
+          }
+        }
+        
+        // Only use Standard API if it shows better (lower) price impact AND quote amounts are valid
+        if (standardImpactPercent < impactPercent && quoteAmountsValid) {
+          logger.debug(`   ✅ Standard API returned accurate price impact: ${standardImpactPercent.toFixed(2)}% (was ${impactPercent.toFixed(2)}%)`);
+          return standardQuote;
+        } else if (!quoteAmountsValid) {
+          logger.warn(`   ⚠️  Standard API has correct price impact but wrong quote amounts - keeping Ultra API result`);
+        }
+      } catch (standardError) {
+        // Continue with Ultra API result even if it's erroneous
+        logger.warn(`   ⚠️  Standard API fallback failed: ${standardError.message}`);
+      }
+      
+      // Fallback didn't succeed, add warning to Ultra API result
+      return {
+        ...ultraQuote,
+        warning: `⚠️ Erroneous price impact detected (${impactPercent.toFixed(2)}%). Quote may be inaccurate. This often occurs with certain tokens (like USD*) that require wallet balance for accurate quotes.`,
+      };
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// Jupiter Standard Quote API provider (api.jup.ag/swap/v1/quote)
+import { assertQuoteAmounts, normalizePriceImpactPct, walletForSwap } from './quoteUtils.js';
+import { logger } from '../logger.js';
+
+export function createJupiterStandardProvider({ http, url, apiKey, walletAddress }) {
+  return {
+    name: 'standard',
+    label: 'Jupiter Standard API',
+    url,
+    swapModes: ['ExactIn', 'ExactOut'],
+
+    async quote({ inputMint, outputMint, amount, slippageBps = 50, options = {} }) {
+      const { onlyDirectRoutes = false, restrictIntermediateTokens = false, swapMode = 'ExactIn' } = options;
+      const userPublicKey = walletForSwap(inputMint, outputMint, walletAddress);
+
+      const params = {
+        inputMint,
+        outputMint,
+        amount: amount.toString(), // Input amount for ExactIn, output amount for ExactOut
+        slippageBps: slippageBps.toString(),
+        swapMode,
+      };
+
+      if (onlyDirectRoutes) {
+        params.onlyDirectRoutes = 'true';
+      }
+      if (restrictIntermediateTokens) {
+        params.restrictIntermediateTokens = 'true';
+      }
+      
+      // Add wallet address for USD* swaps in Standard API too
+      if (userPublicKey) {
+        params.userPublicKey = userPublicKey;
+        logger.debug(`   🔑 Using wallet address for Standard API quote: ${userPublicKey.slice(0, 8)}...`);
+      }
+
+      // The main API key may only work with Ultra API, so the Standard API uses its own key
+      const headers = { 'Accept': 'application/json' };
+      if (apiKey) {
+        headers['x-api-key'] = apiKey;
+      } else {
+        logger.warn(`   ⚠️  No Standard API key available`);
+      }
+
+      const response = await http.get(url, { params, headers });
+
+      assertQuoteAmounts(response.data);
+
+      return {
+        ...response.data,
+        priceImpactPct: normalizePriceImpactPct(response.data),
+        provider: 'standard',
+      };
+    },
+  };
+}
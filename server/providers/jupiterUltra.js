@@ -0,0 +1,69 @@
+// Jupiter Ultra API provider (ultra-api.jup.ag/order)
+// Matches what the Jupiter frontend shows, so it is tried first by the default provider
+import { assertQuoteAmounts, normalizePriceImpactPct, walletForSwap } from './quoteUtils.js';
+import { logger } from '../logger.js';
+
+export function createJupiterUltraProvider({ http, url, apiKey, walletAddress }) {
+  return {
+    name: 'ultra',
+    label: 'Jupiter Ultra API',
+    url,
+    swapModes: ['ExactIn'], // Ultra orders are always ExactIn
+
+    async quote({ inputMint, outputMint, amount, slippageBps = 50, options = {} }) {
+      // Extract optional route restriction parameters
+      // These help ensure quotes reflect actual executable routes vs theoretical best paths
+      const {
+        onlyDirectRoutes = false, // If true, forces single-hop routes only (may miss multi-hop liquidity)
+        restrictIntermediateTokens = false, // If true, limits intermediate hops to stable tokens
+      } = options;
+
+      if (options.swapMode && options.swapMode !== 'ExactIn') {
+        throw new Error(`Jupiter Ultra API does not support ${options.swapMode} quotes`);
+      }
+
+      const userPublicKey = walletForSwap(inputMint, outputMint, walletAddress);
+
+      const params = {
+        inputMint,
+        outputMint,
+        amount: amount.toString(),
+        swapMode: 'ExactIn', // ExactIn = selling input token for output token
+        // Add slippage tolerance to Ultra API (if supported)
+        // This allows finding true liquidity limits for large trades
+        slippageBps: slippageBps.toString(),
+      };
+      
+      // Add route restriction parameters if specified (Ultra API may or may not support these)
+      // If not supported, API will ignore them
+      if (onlyDirectRoutes) {
+        params.onlyDirectRoutes = 'true';
+      }
+      if (restrictIntermediateTokens) {
+        params.restrictIntermediateTokens = 'true';
+      }
+      
+      // Add wallet address for USD* swaps
+      if (userPublicKey) {
+        params.userPublicKey = userPublicKey;
+        logger.debug(`   🔑 Using wallet address for USD* quote: ${userPublicKey.slice(0, 8)}...`);
+      }
+
+      const response = await http.get(url, {
+        params,
+        headers: {
+          'Accept': 'application/json',
+          ...(apiKey && { 'x-api-key': apiKey }),
+        }
+      });
+
+      assertQuoteAmounts(response.data);
+
+      return {
+        ...response.data,
+        priceImpactPct: normalizePriceImpactPct(response.data),
+        provider: 'ultra',
+      };
+    },
+  };
+}
@@ -0,0 +1,87 @@
+// Shared helpers for quote providers
+
+// USD* mint address
+export const USD_STAR_MINT = 'star9agSpjiFe3M49B3RniVU4CMBBEK3Qnaqn3RGiFM';
+
+// Stablecoins used to sanity-check stable-to-stable quote amounts
+export const STABLECOIN_MINTS = [
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
+  USD_STAR_MINT, // USD*
+];
+
+// Ultra API returns priceImpact as percentage (e.g., -26.52) and priceImpactPct as decimal (e.g., -0.2652)
+// Normalize to the Standard API format (decimal priceImpactPct)
+export function normalizePriceImpactPct(quote) {
+  if (quote.priceImpactPct !== undefined) return quote.priceImpactPct;
+  return quote.priceImpact !== undefined ? quote.priceImpact / 100 : undefined;
+}
+
+// Check if price impact is erroneous (very high positive impact indicates API issue)
+export function isErroneousPriceImpact(priceImpactPct) {
+  if (priceImpactPct === undefined || priceImpactPct === null) return false;
+  
+  const impactValue = parseFloat(priceImpactPct);
+  
+  // Ultra API can return priceImpactPct in different formats:
+  // - As decimal: -0.2652 (meaning -26.52%) - need to multiply by 100
+  // - As percentage: 939.38 (meaning 939.38%) - already a percentage
+  // If absolute value > 1, it's likely already in percentage format
+  // If absolute value <= 1, it's in decimal format
+  const impactPercent = Math.abs(impactValue) > 1 
+    ? Math.abs(impactValue)  // Already in percentage format
+    : Math.abs(impactValue) * 100;  // Convert from decimal to percentage
+  
+  // Price impact > 100% is clearly erroneous (especially for stablecoin swaps)
+  // This indicates the API is returning placeholder/warning data instead of actual quote
+  return impactPercent > 100;
+}
+
+// USD* quotes are only accurate with a funded wallet, so pass one along when configured
+export function walletForSwap(inputMint, outputMint, walletAddress) {
+  const isUSDStarSwap = inputMint === USD_STAR_MINT || outputMint === USD_STAR_MINT;
+  return (isUSDStarSwap && walletAddress) ? walletAddress : null;
+}
+
+// Reject quote payloads that are missing amounts (treated like a failed request by getQuote)
+export function assertQuoteAmounts(quote) {
+  if (!quote || !quote.outAmount || !quote.inAmount) {
+    throw new Error('Invalid quote response');
+  }
+}
+
+// Normalize a Jupiter routePlan into the venues a quote was routed through
+// Legs are grouped into hops by the mint they swap from (split legs of one hop share it).
+// shareOfInput is the leg's share of the amount entering its hop, in percent - taken from the leg
+// amounts when present, otherwise from percent/bps. Returns null when the quote has no route plan.
+export function normalizeRoutePlan(routePlan, inputMint) {
+  if (!Array.isArray(routePlan) || routePlan.length === 0) return null;
+
+  const hopMints = [];
+  const legs = routePlan.map(step => {
+    const swapInfo = step.swapInfo || {};
+    const legInputMint = swapInfo.inputMint || inputMint;
+    if (!hopMints.includes(legInputMint)) hopMints.push(legInputMint);
+    return {
+      venue: swapInfo.label || 'Unknown',
+      ammKey: swapInfo.ammKey || null,
+      inputMint: legInputMint,
+      outputMint: swapInfo.outputMint || null,
+      inAmount: swapInfo.inAmount !== undefined ? Number(swapInfo.inAmount) : NaN,
+      hop: hopMints.indexOf(legInputMint) + 1,
+      declaredShare: step.percent ?? (step.bps !== undefined ? step.bps / 100 : null),
+    };
+  });
+
+  return {
+    hops: hopMints.length,
+    legs: legs.map(({ inAmount, declaredShare, ...leg }) => {
+      const hopLegs = legs.filter(other => other.hop === leg.hop);
+      const hopTotal = hopLegs.reduce((sum, other) => sum + other.inAmount, 0);
+      const shareOfInput = hopTotal > 0 && isFinite(hopTotal)
+        ? (inAmount / hopTotal) * 100
+        : declaredShare ?? 100 / hopLegs.length;
+      return { ...leg, shareOfInput: Math.round(shareOfInput * 100) / 100 };
+    }),
+  };
+}
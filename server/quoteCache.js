@@ -0,0 +1,69 @@
+// In-memory LRU cache for upstream quotes
+//
+// Depth calculations for the same pair overlap a lot: the buy and sell side of one click share baseline and
+// USD reference quotes, and two users looking at the same pair request the same ladder. Quotes are cached
+// for a short TTL under (provider, options, mints, amount bucket, slippage). Amounts are bucketed to
+// `precision` significant digits in the key only - upstream is always asked for the exact amount, and
+// sizes that differ only in the last raw units share that quote (its inAmount/outAmount are for the
+// amount first requested, within one part in 10^precision). A request that matches one still in flight
+// gets the same promise.
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_PRECISION = 6;
+
+export function createQuoteCache({ ttlSeconds, maxEntries = DEFAULT_MAX_ENTRIES, precision = DEFAULT_PRECISION }) {
+  const ttl = Math.max(0, ttlSeconds) * 1000;
+  const entries = new Map(); // key -> { promise, expiresAt } in least- to most-recently used order
+  const totals = { hits: 0, coalesced: 0, misses: 0 };
+
+  // Raw amount rounded down to `precision` significant digits, as a decimal string (for cache keys)
+  function bucketAmount(amount) {
+    const digits = BigInt(amount).toString();
+    if (digits.length <= precision) return digits;
+    return digits.slice(0, precision) + '0'.repeat(digits.length - precision);
+  }
+
+  function keyFor({ provider, inputMint, outputMint, amount, slippageBps, options = {} }) {
+    return [provider, JSON.stringify(options), inputMint, outputMint, amount, slippageBps].join('|');
+  }
+
+  // { promise, pending } for a cached or in-flight quote, or null (pending: still in flight)
+  function lookup(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    // Move to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    const pending = entry.expiresAt === Infinity;
+    totals[pending ? 'coalesced' : 'hits']++;
+    return { promise: entry.promise, pending };
+  }
+
+  // Record an upstream request; it is shared while in flight and cached for the TTL once it resolves
+  // (with ttlSeconds = 0 identical requests are still coalesced while in flight, just not kept afterwards)
+  function store(key, promise) {
+    totals.misses++;
+
+    const entry = { promise, expiresAt: Infinity };
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    const drop = () => { if (entries.get(key) === entry) entries.delete(key); };
+    promise.then(
+      () => { if (ttl === 0) drop(); else entry.expiresAt = Date.now() + ttl; },
+      drop // Failures are never cached
+    );
+    return promise;
+  }
+
+  function stats() {
+    return { ...totals, entries: entries.size, ttlSeconds: ttl / 1000, maxEntries };
+  }
+
+  return { bucketAmount, keyFor, lookup, store, stats };
+}
@@ -0,0 +1,58 @@
+// Quote cache and in-flight coalescing (run with npm test in server/)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQuoteCache } from './quoteCache.js';
+
+const KEY_FIELDS = { provider: 'jupiter', inputMint: 'in', outputMint: 'out', slippageBps: 50 };
+
+// A promise that settles when the test says so
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+for (const ttlSeconds of [15, 0]) {
+  test(`identical concurrent quotes share one promise (ttlSeconds ${ttlSeconds})`, async () => {
+    const cache = createQuoteCache({ ttlSeconds });
+    const key = cache.keyFor({ ...KEY_FIELDS, amount: cache.bucketAmount(1000000n) });
+    const upstream = deferred();
+
+    assert.equal(cache.lookup(key), null);
+    const first = cache.store(key, upstream.promise);
+    const second = cache.lookup(key);
+    assert.equal(second.pending, true);
+    assert.equal(second.promise, first);
+
+    upstream.resolve({ outAmount: '42' });
+    assert.deepEqual(await second.promise, { outAmount: '42' });
+    assert.equal(cache.stats().coalesced, 1);
+    assert.equal(cache.stats().misses, 1);
+
+    // Kept for the TTL, or dropped as soon as it settles without one
+    const later = cache.lookup(key);
+    if (ttlSeconds > 0) {
+      assert.equal(later.pending, false);
+    } else {
+      assert.equal(later, null);
+    }
+  });
+}
+
+test('amounts differing only past the precision share a key', () => {
+  const cache = createQuoteCache({ ttlSeconds: 15 });
+  assert.equal(cache.bucketAmount(123456789n), '123456000');
+  assert.equal(cache.keyFor({ ...KEY_FIELDS, amount: cache.bucketAmount(123456789n) }),
+    cache.keyFor({ ...KEY_FIELDS, amount: cache.bucketAmount('123456001') }));
+});
+
+test('failed quotes are not cached', async () => {
+  const cache = createQuoteCache({ ttlSeconds: 15 });
+  const key = cache.keyFor({ ...KEY_FIELDS, amount: '1000' });
+  const upstream = deferred();
+  const stored = cache.store(key, upstream.promise);
+  upstream.reject(new Error('429'));
+  await assert.rejects(stored);
+  assert.equal(cache.lookup(key), null);
+});
@@ -0,0 +1,149 @@
+// Scheduler for upstream quote requests
+//
+// Every upstream call goes through a token bucket for the API key it uses: `rate` requests per second
+// with bursts of up to `burst`, and at most `concurrency` requests in flight. Requests beyond that wait
+// in a FIFO queue. A 429 pauses the whole bucket (Retry-After, or an exponential backoff), so requests
+// already queued or being retried back off together instead of each hammering the API on its own.
+
+import { logger } from './logger.js';
+
+const DEFAULT_BACKOFF = 1000; // First pause after a 429 without Retry-After, doubled on repeats
+const MAX_BACKOFF = 30000;
+const IDLE_POLL_INTERVAL = 250;
+
+// Retry-After in milliseconds (seconds or an HTTP date), or null
+function retryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function createQuoteScheduler({ backoff = DEFAULT_BACKOFF } = {}) {
+  const buckets = new Map();
+
+  // rate: requests per second, burst: bucket size (defaults to one second of requests)
+  function addBucket(name, { rate, burst = Math.max(1, Math.ceil(rate)), concurrency }) {
+    if (!(rate > 0)) throw new Error(`Quote bucket ${name}: rate must be a positive number`);
+    if (!(concurrency >= 1)) throw new Error(`Quote bucket ${name}: concurrency must be at least 1`);
+    const bucket = {
+      name,
+      rate,
+      burst,
+      concurrency,
+      tokens: burst,
+      refilledAt: Date.now(),
+      active: 0,
+      queue: [],
+      timer: null,
+      pausedUntil: 0,
+      backoff: 0,
+      requests: 0,
+      rateLimited: 0,
+    };
+    buckets.set(name, bucket);
+    return bucket;
+  }
+
+  const hasBucket = (name) => buckets.has(name);
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.refilledAt) / 1000) * bucket.rate);
+    bucket.refilledAt = now;
+  }
+
+  function wakeIn(bucket, ms) {
+    bucket.timer = setTimeout(() => {
+      bucket.timer = null;
+      pump(bucket);
+    }, ms);
+  }
+
+  // Start queued requests while the bucket has tokens and free slots
+  function pump(bucket) {
+    if (bucket.timer) return; // A wake-up is already scheduled
+    while (bucket.queue.length > 0) {
+      const now = Date.now();
+      if (bucket.pausedUntil > now) return wakeIn(bucket, bucket.pausedUntil - now);
+      if (bucket.active >= bucket.concurrency) return; // A finishing request pumps again
+      refill(bucket, now);
+      if (bucket.tokens < 1) return wakeIn(bucket, Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000));
+
+      bucket.tokens -= 1;
+      bucket.active++;
+      bucket.requests++;
+      start(bucket, bucket.queue.shift());
+    }
+  }
+
+  function start(bucket, job) {
+    Promise.resolve()
+      .then(job.task)
+      .then(result => {
+        bucket.backoff = 0;
+        job.resolve(result);
+      })
+      .catch(error => {
+        if (error.response?.status === 429) {
+          bucket.rateLimited++;
+          bucket.backoff = Math.min(MAX_BACKOFF, bucket.backoff ? bucket.backoff * 2 : backoff);
+          const pause = retryAfterMs(error) ?? bucket.backoff;
+          bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + pause);
+          logger.warn(`⚠️ Rate limited on ${bucket.name} - pausing its quotes for ${(pause / 1000).toFixed(1)}s`);
+        }
+        job.reject(error);
+      })
+      .finally(() => {
+        bucket.active--;
+        pump(bucket);
+      });
+  }
+
+  // Run task() once the named bucket lets it through; resolves/rejects with the task's result
+  function run(name, task) {
+    const bucket = buckets.get(name);
+    if (!bucket) return Promise.reject(new Error(`Unknown quote bucket: ${name}`));
+    return new Promise((resolve, reject) => {
+      bucket.queue.push({ task, resolve, reject });
+      pump(bucket);
+    });
+  }
+
+  // Same provider with every quote() call scheduled on the named bucket
+  function wrapProvider(provider, name) {
+    return {
+      ...provider,
+      quote: (request) => run(name, () => provider.quote(request)),
+    };
+  }
+
+  const isBusy = () => [...buckets.values()].some(bucket =>
+    bucket.queue.length > 0 || bucket.pausedUntil > Date.now()
+  );
+
+  // Resolves once nothing is queued or paused (background work uses it to yield to interactive requests)
+  async function idle() {
+    while (isBusy()) {
+      await new Promise(resolve => setTimeout(resolve, IDLE_POLL_INTERVAL));
+    }
+  }
+
+  function status() {
+    const now = Date.now();
+    return [...buckets.values()].map(bucket => ({
+      name: bucket.name,
+      rate: bucket.rate,
+      burst: bucket.burst,
+      concurrency: bucket.concurrency,
+      active: bucket.active,
+      queued: bucket.queue.length,
+      pausedForMs: Math.max(0, bucket.pausedUntil - now),
+      requests: bucket.requests,
+      rateLimited: bucket.rateLimited,
+    }));
+  }
+
+  return { addBucket, hasBucket, run, wrapProvider, idle, status };
+}
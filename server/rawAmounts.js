@@ -0,0 +1,21 @@
+// Raw (smallest unit) token amounts
+//
+// Raw amounts easily exceed Number.MAX_SAFE_INTEGER for cheap, high-decimal tokens ($100M of BONK at
+// 5 decimals is ~10^18 units), so the engine keeps them as BigInts and sends them upstream as decimal strings.
+
+// Raw amount for a readable token amount, to the nearest unit: toRawAmount(1.5, 9) === 1500000000n
+// Returns 0n for amounts that aren't positive and finite
+export function toRawAmount(tokenAmount, decimals) {
+  if (!isFinite(tokenAmount) || tokenAmount <= 0) return 0n;
+  // toFixed spells out every digit below 1e21; above that the fractional part doesn't matter
+  if (tokenAmount >= 1e21) {
+    return BigInt(Math.floor(tokenAmount)) * 10n ** BigInt(decimals);
+  }
+  const [whole, fraction = ''] = tokenAmount.toFixed(decimals).split('.');
+  return BigInt(whole + fraction);
+}
+
+// Readable amount for a raw amount (BigInt, decimal string or number), e.g. fromRawAmount('1500000000', 9) === 1.5
+export function fromRawAmount(rawAmount, decimals) {
+  return Number(rawAmount) / Math.pow(10, decimals);
+}
@@ -0,0 +1,47 @@
+// Raw token amount conversion (run with npm test in server/)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromRawAmount, toRawAmount } from './rawAmounts.js';
+
+test('amounts above Number.MAX_SAFE_INTEGER stay exact', () => {
+  // $100M of BONK at $0.00002 is 5 trillion tokens, 5e17 raw units at 5 decimals
+  const raw = toRawAmount(5e12, 5);
+  assert.equal(raw, 500000000000000000n);
+  assert.ok(raw > BigInt(Number.MAX_SAFE_INTEGER));
+  assert.equal(raw.toString(), '500000000000000000');
+
+  // Beyond 1e21 toFixed switches to exponent notation, so the whole part is scaled instead
+  assert.equal(toRawAmount(1e21, 9), 10n ** 30n);
+});
+
+test('0 and 9+ decimals', () => {
+  assert.equal(toRawAmount(7, 0), 7n);
+  assert.equal(toRawAmount(0.123456789, 9), 123456789n);
+  assert.equal(toRawAmount(1.5, 18), 1500000000000000000n);
+
+  assert.equal(fromRawAmount(42n, 0), 42);
+  assert.equal(fromRawAmount('1500000000', 9), 1.5);
+  assert.equal(fromRawAmount(1n, 18), 1e-18);
+});
+
+test('toRawAmount rounds to the nearest unit', () => {
+  assert.equal(toRawAmount(1.25, 1), 13n);
+  assert.equal(toRawAmount(2.5, 0), 3n);
+  assert.equal(toRawAmount(0.4, 0), 0n);
+  assert.equal(toRawAmount(0.000001, 5), 0n);
+});
+
+test('toRawAmount returns 0n for amounts that are not positive and finite', () => {
+  for (const amount of [0, -1, NaN, Infinity]) {
+    assert.equal(toRawAmount(amount, 6), 0n);
+  }
+});
+
+test('fromRawAmount accepts BigInts, strings and numbers', () => {
+  assert.equal(fromRawAmount(1500000000n, 9), 1.5);
+  assert.equal(fromRawAmount('5', 1), 0.5);
+  assert.equal(fromRawAmount(250, 2), 2.5);
+  // Above MAX_SAFE_INTEGER the readable amount is a float, accurate to double precision
+  const readable = fromRawAmount(123456789012345678901n, 5);
+  assert.ok(Math.abs(readable - 1234567890123456.789) / readable < 1e-15);
+});
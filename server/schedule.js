@@ -0,0 +1,119 @@
+// Cron-like schedules for the watchlist
+//
+// Two formats are accepted:
+//   - Intervals: "30m", "6h", "1d" (optionally prefixed with "every ")
+//   - Cron expressions: "minute hour day-of-month month day-of-week", e.g. "0 8 * * 1-5"
+//     Fields support *, lists (1,15), ranges (1-5) and steps (*/15, 0-12/3). Times are server local time.
+// parseSchedule() returns { spec, description, nextRun(after) } or throws with a readable message.
+
+const MIN_INTERVAL = 60 * 1000; // Don't let a watchlist entry hammer the quote API
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 6 }, // 0 = Sunday (7 is accepted as Sunday too)
+];
+
+// Expand one cron field into the set of values it matches
+function parseCronField(value, { name, min, max }) {
+  const values = new Set();
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`invalid ${name} "${part}"`);
+    }
+    let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (end === undefined) end = match[2] ? max : start;
+    const step = match[2] ? Number(match[2]) : 1;
+    // Allow 7 for Sunday in the day-of-week field
+    const upper = name === 'day of week' ? 7 : max;
+    if (start < min || end > upper || start > end || step < 1) {
+      throw new Error(`${name} "${part}" is out of range ${min}-${max}`);
+    }
+    for (let v = start; v <= end; v += step) {
+      values.add(name === 'day of week' && v === 7 ? 0 : v);
+    }
+  }
+  return values;
+}
+
+function parseCron(spec) {
+  const fields = spec.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('cron expressions need 5 fields (minute hour day-of-month month day-of-week)');
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  // Like cron, when both day fields are restricted a day matches if either does
+  const dayRestricted = fields[2] !== '*';
+  const weekdayRestricted = fields[4] !== '*';
+
+  const dayMatches = (date) => {
+    const dom = days.has(date.getDate());
+    const dow = weekdays.has(date.getDay());
+    if (dayRestricted && weekdayRestricted) return dom || dow;
+    if (dayRestricted) return dom;
+    if (weekdayRestricted) return dow;
+    return true;
+  };
+
+  // First matching minute strictly after `after`, skipping whole months/days/hours that can't match
+  const nextRun = (after) => {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = after.getTime() + 5 * 366 * UNITS.d;
+
+    while (date.getTime() <= limit) {
+      if (!months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!dayMatches(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+    throw new Error(`cron expression "${spec}" never matches`);
+  };
+
+  // Fail on impossible dates (e.g. "0 0 31 2 *") when the schedule is loaded, not when it runs
+  nextRun(new Date());
+
+  return { spec, description: `cron "${spec}"`, nextRun };
+}
+
+// Parse a duration like "90s", "30m", "6h" or "7d" into milliseconds (NaN if invalid)
+export function parseDuration(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+)\s*([smhd])$/);
+  return match ? Number(match[1]) * UNITS[match[2]] : NaN;
+}
+
+export function parseSchedule(spec) {
+  const value = String(spec || '').trim();
+  try {
+    const interval = value.toLowerCase().match(/^(?:every\s+)?(\d+\s*[smhd])$/);
+    if (interval) {
+      const ms = parseDuration(interval[1]);
+      if (ms < MIN_INTERVAL) {
+        throw new Error('intervals must be at least 1 minute');
+      }
+      return {
+        spec: value,
+        description: `every ${interval[1].replace(/\s+/g, '')}`,
+        intervalMs: ms,
+        nextRun: (after) => new Date(after.getTime() + ms),
+      };
+    }
+    return parseCron(value);
+  } catch (error) {
+    throw new Error(`Invalid schedule "${value}": ${error.message}`);
+  }
+}
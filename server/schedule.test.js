@@ -0,0 +1,45 @@
+// Watchlist schedules: intervals and cron expressions (run with npm test in server/)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, parseSchedule } from './schedule.js';
+
+test('intervals', () => {
+  const schedule = parseSchedule('every 30m');
+  assert.equal(schedule.description, 'every 30m');
+  assert.equal(schedule.intervalMs, 30 * 60 * 1000);
+  const after = new Date(2026, 0, 1, 12, 0);
+  assert.deepEqual(schedule.nextRun(after), new Date(2026, 0, 1, 12, 30));
+
+  assert.equal(parseSchedule('6h').intervalMs, 6 * 60 * 60 * 1000);
+  assert.throws(() => parseSchedule('every 30s'), /intervals must be at least 1 minute/);
+});
+
+test('cron expressions run at the next matching minute (server local time)', () => {
+  const daily = parseSchedule('0 8 * * *');
+  assert.deepEqual(daily.nextRun(new Date(2026, 0, 1, 7, 59)), new Date(2026, 0, 1, 8, 0));
+  assert.deepEqual(daily.nextRun(new Date(2026, 0, 1, 8, 0)), new Date(2026, 0, 2, 8, 0));
+
+  // Weekdays only: Friday 2 January 2026 at 9:00 is followed by Monday 5 January
+  const weekdays = parseSchedule('0 9 * * 1-5');
+  assert.deepEqual(weekdays.nextRun(new Date(2026, 0, 2, 9, 0)), new Date(2026, 0, 5, 9, 0));
+
+  const steps = parseSchedule('*/15 0-12/6 * * *');
+  assert.deepEqual(steps.nextRun(new Date(2026, 0, 1, 0, 50)), new Date(2026, 0, 1, 6, 0));
+
+  // 7 is Sunday too: 4 January 2026 is a Sunday
+  assert.deepEqual(parseSchedule('0 0 * * 7').nextRun(new Date(2026, 0, 1)), new Date(2026, 0, 4, 0, 0));
+});
+
+test('invalid schedules throw with a readable message', () => {
+  assert.throws(() => parseSchedule(''), /Invalid schedule ""/);
+  assert.throws(() => parseSchedule('0 8 * *'), /need 5 fields/);
+  assert.throws(() => parseSchedule('60 8 * * *'), /minute "60" is out of range 0-59/);
+  assert.throws(() => parseSchedule('0 8 * * mon'), /invalid day of week "mon"/);
+  assert.throws(() => parseSchedule('0 0 31 2 *'), /never matches/);
+});
+
+test('parseDuration', () => {
+  assert.equal(parseDuration('7d'), 7 * 24 * 60 * 60 * 1000);
+  assert.equal(parseDuration('90s'), 90 * 1000);
+  assert.ok(isNaN(parseDuration('a week')));
+});
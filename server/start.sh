@@ -1,5 +1,4 @@
 #!/bin/bash
-# Start server with SSL certificate fix
-export NODE_TLS_REJECT_UNAUTHORIZED=0
+# Start server (behind a TLS-intercepting proxy, set EXTRA_CA_CERTS to its CA certificate - see README)
 node index.js
 
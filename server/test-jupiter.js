@@ -1,15 +1,14 @@
-// Quick test to verify Jupiter API connection
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-
-import https from 'https';
+// Quick test to verify Jupiter API connection (uses the server's TLS settings: EXTRA_CA_CERTS, INSECURE_TLS)
 import axios from 'axios';
+import { createTlsConfig } from './tls.js';
 
-const httpsAgent = new https.Agent({
-  rejectUnauthorized: false
+const tlsConfig = createTlsConfig({
+  extraCaCerts: process.env.EXTRA_CA_CERTS,
+  insecure: process.env.INSECURE_TLS === 'true',
 });
 
 const axiosInstance = axios.create({
-  httpsAgent: httpsAgent,
+  httpsAgent: tlsConfig.agent,
   timeout: 10000,
 });
 
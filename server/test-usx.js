@@ -30,7 +30,7 @@ async function testToken(tokenMint, tokenSymbol, direction = 'sell') {
       
       const buyStartTime = Date.now();
       console.log('   ⏳ Waiting for response (this may take up to 2 minutes)...\n');
-      const buyResponse = await axios.get(`${API_BASE}/api/liquidity-depth`, {
+      const buyResponse = await axios.get(`${API_BASE}/api/v1/liquidity-depth`, {
         params: {
           inputMint: USDC_MINT,
           outputMint: tokenMint,
@@ -100,7 +100,7 @@ async function testToken(tokenMint, tokenSymbol, direction = 'sell') {
       
       const sellStartTime = Date.now();
       console.log('   ⏳ Waiting for response (this may take up to 2 minutes)...\n');
-      const sellResponse = await axios.get(`${API_BASE}/api/liquidity-depth`, {
+      const sellResponse = await axios.get(`${API_BASE}/api/v1/liquidity-depth`, {
         params: {
           inputMint: tokenMint,
           outputMint: USDC_MINT,
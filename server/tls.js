@@ -0,0 +1,79 @@
+// TLS settings for upstream HTTPS calls (Jupiter APIs, token lists, price oracle, alert webhooks)
+//
+// Certificates are verified against Node's bundled CAs by default. Behind a proxy that re-signs TLS
+// (corporate networks), point EXTRA_CA_CERTS at a PEM file with its CA - those CAs are trusted in
+// addition to the bundled ones. INSECURE_TLS=true turns verification off entirely; it's meant for local
+// debugging only and is logged loudly at startup.
+//
+// Modes: verify (default), custom-ca (EXTRA_CA_CERTS) or insecure (INSECURE_TLS=true)
+import https from 'https';
+import { rootCertificates } from 'tls';
+import { readFileSync } from 'fs';
+import { logger } from './logger.js';
+
+const PEM_CERTIFICATE = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+// Error codes Node gives certificates it couldn't verify
+const CERTIFICATE_ERROR_CODES = [
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'CERT_HAS_EXPIRED',
+  'ERR_TLS_CERT_ALTNAME_INVALID',
+];
+
+export const isCertificateError = (error) => CERTIFICATE_ERROR_CODES.includes(error?.code);
+
+// Returns { mode, agent, status() } - agent is the https.Agent for upstream requests
+// A CA file that can't be read is logged and ignored: verification stays on with the bundled CAs
+export function createTlsConfig({ extraCaCerts, insecure = false }) {
+  let mode = 'verify';
+  let extraCertificates = 0;
+  let error = null;
+  let ca;
+
+  if (insecure) {
+    mode = 'insecure';
+    logger.warn('🚨🚨 INSECURE_TLS=true - TLS certificates of upstream APIs are NOT verified. Never run like this in production! 🚨🚨');
+    if (extraCaCerts) {
+      logger.warn(`⚠️ EXTRA_CA_CERTS (${extraCaCerts}) is ignored while INSECURE_TLS is on`);
+    }
+  } else if (extraCaCerts) {
+    try {
+      const certificates = readFileSync(extraCaCerts, 'utf8').match(PEM_CERTIFICATE) || [];
+      if (certificates.length === 0) {
+        throw new Error('no PEM certificates found');
+      }
+      ca = [...rootCertificates, ...certificates];
+      extraCertificates = certificates.length;
+      mode = 'custom-ca';
+      logger.info(`🔒 TLS: verifying upstream certificates with ${certificates.length} extra CA certificates from ${extraCaCerts}`);
+    } catch (readError) {
+      error = `Could not load EXTRA_CA_CERTS ${extraCaCerts}: ${readError.message}`;
+      logger.error(`❌ ${error} - verifying with the bundled CAs only`);
+    }
+  }
+
+  if (mode === 'verify') {
+    logger.info('🔒 TLS: verifying upstream certificates');
+  }
+  if (process.env.NODE_TLS_REJECT_UNAUTHORIZED === '0' && mode !== 'insecure') {
+    logger.warn('⚠️ NODE_TLS_REJECT_UNAUTHORIZED=0 is set but ignored for upstream calls - use INSECURE_TLS=true to disable verification');
+  }
+
+  // rejectUnauthorized is explicit so NODE_TLS_REJECT_UNAUTHORIZED can't switch verification off behind our back
+  const agent = new https.Agent({ rejectUnauthorized: mode !== 'insecure', ...(ca && { ca }) });
+
+  return {
+    mode,
+    agent,
+    status: () => ({
+      mode,
+      verifyCertificates: mode !== 'insecure',
+      extraCaCerts: mode === 'custom-ca' ? extraCaCerts : null,
+      ...(extraCertificates > 0 && { extraCertificates }),
+      ...(error && { error }),
+    }),
+  };
+}
@@ -0,0 +1,107 @@
+// USD trade-size ladders for depth calculations
+
+// Fixed USD trade sizes to test (matching DeFiLlama format)
+// Added more granular sizes in $10M-$50M range for better accuracy, especially for stablecoins
+// Also added sizes between $1M-$10M to avoid interpolation artifacts and capture real liquidity cliffs
+export const DEFAULT_TRADE_SIZES = [
+  500,        // $500
+  1000,       // $1K
+  10000,      // $10K
+  100000,     // $100K
+  1000000,    // $1M
+  2000000,    // $2M (added to fill gap between $1M-$10M)
+  3000000,    // $3M (added to fill gap between $1M-$10M)
+  5000000,    // $5M (added to fill gap between $1M-$10M)
+  7000000,    // $7M (added to fill gap between $1M-$10M - captures liquidity cliffs around $7-8M)
+  8000000,    // $8M (added to fill gap between $1M-$10M)
+  10000000,   // $10M
+  15000000,   // $15M (added for better interpolation)
+  20000000,   // $20M (added for better interpolation)
+  30000000,   // $30M (added for better interpolation)
+  50000000,   // $50M
+  100000000,  // $100M
+];
+
+// Limits for custom ladders - every size costs at least one quote, large failing sizes cost
+// up to ~15 more through binary search, so keep ladders short
+export const MIN_TRADE_SIZE = 1;
+export const MAX_TRADE_SIZE = 1_000_000_000; // $1B
+export const MAX_LADDER_STEPS = 30;
+
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+// Parse "250", "5k", "2.5M" into a USD number (NaN if invalid)
+function parseUsdAmount(value) {
+  const match = String(value).trim().toLowerCase().match(/^\$?(\d+(?:\.\d+)?)([kmb])?$/);
+  if (!match) return NaN;
+  return parseFloat(match[1]) * (match[2] ? SUFFIXES[match[2]] : 1);
+}
+
+// Round to 2 significant figures so generated ladders have readable labels ($3.2K, not $3,162.28)
+function roundToSignificant(value, digits = 2) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)) - digits + 1);
+  return Math.round(value / magnitude) * magnitude;
+}
+
+// Build a log-spaced ladder of `steps` sizes from min to max (inclusive)
+export function logSpacedLadder(min, max, steps) {
+  const logMin = Math.log10(min);
+  const logMax = Math.log10(max);
+  const sizes = [];
+  for (let i = 0; i < steps; i++) {
+    const value = Math.pow(10, logMin + ((logMax - logMin) * i) / (steps - 1));
+    sizes.push(i === 0 ? min : i === steps - 1 ? max : roundToSignificant(value));
+  }
+  return Array.from(new Set(sizes));
+}
+
+// Resolve the trade-size ladder for a request
+// Accepts either `sizes` (comma-separated string or array, e.g. "250,5k,25000")
+// or `minSize`, `maxSize` and `steps` for a generated log-spaced ladder.
+// Returns { sizes, custom } or { error, field, code } with a message suitable for a 400 response.
+export function parseTradeSizeLadder({ sizes, minSize, maxSize, steps } = {}) {
+  const hasList = sizes !== undefined && sizes !== null && sizes !== '';
+  const hasRange = minSize !== undefined || maxSize !== undefined || steps !== undefined;
+
+  if (!hasList && !hasRange) {
+    return { sizes: DEFAULT_TRADE_SIZES, custom: false };
+  }
+  if (hasList && hasRange) {
+    return { error: 'Use either sizes or minSize/maxSize/steps, not both', field: 'sizes', code: 'CONFLICTING_FIELDS' };
+  }
+
+  let ladder;
+  if (hasList) {
+    const values = Array.isArray(sizes) ? sizes : String(sizes).split(',');
+    ladder = values.map(parseUsdAmount);
+    const invalidIndex = ladder.findIndex(size => !isFinite(size) || size <= 0);
+    if (invalidIndex >= 0) {
+      return { error: `Invalid trade size: "${values[invalidIndex]}"`, field: 'sizes', code: 'INVALID_TRADE_SIZE' };
+    }
+  } else {
+    const min = parseUsdAmount(minSize);
+    const max = parseUsdAmount(maxSize);
+    const stepCount = Number(steps);
+    if (!isFinite(min) || !isFinite(max) || min <= 0 || max <= min) {
+      return { error: 'minSize and maxSize must be positive amounts with minSize < maxSize', field: 'minSize', code: 'INVALID_TRADE_SIZE' };
+    }
+    if (!Number.isInteger(stepCount) || stepCount < 2) {
+      return { error: 'steps must be an integer of at least 2', field: 'steps', code: 'INVALID_NUMBER' };
+    }
+    if (stepCount > MAX_LADDER_STEPS) {
+      return { error: `steps must be at most ${MAX_LADDER_STEPS}`, field: 'steps', code: 'OUT_OF_RANGE' };
+    }
+    ladder = logSpacedLadder(min, max, stepCount);
+  }
+
+  ladder = Array.from(new Set(ladder)).sort((a, b) => a - b);
+
+  if (ladder[0] < MIN_TRADE_SIZE || ladder[ladder.length - 1] > MAX_TRADE_SIZE) {
+    return { error: `Trade sizes must be between $${MIN_TRADE_SIZE} and $${MAX_TRADE_SIZE.toLocaleString()}`, field: hasList ? 'sizes' : 'maxSize', code: 'OUT_OF_RANGE' };
+  }
+  if (ladder.length > MAX_LADDER_STEPS) {
+    return { error: `At most ${MAX_LADDER_STEPS} trade sizes are allowed (got ${ladder.length})`, field: 'sizes', code: 'TOO_MANY_VALUES' };
+  }
+
+  return { sizes: ladder, custom: true };
+}
@@ -0,0 +1,136 @@
+// Request validation for API routes
+//
+// A schema maps each parameter to a field spec:
+//   { type: 'mint' }                          - base58 Solana public key (decodes to 32 bytes)
+//   { type: 'rawAmount' }                     - positive integer amount in smallest units, kept as a string
+//   { type: 'boolean' }                       - true/false (or 'true'/'false' from a query string)
+//   { type: 'enum', values: [...] | () => [...] }
+//   { type: 'integer', min?, max? }
+//   { type: 'string', maxLength? }
+// plus `required` or a `default` for absent (undefined or empty) values. Parameters not in the schema are
+// left alone for the route's own parsers (trade-size ladders, impact thresholds).
+//
+// Invalid requests get a 400 with { error, field, reason, code } - `error` is the same readable message as
+// `reason`, which is what clients already display, and `code` is stable for programs to match on.
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE58_PATTERN = /^[1-9A-HJ-NP-Za-km-z]+$/;
+const PUBLIC_KEY_BYTES = 32;
+
+// Number of bytes a base58 string decodes to (-1 if it isn't base58)
+function base58ByteLength(value) {
+  if (!BASE58_PATTERN.test(value)) return -1;
+  let number = 0n;
+  for (const char of value) {
+    number = number * 58n + BigInt(BASE58_ALPHABET.indexOf(char));
+  }
+  // Each leading '1' is a zero byte
+  const leadingZeros = value.length - value.replace(/^1+/, '').length;
+  return leadingZeros + (number === 0n ? 0 : Math.ceil(number.toString(16).length / 2));
+}
+
+export function isPublicKey(value) {
+  // 32 bytes are 32-44 base58 characters; checking the length first keeps the BigInt work bounded
+  return typeof value === 'string' && value.length >= 32 && value.length <= 44 && base58ByteLength(value) === PUBLIC_KEY_BYTES;
+}
+
+// Body of a 400 response for one invalid field
+export function validationError(field, reason, code) {
+  return { error: reason, field, reason, code };
+}
+
+const isAbsent = (value) => value === undefined || value === null || value === '';
+
+// Check one value against its spec: returns { value } or { reason, code }
+function checkField(name, spec, raw) {
+  if (Array.isArray(raw)) {
+    return { reason: `${name} must be given once`, code: 'DUPLICATE_FIELD' };
+  }
+
+  switch (spec.type) {
+    case 'mint':
+      return isPublicKey(raw)
+        ? { value: raw }
+        : { reason: `${name} must be a base58-encoded 32-byte public key`, code: 'INVALID_MINT' };
+
+    case 'rawAmount': {
+      const value = String(raw);
+      return /^\d+$/.test(value) && /[1-9]/.test(value)
+        ? { value: value.replace(/^0+/, '') }
+        : { reason: `${name} must be a positive integer amount in the token's smallest units`, code: 'INVALID_AMOUNT' };
+    }
+
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { reason: `${name} must be true or false`, code: 'INVALID_BOOLEAN' };
+
+    case 'enum': {
+      const values = typeof spec.values === 'function' ? spec.values() : spec.values;
+      return values.includes(raw)
+        ? { value: raw }
+        : { reason: `${name} must be one of ${values.join(', ')} (got "${raw}")`, code: 'UNKNOWN_VALUE' };
+    }
+
+    case 'integer': {
+      const value = Number(raw);
+      const { min = -Infinity, max = Infinity } = spec;
+      if (!/^-?\d+$/.test(String(raw).trim()) || !Number.isSafeInteger(value)) {
+        return { reason: `${name} must be an integer`, code: 'INVALID_NUMBER' };
+      }
+      if (value < min || value > max) {
+        const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+        return { reason: `${name} must be ${range}`, code: 'OUT_OF_RANGE' };
+      }
+      return { value };
+    }
+
+    case 'string': {
+      if (typeof raw !== 'string') {
+        return { reason: `${name} must be a string`, code: 'INVALID_STRING' };
+      }
+      if (spec.maxLength !== undefined && raw.length > spec.maxLength) {
+        return { reason: `${name} must be at most ${spec.maxLength} characters`, code: 'TOO_LONG' };
+      }
+      return { value: raw };
+    }
+
+    default:
+      throw new Error(`Unknown field type "${spec.type}" for ${name}`);
+  }
+}
+
+// Validate source (req.query or req.body) against a schema
+// Returns { values } with every schema field (absent optional fields are undefined) or { error } with a 400 body
+export function validate(schema, source = {}) {
+  const values = {};
+  for (const [name, spec] of Object.entries(schema)) {
+    const raw = source[name];
+    if (isAbsent(raw)) {
+      if (spec.required) {
+        return { error: validationError(name, `${name} is required`, 'MISSING_FIELD') };
+      }
+      values[name] = spec.default;
+      continue;
+    }
+
+    const result = checkField(name, spec, raw);
+    if (result.code) {
+      return { error: validationError(name, result.reason, result.code) };
+    }
+    values[name] = result.value;
+  }
+  return { values };
+}
+
+// Express middleware: validates req[source] and puts the parsed values on req.valid, or responds 400
+export function validateRequest(schema, source = 'query') {
+  return (req, res, next) => {
+    const { values, error } = validate(schema, req[source] || {});
+    if (error) {
+      return res.status(400).json(error);
+    }
+    req.valid = values;
+    next();
+  };
+}
@@ -0,0 +1,71 @@
+// Request parameter validation (run with npm test in server/)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPublicKey, validate, validateRequest } from './validation.js';
+
+const SOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const KEY_31_BYTES = '4uQeVj5tqViQh7yWWGStvkEG1Zmhx6uasJtWCJziofL'; // 31 x 0xff
+const KEY_33_BYTES = 'JJEfe6DcPM2ziB2vfUWDV6aHVerXRGkv3TcyvJUNGHZz'; // 33 x 0x01
+
+const SCHEMA = {
+  inputMint: { type: 'mint', required: true },
+  outputMint: { type: 'mint', required: true },
+  amount: { type: 'rawAmount', required: true },
+  isBuy: { type: 'boolean', default: false },
+};
+
+// Run the middleware against a query; resolves to { status, body } or { next: true, valid }
+function run(query) {
+  return new Promise(resolve => {
+    const req = { query };
+    const res = {
+      status(code) {
+        return { json: (body) => resolve({ status: code, body }) };
+      },
+    };
+    validateRequest(SCHEMA)(req, res, () => resolve({ next: true, valid: req.valid }));
+  });
+}
+
+const query = (overrides) => ({ inputMint: SOL, outputMint: USDC, amount: '1000000000', ...overrides });
+
+test('a valid request reaches the route with parsed values', async () => {
+  const result = await run(query({ isBuy: 'true', amount: '0001000' }));
+  assert.equal(result.next, true);
+  assert.deepEqual(result.valid, { inputMint: SOL, outputMint: USDC, amount: '1000', isBuy: true });
+});
+
+test('mints must be base58 and decode to exactly 32 bytes', async () => {
+  assert.equal(isPublicKey(SOL), true);
+  assert.equal(isPublicKey(KEY_31_BYTES), false);
+  assert.equal(isPublicKey(KEY_33_BYTES), false);
+
+  for (const mint of ['not-base58!', 'So1111111111111111111111111111111111111111O', KEY_31_BYTES, KEY_33_BYTES]) {
+    const { status, body } = await run(query({ inputMint: mint }));
+    assert.equal(status, 400, mint);
+    assert.equal(body.code, 'INVALID_MINT');
+    assert.equal(body.field, 'inputMint');
+  }
+});
+
+test('amount must be a positive integer', async () => {
+  for (const amount of ['0', '-1', '1e3', '1.5']) {
+    const { status, body } = await run(query({ amount }));
+    assert.equal(status, 400, amount);
+    assert.equal(body.code, 'INVALID_AMOUNT');
+    assert.equal(body.field, 'amount');
+  }
+});
+
+test('isBuy must be true or false', async () => {
+  const { status, body } = await run(query({ isBuy: 'yes' }));
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_BOOLEAN');
+  assert.equal(body.field, 'isBuy');
+});
+
+test('missing and repeated parameters', () => {
+  assert.equal(validate(SCHEMA, query({ outputMint: '' })).error.code, 'MISSING_FIELD');
+  assert.equal(validate(SCHEMA, query({ amount: ['1', '2'] })).error.code, 'DUPLICATE_FIELD');
+});
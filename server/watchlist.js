@@ -0,0 +1,219 @@
+// Scheduled depth monitoring for a watchlist of pairs
+//
+// The watchlist is a JSON file (WATCHLIST_FILE, default server/watchlist.json) with one entry per pair:
+//   { "name": "SOL/USDC", "inputMint": "...", "outputMint": "...", "schedule": "0 8 * * *",
+//     "sides": ["buy", "sell"], "provider": "jupiter", "sizes": "100k,1M,10M" }
+// Only inputMint, outputMint and schedule are required. Due runs are queued and executed one at a
+// time so the watchlist never adds more than one calculation's worth of quotes to the rate limit.
+import { readFileSync } from 'fs';
+import { parseSchedule } from './schedule.js';
+import { parseTradeSizeLadder } from './tradeSizes.js';
+import { isPublicKey } from './validation.js';
+import { logger } from './logger.js';
+
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout overflows above ~24.8 days
+
+// Read and validate the watchlist file
+// Throws with the offending entry in the message so a bad config fails loudly at startup
+// providers: names of the registered quote providers an entry's provider must be one of
+export function loadWatchlist(path, { providers = [] } = {}) {
+  const raw = JSON.parse(readFileSync(path, 'utf8'));
+  const list = Array.isArray(raw) ? raw : raw.pairs;
+  if (!Array.isArray(list)) {
+    throw new Error('Watchlist must be an array of pairs (or { "pairs": [...] })');
+  }
+
+  const ids = new Set();
+  return list.map((entry, index) => {
+    const label = entry.name || `entry ${index}`;
+    if (!entry.inputMint || !entry.outputMint) {
+      throw new Error(`Watchlist ${label}: inputMint and outputMint are required`);
+    }
+    for (const field of ['inputMint', 'outputMint']) {
+      if (!isPublicKey(entry[field])) {
+        throw new Error(`Watchlist ${label}: ${field} "${entry[field]}" is not a base58-encoded 32-byte public key`);
+      }
+    }
+    if (entry.provider !== undefined && !providers.includes(entry.provider)) {
+      throw new Error(`Watchlist ${label}: provider must be one of ${providers.join(', ')} (got "${entry.provider}")`);
+    }
+
+    const sides = entry.sides || ['buy', 'sell'];
+    if (!Array.isArray(sides) || sides.length === 0 || sides.some(side => side !== 'buy' && side !== 'sell')) {
+      throw new Error(`Watchlist ${label}: sides must be a list of "buy" and/or "sell"`);
+    }
+
+    let tradeSizes;
+    if (entry.sizes !== undefined) {
+      const ladder = parseTradeSizeLadder({ sizes: entry.sizes });
+      if (ladder.error) {
+        throw new Error(`Watchlist ${label}: ${ladder.error}`);
+      }
+      tradeSizes = ladder.sizes;
+    }
+
+    // Stable ids so /api/watchlist/:id/run keeps working across restarts
+    let id = String(entry.id || entry.name || `${entry.inputMint.slice(0, 4)}-${entry.outputMint.slice(0, 4)}`)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+    while (ids.has(id)) id = `${id}-${index}`;
+    ids.add(id);
+
+    let schedule;
+    try {
+      schedule = parseSchedule(entry.schedule);
+    } catch (error) {
+      throw new Error(`Watchlist ${label}: ${error.message}`);
+    }
+
+    return {
+      id,
+      name: entry.name || id,
+      inputMint: entry.inputMint,
+      outputMint: entry.outputMint,
+      sides,
+      provider: entry.provider,
+      tradeSizes,
+      schedule,
+    };
+  });
+}
+
+// runDepth({ inputMint, outputMint, isBuy, provider, tradeSizes }) calculates one side
+// waitForRateLimit is awaited before each side so scheduled runs queue behind interactive quotes
+export function createWatchlistScheduler({ entries, runDepth, waitForRateLimit }) {
+  const states = new Map(entries.map(entry => [entry.id, {
+    entry,
+    nextRunAt: null,
+    timer: null,
+    queued: false,
+    running: false,
+    runCount: 0,
+    lastRun: null,
+  }]));
+  const queue = [];
+  let processing = false;
+  let started = false;
+
+  function arm(state) {
+    clearTimeout(state.timer);
+    if (!started) return;
+    if (!state.nextRunAt) state.nextRunAt = state.entry.schedule.nextRun(new Date());
+
+    const delay = Math.min(Math.max(state.nextRunAt.getTime() - Date.now(), 0), MAX_TIMER_DELAY);
+    state.timer = setTimeout(() => {
+      if (Date.now() < state.nextRunAt.getTime()) {
+        arm(state); // Long delay was capped - keep waiting
+        return;
+      }
+      state.nextRunAt = state.entry.schedule.nextRun(new Date());
+      enqueue(state, 'schedule');
+      arm(state);
+    }, delay);
+  }
+
+  // Returns false if the entry is already waiting or running (runs never overlap)
+  function enqueue(state, trigger) {
+    if (state.queued || state.running) {
+      logger.warn(`⏭️ Watchlist ${state.entry.name}: previous run still pending, skipping ${trigger} run`);
+      return false;
+    }
+    state.queued = true;
+    queue.push({ state, trigger });
+    processQueue();
+    return true;
+  }
+
+  async function processQueue() {
+    if (processing) return;
+    processing = true;
+    while (queue.length > 0) {
+      const { state, trigger } = queue.shift();
+      state.queued = false;
+      state.running = true;
+      await runEntry(state, trigger);
+      state.running = false;
+    }
+    processing = false;
+  }
+
+  async function runEntry(state, trigger) {
+    const { entry } = state;
+    const run = {
+      trigger,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      status: 'running',
+      sides: {},
+    };
+    state.lastRun = run;
+    state.runCount++;
+    logger.info(`\n⏰ Watchlist run: ${entry.name} (${trigger})`);
+
+    for (const side of entry.sides) {
+      try {
+        await waitForRateLimit();
+        const result = await runDepth({
+          inputMint: entry.inputMint,
+          outputMint: entry.outputMint,
+          isBuy: side === 'buy',
+          provider: entry.provider,
+          tradeSizes: entry.tradeSizes,
+        });
+        run.sides[side] = {
+          status: result.depth.length > 0 ? 'ok' : 'empty',
+          pointsCount: result.depth.length,
+          maxTradeUsd: result.depth.length > 0 ? Math.max(...result.depth.map(point => point.tradeUsdValue || 0)) : 0,
+          snapshotId: result.metadata?.snapshotId ?? null,
+          warning: result.warning || null,
+        };
+      } catch (error) {
+        logger.error(`❌ Watchlist ${entry.name} (${side}) failed:`, error.message);
+        run.sides[side] = { status: 'failed', error: error.message };
+      }
+    }
+
+    const statuses = Object.values(run.sides).map(result => result.status);
+    run.status = statuses.every(status => status === 'ok') ? 'ok'
+      : statuses.every(status => status === 'failed') ? 'failed'
+      : 'partial';
+    run.finishedAt = new Date().toISOString();
+    logger.info(`✅ Watchlist run finished: ${entry.name} (${run.status})`);
+  }
+
+  function describe(state) {
+    const { entry } = state;
+    return {
+      id: entry.id,
+      name: entry.name,
+      inputMint: entry.inputMint,
+      outputMint: entry.outputMint,
+      sides: entry.sides,
+      provider: entry.provider || null,
+      tradeSizes: entry.tradeSizes || null,
+      schedule: entry.schedule.spec,
+      scheduleDescription: entry.schedule.description,
+      nextRunAt: state.nextRunAt ? state.nextRunAt.toISOString() : null,
+      status: state.running ? 'running' : state.queued ? 'queued' : 'idle',
+      runCount: state.runCount,
+      lastRun: state.lastRun,
+    };
+  }
+
+  return {
+    start() {
+      started = true;
+      states.forEach(arm);
+    },
+    stop() {
+      started = false;
+      states.forEach(state => clearTimeout(state.timer));
+    },
+    has: (id) => states.has(id),
+    // Queue an immediate run outside the schedule (the next scheduled run is unchanged)
+    runNow: (id) => enqueue(states.get(id), 'manual'),
+    describe: (id) => describe(states.get(id)),
+    list: () => Array.from(states.values()).map(describe),
+  };
+}
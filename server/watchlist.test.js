@@ -0,0 +1,52 @@
+// Watchlist file validation (run with npm test in server/)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadWatchlist } from './watchlist.js';
+
+const SOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const PROVIDERS = ['jupiter', 'ultra', 'standard'];
+
+// Write entries to a temporary watchlist file and load it
+function load(entries) {
+  const dir = mkdtempSync(join(tmpdir(), 'watchlist-'));
+  try {
+    const path = join(dir, 'watchlist.json');
+    writeFileSync(path, JSON.stringify(entries));
+    return loadWatchlist(path, { providers: PROVIDERS });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const entry = (overrides) => ({ name: 'SOL/USDC', inputMint: SOL, outputMint: USDC, schedule: 'every 6h', ...overrides });
+
+test('a valid entry loads with defaults', () => {
+  const [loaded] = load([entry({ provider: 'ultra' })]);
+  assert.equal(loaded.id, 'sol-usdc');
+  assert.deepEqual(loaded.sides, ['buy', 'sell']);
+  assert.equal(loaded.provider, 'ultra');
+  assert.equal(loaded.schedule.intervalMs, 6 * 60 * 60 * 1000);
+});
+
+test('a mint typo fails at load time', () => {
+  // "l" isn't in the base58 alphabet
+  assert.throws(() => load([entry({ outputMint: USDC.replace('1', 'l') })]), /SOL\/USDC: outputMint .* 32-byte public key/);
+  // Valid base58, but 31 bytes
+  assert.throws(() => load([entry({ outputMint: '4uQeVj5tqViQh7yWWGStvkEG1Zmhx6uasJtWCJziofL' })]), /outputMint/);
+  assert.throws(() => load([entry({ inputMint: 'So1111111111111111111111111111111111111111O' })]), /inputMint/);
+  assert.throws(() => load([entry({ inputMint: undefined })]), /inputMint and outputMint are required/);
+});
+
+test('an unknown provider fails at load time', () => {
+  assert.throws(() => load([entry({ provider: 'jupiterr' })]), /provider must be one of jupiter, ultra, standard \(got "jupiterr"\)/);
+});
+
+test('bad sides, sizes and schedules fail at load time', () => {
+  assert.throws(() => load([entry({ sides: ['both'] })]), /sides must be/);
+  assert.throws(() => load([entry({ sizes: 'abc' })]), /SOL\/USDC: Invalid trade size/);
+  assert.throws(() => load([entry({ schedule: 'every 10s' })]), /at least 1 minute/);
+});
@@ -0,0 +1,70 @@
+// Local webhook receiver for testing liquidity alerts
+//
+// Start it with `npm run webhook-receiver` (from server/) and point the alerts at it:
+//   ALERT_WEBHOOK_URL=http://127.0.0.1:3003/webhook
+//
+// Every payload is printed and kept in memory (GET /webhook lists them, newest first).
+// If ALERT_WEBHOOK_SECRET is set, the X-Signature header is verified.
+// To exercise retries, make the next N deliveries fail with POST /__receiver/fail { "count": N, "status": 503 }.
+import express from 'express';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 3003;
+const SECRET = process.env.ALERT_WEBHOOK_SECRET;
+const MAX_RECEIVED = 100;
+
+const received = [];
+let failures = { count: 0, status: 503 };
+
+const app = express();
+// Keep the raw body so the signature is checked against exactly what was sent
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+function signatureValid(req) {
+  const header = req.get('X-Signature') || '';
+  const expected = `sha256=${createHmac('sha256', SECRET).update(req.rawBody || '').digest('hex')}`;
+  return header.length === expected.length && timingSafeEqual(Buffer.from(header), Buffer.from(expected));
+}
+
+app.post('/webhook', (req, res) => {
+  if (failures.count > 0) {
+    failures.count--;
+    console.log(`💥 Failing delivery ${req.get('X-Alert-Delivery')} with ${failures.status} (${failures.count} more to fail)`);
+    return res.status(failures.status).json({ error: 'Simulated failure' });
+  }
+
+  const signature = SECRET ? (signatureValid(req) ? 'valid' : 'invalid') : 'unchecked';
+  if (signature === 'invalid') {
+    console.warn(`⚠️ Rejected delivery ${req.get('X-Alert-Delivery')}: bad signature`);
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  const payload = req.body;
+  received.unshift({ receivedAt: new Date().toISOString(), signature, payload });
+  if (received.length > MAX_RECEIVED) received.pop();
+
+  console.log(`\n📬 ${payload.event} - ${payload.rule?.name}: ${payload.rule?.description}`);
+  if (payload.metric) {
+    console.log(`   value: ${payload.metric.value} ${payload.metric.unit}, baseline: ${payload.metric.baseline}, change: ${payload.metric.changePct}`);
+  }
+  res.json({ ok: true });
+});
+
+app.get('/webhook', (req, res) => {
+  res.json(received);
+});
+
+app.post('/__receiver/fail', (req, res) => {
+  failures = {
+    count: parseInt(req.body?.count ?? 1, 10),
+    status: parseInt(req.body?.status ?? 503, 10),
+  };
+  console.log(`🧪 Next ${failures.count} deliveries will fail with ${failures.status}`);
+  res.json(failures);
+});
+
+app.listen(PORT, '127.0.0.1', () => {
+  console.log(`\n📬 Webhook receiver running on http://127.0.0.1:${PORT}`);
+  console.log(`   Point alerts at it with ALERT_WEBHOOK_URL=http://127.0.0.1:${PORT}/webhook`);
+  console.log(`   Signature check: ${SECRET ? 'on' : 'off (set ALERT_WEBHOOK_SECRET to enable)'}\n`);
+});
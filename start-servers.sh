@@ -14,7 +14,7 @@ sleep 2
 # Start backend server
 echo "Starting backend server on port 3001..."
 cd server
-NODE_TLS_REJECT_UNAUTHORIZED=0 node index.js > ../server.log 2>&1 &
+node index.js > ../server.log 2>&1 &
 BACKEND_PID=$!
 cd ..
 
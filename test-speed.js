@@ -1,56 +1,73 @@
 import axios from 'axios';
 
-const API_BASE = 'http://localhost:3001/api';
+// Point at another server (e.g. one running against the mock) with API_BASE=http://127.0.0.1:3999/api/v1
+const API_BASE = process.env.API_BASE || 'http://localhost:3001/api/v1';
 
 // Test with USX which has limited liquidity (known to max out around $2-3M)
 const USX_MINT = '6FrrzDk5mQARGc1TDYoyVnSyRdds1t4PbtohCD6p3tgG';
 const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
 
+// The old limiter serialized every quote with a fixed 100ms gap
+const SERIAL_QUOTE_INTERVAL = 100;
+
+async function runSide(isBuy) {
+  const startTime = Date.now();
+  const response = await axios.get(`${API_BASE}/liquidity-depth`, {
+    params: {
+      inputMint: USX_MINT,
+      outputMint: USDC_MINT,
+      isBuy: String(isBuy),
+      debug: 'true', // Include debug.logs (used below to count skipped sizes)
+    },
+    timeout: 180000 // 3 minutes timeout
+  });
+  return { data: response.data, duration: (Date.now() - startTime) / 1000 };
+}
+
+function reportSide(label, { data, duration }) {
+  const depth = data.depth || [];
+  const logs = data.debug?.logs || [];
+  const quotesUsed = data.metadata?.quoteBudget?.used || 0;
+
+  console.log(`\n📊 ${label}: ${depth.length} points in ${duration.toFixed(2)}s (${quotesUsed} quotes)`);
+  console.log(`   - Max trade size: $${Math.max(...depth.map(p => p.tradeUsdValue || 0), 0).toLocaleString()}`);
+  console.log(`   - Trade sizes: ${depth.map(p => p.tradeUsdValue).sort((a, b) => a - b).map(s => `$${(s / 1000000).toFixed(2)}M`).join(', ')}`);
+
+  // Check for skip messages in logs
+  const skipMessages = logs.filter(log => log.includes('⏭️ Skipping'));
+  if (skipMessages.length > 0) {
+    console.log(`   - Skipped ${skipMessages.length} trade sizes past the liquidity found by binary search`);
+  }
+  return quotesUsed;
+}
+
 async function testSpeed() {
   console.log('🧪 Testing liquidity depth calculation speed...\n');
   console.log('Token: USX (known to have limited liquidity ~$2-3M)');
-  console.log('Pair: USX → USDC (SELL)\n');
-  
+  console.log('Pair: USX ↔ USDC, buy and sell calculated together like the frontend does\n');
+
   const startTime = Date.now();
-  
+
   try {
-    const response = await axios.get(`${API_BASE}/liquidity-depth`, {
-      params: {
-        inputMint: USX_MINT,
-        outputMint: USDC_MINT,
-        isBuy: 'false'
-      },
-      timeout: 180000 // 3 minutes timeout
+    const [sell, buy] = await Promise.all([runSide(false), runSide(true)]);
+    const duration = (Date.now() - startTime) / 1000;
+
+    const quotes = reportSide('SELL', sell) + reportSide('BUY', buy);
+    const serialFloor = (quotes * SERIAL_QUOTE_INTERVAL) / 1000;
+
+    console.log(`\n✅ Both sides completed in ${duration.toFixed(2)} seconds`);
+    console.log(`   - ${quotes} quotes, ${(quotes / duration).toFixed(1)} quotes/s`);
+    console.log(`   - The old serialized limiter needed at least ${serialFloor.toFixed(2)}s of gaps alone for these quotes,`);
+    console.log('     plus every quote\'s round trip one after another');
+
+    // jupiter-status is operational and stays outside /api/v1
+    const status = await axios.get(`${API_BASE.replace(/\/v1$/, '')}/jupiter-status`).catch(error => error.response);
+    (status?.data?.quoteScheduler || []).forEach(bucket => {
+      console.log(`   - Bucket ${bucket.name}: ${bucket.rate} req/s, concurrency ${bucket.concurrency}, ${bucket.requests} requests, ${bucket.rateLimited} rate limited`);
     });
-    
-    const endTime = Date.now();
-    const duration = ((endTime - startTime) / 1000).toFixed(2);
-    
-    const data = response.data;
-    const sellDepth = data.sellDepth || [];
-    const logs = data.logs || [];
-    
-    console.log(`\n✅ Calculation completed in ${duration} seconds\n`);
-    console.log(`📊 Results:`);
-    console.log(`   - Data points collected: ${sellDepth.length}`);
-    console.log(`   - Max trade size: $${Math.max(...sellDepth.map(p => p.tradeUsdValue || 0), 0).toLocaleString()}`);
-    
-    // Check for skip messages in logs
-    const skipMessages = logs.filter(log => log.includes('⏭️ Skipping'));
-    if (skipMessages.length > 0) {
-      console.log(`\n✅ Optimization working! Skipped ${skipMessages.length} trade sizes:`);
-      skipMessages.forEach(msg => console.log(`   ${msg}`));
-    } else {
-      console.log(`\n⚠️ No skip messages found - optimization may not be working`);
-    }
-    
-    // Show trade sizes that were tested
-    const testedSizes = sellDepth.map(p => p.tradeUsdValue).sort((a, b) => a - b);
-    console.log(`\n📈 Trade sizes tested: ${testedSizes.map(s => `$${(s/1000000).toFixed(1)}M`).join(', ')}`);
-    
+    console.log('\n💡 Compare with a serialized run: restart the server with QUOTE_CONCURRENCY=1 and run this again');
   } catch (error) {
-    const endTime = Date.now();
-    const duration = ((endTime - startTime) / 1000).toFixed(2);
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     console.error(`\n❌ Error after ${duration} seconds:`, error.message);
     if (error.response) {
       console.error('Response:', error.response.data);
@@ -59,13 +76,12 @@ async function testSpeed() {
 }
 
 // Check if server is running first
-axios.get(`${API_BASE}/jupiter-status`)
+axios.get(`${API_BASE}/providers`)
   .then(() => {
     console.log('✅ Server is running\n');
     testSpeed();
   })
   .catch(() => {
     console.error('❌ Server is not running. Please start it first:');
-    console.error('   cd server && NODE_TLS_REJECT_UNAUTHORIZED=0 node index.js');
+    console.error('   cd server && node index.js');
   });
-
@@ -23,7 +23,7 @@ async function testUSX() {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
     
     const buyStartTime = Date.now();
-    const buyResponse = await axios.get(`${API_BASE}/api/liquidity-depth`, {
+    const buyResponse = await axios.get(`${API_BASE}/api/v1/liquidity-depth`, {
       params: {
         inputMint: USDC_MINT,
         outputMint: USX_MINT,
@@ -61,7 +61,7 @@ async function testUSX() {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
     
     const sellStartTime = Date.now();
-    const sellResponse = await axios.get(`${API_BASE}/api/liquidity-depth`, {
+    const sellResponse = await axios.get(`${API_BASE}/api/v1/liquidity-depth`, {
       params: {
         inputMint: USX_MINT,
         outputMint: USDC_MINT,